@@ -0,0 +1,54 @@
+// Server-side recordings: ffmpeg listens for plain RTP from mediasoup on RTP/RTCP port pairs in this range.
+const RECORDING_RTP_MIN_PORT = parseInt(process.env.RECORDING_RTP_MIN_PORT, 10) || 50000;
+const RECORDING_RTP_MAX_PORT = parseInt(process.env.RECORDING_RTP_MAX_PORT, 10) || 50999;
+const RECORDING_DIR = process.env.RECORDING_DIR || 'recordings/server';
+// ffmpeg gets this long to finalize the file after being asked to stop before it is killed.
+const RECORDING_STOP_TIMEOUT_MS = parseInt(process.env.RECORDING_STOP_TIMEOUT_MS, 10) || 10000;
+// Post-processing transcodes are CPU-heavy, so by default only one runs at a time per node.
+const RECORDING_PROCESSING_CONCURRENCY = parseInt(process.env.RECORDING_PROCESSING_CONCURRENCY, 10) || 1;
+const RECORDING_PROCESSING_DIR = process.env.RECORDING_PROCESSING_DIR || 'recordings/processing';
+
+// Resumable uploads: S3 requires every part but the last to be at least 5 MB.
+const RECORDING_UPLOAD_MAX_BYTES = parseInt(process.env.RECORDING_UPLOAD_MAX_BYTES, 10) || 500 * 1024 * 1024;
+const RECORDING_UPLOAD_PART_SIZE = Math.max(
+  parseInt(process.env.RECORDING_UPLOAD_PART_SIZE, 10) || 8 * 1024 * 1024,
+  5 * 1024 * 1024
+);
+// Unfinished uploads are aborted this long after they were started.
+const RECORDING_UPLOAD_TTL_MS = parseInt(process.env.RECORDING_UPLOAD_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+// An upload still completing after this long is assumed to have died with its node and is reopened.
+const RECORDING_UPLOAD_COMPLETE_TIMEOUT_MS = parseInt(process.env.RECORDING_UPLOAD_COMPLETE_TIMEOUT_MS, 10) || 30 * 60 * 1000;
+const RECORDING_TEMP_DIR = 'recordings/temp';
+// Files left in the temp dir (interrupted parts, crashed multer uploads) are deleted after this age.
+const RECORDING_TEMP_MAX_AGE_MS = parseInt(process.env.RECORDING_TEMP_MAX_AGE_MS, 10) || 6 * 60 * 60 * 1000;
+const RECORDING_UPLOAD_GC_INTERVAL_MS = parseInt(process.env.RECORDING_UPLOAD_GC_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Recordings are private; read endpoints hand out signed URLs that expire after this long.
+const RECORDING_URL_TTL_SECONDS = parseInt(process.env.RECORDING_URL_TTL_SECONDS, 10) || 300;
+
+// Retention: recordings older than their policy allows are purged by a scheduled job. Rooms with no
+// matching policy fall back to the default; 0 keeps their recordings indefinitely.
+const RECORDING_RETENTION_DEFAULT_DAYS = parseInt(process.env.RECORDING_RETENTION_DEFAULT_DAYS, 10) || 0;
+const RECORDING_RETENTION_INTERVAL_MS = parseInt(process.env.RECORDING_RETENTION_INTERVAL_MS, 10) || 24 * 60 * 60 * 1000;
+// A run still marked as running after this long is assumed to have died with its node.
+const RECORDING_RETENTION_RUN_TIMEOUT_MS = parseInt(process.env.RECORDING_RETENTION_RUN_TIMEOUT_MS, 10) || 6 * 60 * 60 * 1000;
+
+module.exports = {
+  RECORDING_RTP_MIN_PORT,
+  RECORDING_RTP_MAX_PORT,
+  RECORDING_DIR,
+  RECORDING_STOP_TIMEOUT_MS,
+  RECORDING_PROCESSING_CONCURRENCY,
+  RECORDING_PROCESSING_DIR,
+  RECORDING_UPLOAD_MAX_BYTES,
+  RECORDING_UPLOAD_PART_SIZE,
+  RECORDING_UPLOAD_TTL_MS,
+  RECORDING_UPLOAD_COMPLETE_TIMEOUT_MS,
+  RECORDING_TEMP_DIR,
+  RECORDING_TEMP_MAX_AGE_MS,
+  RECORDING_UPLOAD_GC_INTERVAL_MS,
+  RECORDING_URL_TTL_SECONDS,
+  RECORDING_RETENTION_DEFAULT_DAYS,
+  RECORDING_RETENTION_INTERVAL_MS,
+  RECORDING_RETENTION_RUN_TIMEOUT_MS
+};
@@ -0,0 +1,26 @@
+const DEFAULT_MAX_PARTICIPANTS = parseInt(process.env.DEFAULT_MAX_PARTICIPANTS, 10) || 2;
+const MAX_PARTICIPANTS_LIMIT = parseInt(process.env.MAX_PARTICIPANTS_LIMIT, 10) || 12;
+// How long a dropped participant keeps their slot before being treated as having left. 0 disables resume.
+const RECONNECT_GRACE_MS = process.env.RECONNECT_GRACE_MS !== undefined
+  ? parseInt(process.env.RECONNECT_GRACE_MS, 10) || 0
+  : 30000;
+// Wrong room PINs are counted per room; hitting the limit inside the window locks PIN entry for the lockout period.
+const PIN_MAX_ATTEMPTS = parseInt(process.env.PIN_MAX_ATTEMPTS, 10) || 5;
+const PIN_ATTEMPT_WINDOW_MS = parseInt(process.env.PIN_ATTEMPT_WINDOW_MS, 10) || 15 * 60 * 1000;
+const PIN_LOCKOUT_MS = parseInt(process.env.PIN_LOCKOUT_MS, 10) || 15 * 60 * 1000;
+
+// 1:1 rooms keep peer-to-peer mesh signaling; anything bigger goes through the SFU.
+const resolveMediaMode = (maxParticipants, requestedMode) => {
+  if (requestedMode) return requestedMode;
+  return maxParticipants > 2 ? 'sfu' : 'mesh';
+};
+
+module.exports = {
+  DEFAULT_MAX_PARTICIPANTS,
+  MAX_PARTICIPANTS_LIMIT,
+  RECONNECT_GRACE_MS,
+  PIN_MAX_ATTEMPTS,
+  PIN_ATTEMPT_WINDOW_MS,
+  PIN_LOCKOUT_MS,
+  resolveMediaMode
+};
@@ -0,0 +1,15 @@
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || 15000;
+// A socket that misses this many pings in a row is considered dead and terminated.
+const HEARTBEAT_MAX_MISSES = parseInt(process.env.HEARTBEAT_MAX_MISSES, 10) || 2;
+
+// Larger messages get a typed MESSAGE_TOO_LARGE error and are dropped.
+const WS_MAX_MESSAGE_BYTES = parseInt(process.env.WS_MAX_MESSAGE_BYTES, 10) || 32 * 1024;
+// Hard frame limit enforced by ws itself; anything bigger closes the socket with 1009.
+const WS_MAX_PAYLOAD_BYTES = parseInt(process.env.WS_MAX_PAYLOAD_BYTES, 10) || 128 * 1024;
+
+module.exports = {
+  HEARTBEAT_INTERVAL_MS,
+  HEARTBEAT_MAX_MISSES,
+  WS_MAX_MESSAGE_BYTES,
+  WS_MAX_PAYLOAD_BYTES
+};
@@ -0,0 +1,23 @@
+// Medical Scribe jobs are tracked in the TranscriptionJob collection and advanced by a worker on
+// every node. It looks for due jobs this often and checks at most this many at once per node.
+const TRANSCRIPTION_WORKER_INTERVAL_MS = parseInt(process.env.TRANSCRIPTION_WORKER_INTERVAL_MS, 10) || 5000;
+const TRANSCRIPTION_CONCURRENCY = parseInt(process.env.TRANSCRIPTION_CONCURRENCY, 10) || 2;
+// The first status check waits this long; each later one waits twice as long as the last, up to the maximum.
+const TRANSCRIPTION_CHECK_INITIAL_DELAY_MS = parseInt(process.env.TRANSCRIPTION_CHECK_INITIAL_DELAY_MS, 10) || 15000;
+const TRANSCRIPTION_CHECK_MAX_DELAY_MS = parseInt(process.env.TRANSCRIPTION_CHECK_MAX_DELAY_MS, 10) || 5 * 60 * 1000;
+// A job is failed after this many status checks in a row could not reach the scribe service,
+// or once it has been running this long without finishing.
+const TRANSCRIPTION_MAX_CONSECUTIVE_ERRORS = parseInt(process.env.TRANSCRIPTION_MAX_CONSECUTIVE_ERRORS, 10) || 10;
+const TRANSCRIPTION_JOB_TIMEOUT_MS = parseInt(process.env.TRANSCRIPTION_JOB_TIMEOUT_MS, 10) || 24 * 60 * 60 * 1000;
+// A node claims a job for this long while checking it; a job claimed by a node that died is picked up again after.
+const TRANSCRIPTION_LEASE_MS = parseInt(process.env.TRANSCRIPTION_LEASE_MS, 10) || 2 * 60 * 1000;
+
+module.exports = {
+  TRANSCRIPTION_WORKER_INTERVAL_MS,
+  TRANSCRIPTION_CONCURRENCY,
+  TRANSCRIPTION_CHECK_INITIAL_DELAY_MS,
+  TRANSCRIPTION_CHECK_MAX_DELAY_MS,
+  TRANSCRIPTION_MAX_CONSECUTIVE_ERRORS,
+  TRANSCRIPTION_JOB_TIMEOUT_MS,
+  TRANSCRIPTION_LEASE_MS
+};
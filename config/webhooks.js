@@ -0,0 +1,31 @@
+// Events a subscription can ask for.
+const WEBHOOK_EVENTS = ['transcription-status'];
+
+// Outbound webhooks are queued in the WebhookDelivery collection and sent by a worker on every node.
+const WEBHOOK_WORKER_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS, 10) || 5000;
+const WEBHOOK_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 4;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// A failed delivery is retried after the initial delay, doubling each time up to the maximum,
+// and given up on after this many attempts.
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const WEBHOOK_RETRY_INITIAL_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_INITIAL_DELAY_MS, 10) || 30000;
+const WEBHOOK_RETRY_MAX_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS, 10) || 60 * 60 * 1000;
+const WEBHOOK_LEASE_MS = parseInt(process.env.WEBHOOK_LEASE_MS, 10) || 60000;
+// Subscriber URLs must be https unless this is set (for local development only).
+const WEBHOOK_ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+// Subscriber URLs may not reach loopback, private or link-local addresses unless this is set
+// (for local development only).
+const WEBHOOK_ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_WORKER_INTERVAL_MS,
+  WEBHOOK_CONCURRENCY,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_INITIAL_DELAY_MS,
+  WEBHOOK_RETRY_MAX_DELAY_MS,
+  WEBHOOK_LEASE_MS,
+  WEBHOOK_ALLOW_HTTP,
+  WEBHOOK_ALLOW_PRIVATE_NETWORKS
+};
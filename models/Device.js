@@ -24,6 +24,11 @@ const deviceSchema = new mongoose.Schema({
     enum: ['online', 'offline', 'busy'], 
     default: 'offline' 
   },
+  secretHash: {
+    type: String,
+    default: null,
+    select: false
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -72,4 +77,11 @@ deviceSchema.post('findOneAndUpdate', function(doc) {
   if (doc && doc.deviceName) doc.deviceName = decrypt(doc.deviceName);
 });
 
+deviceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secretHash;
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('Device', deviceSchema);
\ No newline at end of file
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+const appliedPolicySchema = new mongoose.Schema({
+  policyId: {
+    type: String,
+    default: null
+  },
+  organizationId: {
+    type: String,
+    default: null
+  },
+  roomType: {
+    type: String,
+    default: null
+  },
+  retentionDays: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const purgedRecordingSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true
+  },
+  recordingId: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  s3Bucket: {
+    type: String,
+    required: true
+  },
+  // Every object removed for the recording: the original, its renditions and any stored transcript.
+  deletedKeys: [String],
+  uploadedAt: {
+    type: Date,
+    required: true
+  },
+  expiredAt: {
+    type: Date,
+    required: true
+  },
+  policy: {
+    type: appliedPolicySchema,
+    required: true
+  }
+}, { _id: false });
+
+const skippedRecordingSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true
+  },
+  recordingId: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['legal-hold', 'processing'],
+    required: true
+  },
+  detail: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const failedRecordingSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true
+  },
+  recordingId: {
+    type: String,
+    required: true
+  },
+  error: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// The audit record of one retention run. A dry run lists what would have been purged without deleting anything.
+const purgeReportSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: String,
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  defaultRetentionDays: {
+    type: Number,
+    default: 0
+  },
+  policies: [appliedPolicySchema],
+  roomsExamined: {
+    type: Number,
+    default: 0
+  },
+  recordingsExamined: {
+    type: Number,
+    default: 0
+  },
+  purged: [purgedRecordingSchema],
+  skipped: [skippedRecordingSchema],
+  failed: [failedRecordingSchema],
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// At most one run in progress at a time, across every node running the scheduler.
+purgeReportSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+module.exports = mongoose.model('PurgeReport', purgeReportSchema);
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+const uploadPartSchema = new mongoose.Schema({
+  partNumber: {
+    type: Number,
+    required: true
+  },
+  etag: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: {
+    type: String,
+    default: null
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A resumable recording upload, backed by a storage multipart upload until it is completed or aborted.
+const recordingUploadSchema = new mongoose.Schema({
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  roomId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  participantId: {
+    type: String,
+    required: true
+  },
+  s3UploadId: {
+    type: String,
+    required: true
+  },
+  s3Key: {
+    type: String,
+    required: true
+  },
+  s3Bucket: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  partSize: {
+    type: Number,
+    required: true
+  },
+  totalParts: {
+    type: Number,
+    required: true
+  },
+  parts: [uploadPartSchema],
+  // Null for uploads started before parts carried checksums; their parts are sent without one.
+  checksumAlgorithm: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    // 'stored': the parts have been assembled into the object, which is not attached to the room yet.
+    enum: ['initiated', 'uploading', 'completing', 'stored', 'completed', 'aborted', 'expired', 'failed'],
+    default: 'initiated'
+  },
+  // Set while completing; garbage collection reopens the upload once it has passed.
+  completingUntil: {
+    type: Date,
+    default: null
+  },
+  // When storage assembled the parts; from then on the multipart upload no longer exists.
+  storedAt: {
+    type: Date,
+    default: null
+  },
+  // Encrypted, like the matching callRecordings fields they are copied to on completion.
+  startedBy: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: String,
+    required: true
+  },
+  startTime: {
+    type: Date,
+    default: null
+  },
+  endTime: {
+    type: Date,
+    default: null
+  },
+  duration: {
+    type: Number,
+    default: 0
+  },
+  recordingId: {
+    type: String,
+    default: null
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  consentId: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+recordingUploadSchema.index({ status: 1, expiresAt: 1 });
+
+recordingUploadSchema.methods.getMissingParts = function() {
+  const uploaded = new Set(this.parts.map(p => p.partNumber));
+  const missing = [];
+  for (let partNumber = 1; partNumber <= this.totalParts; partNumber += 1) {
+    if (!uploaded.has(partNumber)) missing.push(partNumber);
+  }
+  return missing;
+};
+
+// Every part but the last must be exactly partSize; the last carries the remainder.
+recordingUploadSchema.methods.expectedPartSize = function(partNumber) {
+  if (partNumber < this.totalParts) return this.partSize;
+  return this.fileSize - this.partSize * (this.totalParts - 1);
+};
+
+module.exports = mongoose.model('RecordingUpload', recordingUploadSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One signed playback/download URL handed out for a recording, one of its renditions or its transcript.
+const recordingUrlIssuanceSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true
+  },
+  recordingId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['original', 'mp4', 'thumbnail', 'audio', 'transcript'],
+    default: 'original'
+  },
+  // Null for a transcript link that points at the scribe service rather than our storage.
+  s3Bucket: {
+    type: String,
+    default: null
+  },
+  s3Key: {
+    type: String,
+    default: null
+  },
+  // SHA-256 of the issued URL, to match storage access log entries without storing the URL itself.
+  urlHash: {
+    type: String,
+    required: true
+  },
+  issuedTo: {
+    type: String,
+    required: true
+  },
+  issuedToType: {
+    type: String,
+    enum: ['participant', 'room-admin', 'server-admin'],
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+recordingUrlIssuanceSchema.index({ roomId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('RecordingUrlIssuance', recordingUrlIssuanceSchema);
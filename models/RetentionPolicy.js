@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// How long recordings are kept. A null organizationId or roomType matches any value, so a policy
+// with both null applies to every room that no more specific policy covers.
+const retentionPolicySchema = new mongoose.Schema({
+  organizationId: {
+    type: String,
+    default: null
+  },
+  roomType: {
+    type: String,
+    default: null
+  },
+  retentionDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+retentionPolicySchema.index({ organizationId: 1, roomType: 1 }, { unique: true });
+
+module.exports = mongoose.model('RetentionPolicy', retentionPolicySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_MAX_PARTICIPANTS, MAX_PARTICIPANTS_LIMIT } = require('../config/rooms');
 
 const participantSchema = new mongoose.Schema({
   participantId: {
@@ -21,6 +22,81 @@ const participantSchema = new mongoose.Schema({
   leftAt: {
     type: Date,
     default: null
+  },
+  leftReason: {
+    type: String,
+    default: null
+  },
+  reconnections: {
+    type: Number,
+    default: 0
+  }
+});
+
+const chatReceiptSchema = new mongoose.Schema({
+  participantId: {
+    type: String,
+    required: true
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Prior content is kept encrypted exactly as it was stored; redaction blanks it to null.
+const chatRevisionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['edit', 'delete', 'redact'],
+    required: true
+  },
+  message: {
+    type: String,
+    default: null
+  },
+  changedBy: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const chatAttachmentSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  s3Key: {
+    type: String,
+    required: true
+  },
+  s3Bucket: {
+    type: String,
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -44,9 +120,326 @@ const chatMessageSchema = new mongoose.Schema({
   sessionId: {
     type: String,
     default: null
+  },
+  attachments: [chatAttachmentSchema],
+  // Empty for room-wide messages; otherwise a private message visible only to these participants and the sender.
+  recipientIds: [String],
+  // Blind-index tokens (keyed HMACs of words) used for search; see services/chatHistoryService.js.
+  searchTokens: [String],
+  receipts: [chatReceiptSchema],
+  revisions: [chatRevisionSchema],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: String,
+    default: null
+  },
+  redactedAt: {
+    type: Date,
+    default: null
+  },
+  redactedBy: {
+    type: String,
+    default: null
   }
 });
 
+chatMessageSchema.methods.isVisibleTo = function(participantId) {
+  if (!this.recipientIds || this.recipientIds.length === 0) return true;
+  return this.senderId === participantId || this.recipientIds.includes(participantId);
+};
+
+// Participant IDs a private message is delivered to, or null when it goes to the whole room.
+chatMessageSchema.methods.getAudience = function() {
+  if (!this.recipientIds || this.recipientIds.length === 0) return null;
+  return [this.senderId, ...this.recipientIds];
+};
+
+const REDACTED_MESSAGE = '[redacted]';
+
+const lobbyRequestSchema = new mongoose.Schema({
+  participantId: {
+    type: String,
+    required: true
+  },
+  participantName: {
+    type: String,
+    required: true
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const admissionDecisionSchema = new mongoose.Schema({
+  participantId: {
+    type: String,
+    required: true
+  },
+  participantName: {
+    type: String,
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['admitted', 'denied'],
+    required: true
+  },
+  decidedBy: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  requestedAt: {
+    type: Date,
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const bannedParticipantSchema = new mongoose.Schema({
+  participantId: {
+    type: String,
+    required: true
+  },
+  bannedBy: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  bannedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const moderationActionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['remove', 'ban', 'unban', 'lock', 'unlock'],
+    required: true
+  },
+  participantId: {
+    type: String,
+    default: null
+  },
+  performedBy: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const screenShareSchema = new mongoose.Schema({
+  participantId: {
+    type: String,
+    required: true
+  },
+  participantName: {
+    type: String,
+    required: true
+  },
+  streamId: {
+    type: String,
+    default: null
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  endReason: {
+    type: String,
+    default: null
+  }
+});
+
+const consentResponseSchema = new mongoose.Schema({
+  participantId: {
+    type: String,
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['pending', 'granted', 'declined'],
+    default: 'pending'
+  },
+  askedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// One round of asking everyone in a session whether they agree to be recorded. Participants who
+// join later are added to the current round, so it only counts as granted once they agree too.
+const recordingConsentSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    default: null
+  },
+  requestedBy: {
+    type: String,
+    required: true
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when a newer request replaces this one.
+  supersededAt: {
+    type: Date,
+    default: null
+  },
+  responses: [consentResponseSchema]
+});
+
+recordingConsentSchema.methods.getStatus = function() {
+  if (this.supersededAt) return 'superseded';
+  if (this.responses.some(r => r.decision === 'declined')) return 'declined';
+  if (this.responses.length > 0 && this.responses.every(r => r.decision === 'granted')) return 'granted';
+  return 'pending';
+};
+
+// Recordings made in a participant's own browser and uploaded afterwards; tracked so peers know about them.
+const clientRecordingSchema = new mongoose.Schema({
+  participantId: {
+    type: String,
+    required: true
+  },
+  participantName: {
+    type: String,
+    required: true
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  consentId: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  stoppedAt: {
+    type: Date,
+    default: null
+  },
+  stopReason: {
+    type: String,
+    default: null
+  }
+});
+
+// Placed by compliance staff; while active, neither retention purges nor manual deletes may remove the media.
+const legalHoldSchema = new mongoose.Schema({
+  active: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  placedBy: {
+    type: String,
+    default: null
+  },
+  placedAt: {
+    type: Date,
+    default: null
+  },
+  releasedBy: {
+    type: String,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Outputs derived from a recording by services/recordingProcessingService.js.
+const recordingRenditionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['mp4', 'thumbnail', 'audio'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  s3Key: {
+    type: String,
+    default: null
+  },
+  mimeType: {
+    type: String,
+    default: null
+  },
+  fileSize: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
 const callRecordingSchema = new mongoose.Schema({
   fileName: {
     type: String,
@@ -57,10 +450,6 @@ const callRecordingSchema = new mongoose.Schema({
     required: true,
     index: true
   },
-  s3Url: {
-    type: String,
-    required: true
-  },
   s3Bucket: {
     type: String,
     required: true
@@ -93,10 +482,50 @@ const callRecordingSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Seconds. Replaced by the probed length once processing has read the file.
   duration: {
     type: Number,
     default: 0
   },
+  // The duration the uploader claimed, kept for comparison after probing.
+  reportedDuration: {
+    type: Number,
+    default: null
+  },
+  durationProbedAt: {
+    type: Date,
+    default: null
+  },
+  renditions: [recordingRenditionSchema],
+  // 'server' recordings are captured from the SFU; their start/end times and startedBy come from the server.
+  source: {
+    type: String,
+    enum: ['client', 'server'],
+    default: 'client'
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  // The consent round that covered the session when the recording was accepted.
+  consentId: {
+    type: String,
+    default: null
+  },
+  // Hex SHA-256 of the original as it went into storage; services/integrityService.js re-hashes against it.
+  sha256: {
+    type: String,
+    default: null
+  },
+  integrityStatus: {
+    type: String,
+    enum: ['intact', 'mismatch', 'missing', 'no-checksum', null],
+    default: null
+  },
+  integrityCheckedAt: {
+    type: Date,
+    default: null
+  },
   MedicalScribeJobName: {
     type: String,
     default: null
@@ -104,6 +533,28 @@ const callRecordingSchema = new mongoose.Schema({
   MedicaltxtURL: {
     type: String,
     default: null
+  },
+  // Copy of the finished transcript in our own storage, next to the recording.
+  transcriptKey: {
+    type: String,
+    default: null
+  },
+  transcriptSha256: {
+    type: String,
+    default: null
+  },
+  legalHold: {
+    type: legalHoldSchema,
+    default: () => ({})
+  },
+  // Set when the retention job deleted the media; the entry stays behind as the record that it existed.
+  purgedAt: {
+    type: Date,
+    default: null
+  },
+  purgeRunId: {
+    type: String,
+    default: null
   }
 });
 
@@ -118,6 +569,16 @@ const roomSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Used to pick the retention policy for the room's recordings; see services/retentionService.js.
+  organizationId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  roomType: {
+    type: String,
+    default: null
+  },
   creator: {
     participantId: {
       type: String,
@@ -133,9 +594,62 @@ const roomSchema = new mongoose.Schema({
       default: 'admin'
     }
   },
+  adminKeyHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  pinHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  pinAttempts: {
+    failures: {
+      type: Number,
+      default: 0
+    },
+    windowStartedAt: {
+      type: Date,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    }
+  },
   participants: [participantSchema],
+  settings: {
+    lobbyEnabled: {
+      type: Boolean,
+      default: false
+    },
+    locked: {
+      type: Boolean,
+      default: false
+    },
+    pinProtected: {
+      type: Boolean,
+      default: false
+    },
+    screenShareAdminOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+  lobbyQueue: [lobbyRequestSchema],
+  admissionDecisions: [admissionDecisionSchema],
+  bannedParticipants: [bannedParticipantSchema],
+  moderationActions: [moderationActionSchema],
+  screenShares: [screenShareSchema],
   chatMessages: [chatMessageSchema],
   callRecordings: [callRecordingSchema],
+  recordingConsents: [recordingConsentSchema],
+  clientRecordings: [clientRecordingSchema],
+  legalHold: {
+    type: legalHoldSchema,
+    default: () => ({})
+  },
   status: {
     type: String,
     enum: ['waiting', 'active', 'ended'],
@@ -161,7 +675,18 @@ const roomSchema = new mongoose.Schema({
     },
     maxParticipants: {
       type: Number,
-      default: 2
+      min: 2,
+      max: MAX_PARTICIPANTS_LIMIT,
+      default: DEFAULT_MAX_PARTICIPANTS
+    },
+    mediaMode: {
+      type: String,
+      enum: ['mesh', 'sfu'],
+      default: 'mesh'
+    },
+    reconnections: {
+      type: Number,
+      default: 0
     }
   },
   createdAt: {
@@ -188,33 +713,184 @@ roomSchema.methods.addParticipant = function(participantId, participantName, rol
   }
 };
 
-roomSchema.methods.removeParticipant = function(participantId) {
+roomSchema.methods.removeParticipant = function(participantId, reason = null) {
   const participant = this.participants.find(p => p.participantId === participantId);
   if (participant && !participant.leftAt) {
     participant.leftAt = new Date();
+    participant.leftReason = reason;
+  }
+};
+
+roomSchema.methods.isBanned = function(participantId) {
+  return this.bannedParticipants.some(b => b.participantId === participantId);
+};
+
+roomSchema.methods.recordModerationAction = function(action, participantId, performedBy, reason) {
+  this.moderationActions.push({
+    action,
+    participantId: participantId || null,
+    performedBy,
+    reason: reason || null,
+    sessionId: this.sessionId,
+    performedAt: new Date()
+  });
+};
+
+roomSchema.methods.enqueueLobbyRequest = function(participantId, participantName) {
+  const exists = this.lobbyQueue.some(r => r.participantId === participantId);
+  if (!exists) {
+    this.lobbyQueue.push({
+      participantId,
+      participantName,
+      requestedAt: new Date()
+    });
   }
 };
 
+roomSchema.methods.recordAdmissionDecision = function(participantId, decision, decidedBy, reason) {
+  const request = this.lobbyQueue.find(r => r.participantId === participantId);
+  if (!request) return null;
+
+  this.lobbyQueue = this.lobbyQueue.filter(r => r.participantId !== participantId);
+  this.admissionDecisions.push({
+    participantId,
+    participantName: request.participantName,
+    decision,
+    decidedBy,
+    reason: reason || null,
+    sessionId: this.sessionId,
+    requestedAt: request.requestedAt,
+    decidedAt: new Date()
+  });
+  return request;
+};
+
+roomSchema.methods.isAdmittedThisSession = function(participantId) {
+  return this.admissionDecisions.some(d =>
+    d.participantId === participantId &&
+    d.decision === 'admitted' &&
+    d.sessionId === this.sessionId
+  );
+};
+
+roomSchema.methods.getActiveScreenShare = function() {
+  return this.screenShares.find(s => !s.endedAt && s.sessionId === this.sessionId) || null;
+};
+
+roomSchema.methods.startScreenShare = function(participantId, participantName, streamId) {
+  this.screenShares.push({
+    participantId,
+    participantName,
+    streamId: streamId || null,
+    sessionId: this.sessionId,
+    startedAt: new Date()
+  });
+  return this.screenShares[this.screenShares.length - 1];
+};
+
+// Closes every open share, including ones orphaned by a previous session.
+roomSchema.methods.endScreenShare = function(reason) {
+  const active = this.getActiveScreenShare();
+  const now = new Date();
+  this.screenShares.forEach(s => {
+    if (!s.endedAt) {
+      s.endedAt = now;
+      s.endReason = reason;
+    }
+  });
+  return active;
+};
+
 roomSchema.methods.calculateDuration = function() {
   if (this.callStartTime && this.callEndTime) {
     this.callDuration = Math.floor((this.callEndTime - this.callStartTime) / 1000);
   }
 };
 
-roomSchema.methods.addChatMessage = function(senderId, senderName, message) {
+roomSchema.methods.addChatMessage = function(senderId, senderName, message, attachments = [], searchTokens = [], recipientIds = []) {
   this.chatMessages.push({
     senderId,
     senderName,
     message,
-    timestamp: new Date()
+    attachments,
+    recipientIds,
+    searchTokens,
+    timestamp: new Date(),
+    sessionId: this.sessionId
+  });
+  return this.chatMessages[this.chatMessages.length - 1];
+};
+
+// Message IDs are the chat subdocument _id. Returns the updated receipt, or null when the
+// message is unknown, was sent by the participant themselves or is a private message they are not part of.
+roomSchema.methods.recordChatReceipt = function(messageId, participantId, status) {
+  const chatMessage = this.chatMessages.find(m => m.id === messageId);
+  if (!chatMessage || chatMessage.senderId === participantId || !chatMessage.isVisibleTo(participantId)) return null;
+
+  let receipt = chatMessage.receipts.find(r => r.participantId === participantId);
+  if (!receipt) {
+    chatMessage.receipts.push({ participantId });
+    receipt = chatMessage.receipts[chatMessage.receipts.length - 1];
+  }
+
+  const now = new Date();
+  if (!receipt.deliveredAt) {
+    receipt.deliveredAt = now;
+  }
+  if (status === 'read' && !receipt.readAt) {
+    receipt.readAt = now;
+  }
+  return { chatMessage, receipt };
+};
+
+roomSchema.methods.findChatMessage = function(messageId) {
+  return this.chatMessages.find(m => m.id === messageId) || null;
+};
+
+roomSchema.methods.findChatAttachment = function(attachmentId) {
+  for (const chatMessage of this.chatMessages) {
+    const attachment = chatMessage.attachments.find(a => a.id === attachmentId);
+    if (attachment) return { chatMessage, attachment };
+  }
+  return null;
+};
+
+roomSchema.methods.editChatMessage = function(chatMessage, encryptedMessage, editedBy, searchTokens = []) {
+  const now = new Date();
+  chatMessage.revisions.push({ action: 'edit', message: chatMessage.message, changedBy: editedBy, changedAt: now });
+  chatMessage.message = encryptedMessage;
+  chatMessage.searchTokens = searchTokens;
+  chatMessage.editedAt = now;
+};
+
+roomSchema.methods.deleteChatMessage = function(chatMessage, deletedBy) {
+  const now = new Date();
+  chatMessage.revisions.push({ action: 'delete', message: chatMessage.message, changedBy: deletedBy, changedAt: now });
+  chatMessage.deletedAt = now;
+  chatMessage.deletedBy = deletedBy;
+  chatMessage.searchTokens = [];
+};
+
+// Redaction destroys the content, attachments and every stored prior version, leaving only the tombstone
+// and the record of who changed the message and when.
+roomSchema.methods.redactChatMessage = function(chatMessage, redactedBy, reason) {
+  const now = new Date();
+  chatMessage.revisions.forEach(r => {
+    r.message = null;
   });
+  chatMessage.revisions.push({ action: 'redact', message: null, changedBy: redactedBy, reason: reason || null, changedAt: now });
+  chatMessage.message = REDACTED_MESSAGE;
+  chatMessage.attachments = [];
+  chatMessage.searchTokens = [];
+  chatMessage.redactedAt = now;
+  chatMessage.redactedBy = redactedBy;
 };
 
-roomSchema.methods.addCallRecording = function(s3Key, s3Url, s3Bucket, fileName, fileSize, mimeType, startedBy, uploadedBy, startTime, endTime, duration) {
+// Recordings are stored privately; there is no permanent URL, only signed ones issued per request.
+roomSchema.methods.addCallRecording = function(s3Key, s3Bucket, fileName, fileSize, mimeType, startedBy, uploadedBy, startTime, endTime, duration, source = 'client', { sessionId = null, consentId = null, sha256 = null } = {}) {
   this.callRecordings.push({
     fileName,
     s3Key,
-    s3Url,
     s3Bucket,
     fileSize,
     mimeType,
@@ -223,12 +899,138 @@ roomSchema.methods.addCallRecording = function(s3Key, s3Url, s3Bucket, fileName,
     uploadedAt: new Date(),
     startTime,
     endTime,
-    duration
+    duration,
+    source,
+    sessionId,
+    consentId,
+    sha256
+  });
+  return this.callRecordings[this.callRecordings.length - 1];
+};
+
+roomSchema.methods.findCallRecording = function(recordingId) {
+  return this.callRecordings.find(r => r.id === recordingId) || null;
+};
+
+// The current consent round for a session, ignoring rounds replaced by a newer request.
+roomSchema.methods.getRecordingConsent = function(sessionId = this.sessionId) {
+  for (let i = this.recordingConsents.length - 1; i >= 0; i--) {
+    const consent = this.recordingConsents[i];
+    if (consent.sessionId === sessionId && !consent.supersededAt) return consent;
+  }
+  return null;
+};
+
+roomSchema.methods.hasRecordingConsent = function(sessionId = this.sessionId) {
+  const consent = this.getRecordingConsent(sessionId);
+  return !!consent && consent.getStatus() === 'granted';
+};
+
+// Asks everyone in participantIds; the requester agrees by asking.
+roomSchema.methods.requestRecordingConsent = function(requestedBy, participantIds) {
+  const now = new Date();
+  const previous = this.getRecordingConsent();
+  if (previous) {
+    previous.supersededAt = now;
+  }
+  this.recordingConsents.push({
+    sessionId: this.sessionId,
+    requestedBy,
+    requestedAt: now,
+    responses: [...new Set([requestedBy, ...participantIds])].map(participantId => ({
+      participantId,
+      decision: participantId === requestedBy ? 'granted' : 'pending',
+      askedAt: now,
+      respondedAt: participantId === requestedBy ? now : null
+    }))
+  });
+  return this.recordingConsents[this.recordingConsents.length - 1];
+};
+
+// Adds a participant to the current round if they have not been asked yet. Returns their response entry.
+roomSchema.methods.askForRecordingConsent = function(participantId) {
+  const consent = this.getRecordingConsent();
+  if (!consent) return null;
+  let response = consent.responses.find(r => r.participantId === participantId);
+  if (!response) {
+    consent.responses.push({ participantId, askedAt: new Date() });
+    response = consent.responses[consent.responses.length - 1];
+  }
+  return response;
+};
+
+// Answers may be changed while the round is current; a later "no" withdraws an earlier "yes".
+roomSchema.methods.recordConsentResponse = function(consent, participantId, granted) {
+  let response = consent.responses.find(r => r.participantId === participantId);
+  if (!response) {
+    consent.responses.push({ participantId, askedAt: consent.requestedAt });
+    response = consent.responses[consent.responses.length - 1];
+  }
+  response.decision = granted ? 'granted' : 'declined';
+  response.respondedAt = new Date();
+  return response;
+};
+
+roomSchema.methods.getActiveClientRecordings = function() {
+  return this.clientRecordings.filter(r => !r.stoppedAt && r.sessionId === this.sessionId);
+};
+
+roomSchema.methods.startClientRecording = function(participantId, participantName, consentId) {
+  this.clientRecordings.push({
+    participantId,
+    participantName,
+    sessionId: this.sessionId,
+    consentId,
+    startedAt: new Date()
   });
+  return this.clientRecordings[this.clientRecordings.length - 1];
 };
 
+// Stops the participant's open client recordings, or every one when participantId is null.
+roomSchema.methods.stopClientRecordings = function(participantId, reason) {
+  const now = new Date();
+  const stopped = this.clientRecordings.filter(r => !r.stoppedAt && (!participantId || r.participantId === participantId));
+  stopped.forEach(r => {
+    r.stoppedAt = now;
+    r.stopReason = reason;
+  });
+  return stopped;
+};
+
+// A hold on the room covers every recording in it.
+roomSchema.methods.isOnLegalHold = function(recording = null) {
+  return !!(this.legalHold && this.legalHold.active) ||
+    !!(recording && recording.legalHold && recording.legalHold.active);
+};
+
+roomSchema.methods.placeLegalHold = function(target, reason, placedBy) {
+  target.legalHold = { active: true, reason, placedBy, placedAt: new Date(), releasedBy: null, releasedAt: null };
+};
+
+roomSchema.methods.releaseLegalHold = function(target, releasedBy) {
+  target.legalHold.active = false;
+  target.legalHold.releasedBy = releasedBy;
+  target.legalHold.releasedAt = new Date();
+};
+
+roomSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.adminKeyHash;
+    delete ret.pinHash;
+    delete ret.pinAttempts;
+    // Chat, private messages included, is only read through GET /:roomId/chat, which filters it per viewer.
+    delete ret.chatMessages;
+    // Transcript links go out through the transcript endpoints, which check the caller and record the issuance.
+    (ret.callRecordings || []).forEach(recording => {
+      delete recording.MedicaltxtURL;
+    });
+    return ret;
+  }
+});
+
 roomSchema.index({ 'creator.participantId': 1 });
 roomSchema.index({ status: 1, createdAt: -1 });
 roomSchema.index({ 'callRecordings.s3Key': 1 });
+roomSchema.index({ 'callRecordings.uploadedAt': 1 });
 
 module.exports = mongoose.model('Room', roomSchema);
\ No newline at end of file
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// One Medical Scribe job for one recording, advanced by services/transcriptionService.js until it
+// reaches a terminal status (completed, failed or cancelled).
+const transcriptionJobSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  recordingId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in-progress', 'completed', 'failed', 'cancelled'],
+    default: 'in-progress'
+  },
+  // The last MedicalScribeJobStatus the scribe service reported.
+  scribeStatus: {
+    type: String,
+    default: null
+  },
+  requestedBy: {
+    type: String,
+    default: null
+  },
+  checks: {
+    type: Number,
+    default: 0
+  },
+  consecutiveErrors: {
+    type: Number,
+    default: 0
+  },
+  nextCheckAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a node is checking the job; expired leases are free to claim.
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: () => new Date(0)
+  },
+  transcriptUrl: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+transcriptionJobSchema.index({ status: 1, nextCheckAt: 1 });
+transcriptionJobSchema.index({ roomId: 1, recordingId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TranscriptionJob', transcriptionJobSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const deliveryAttemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    required: true
+  },
+  // Null when no response came back (timeout, DNS, refused connection).
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// One event queued for one subscription, with every attempt made to deliver it.
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  subscriptionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: [deliveryAttemptSchema],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: () => new Date(0)
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // Why the last attempt failed, or why the delivery was given up on.
+  error: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
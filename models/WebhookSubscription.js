@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+// A URL that is sent signed event notifications for one room, or for every room of an organisation.
+const webhookSubscriptionSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  roomId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  organizationId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Encrypted with ENCRYPTION_KEY; deliveries are signed with it, so it cannot be a one-way hash.
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    default: () => [...WEBHOOK_EVENTS]
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
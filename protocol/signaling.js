@@ -0,0 +1,571 @@
+const Joi = require('joi');
+
+// Single source of truth for the WebSocket signaling protocol. Inbound schemas are enforced by
+// server.js; outbound schemas document what the server sends and are served at /api/protocol/signaling.
+
+const ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  MESSAGE_TOO_LARGE: 'MESSAGE_TOO_LARGE',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  MEDIA_MODE_MISMATCH: 'MEDIA_MODE_MISMATCH',
+  MEDIA_ERROR: 'MEDIA_ERROR',
+  DEVICE_NOT_CONNECTED: 'DEVICE_NOT_CONNECTED',
+  NOT_FOUND: 'NOT_FOUND',
+  PIN_REQUIRED: 'PIN_REQUIRED',
+  INVALID_PIN: 'INVALID_PIN',
+  PIN_LOCKED: 'PIN_LOCKED',
+  SCREEN_SHARE_ACTIVE: 'SCREEN_SHARE_ACTIVE',
+  MESSAGE_NOT_EDITABLE: 'MESSAGE_NOT_EDITABLE',
+  RECORDING_ACTIVE: 'RECORDING_ACTIVE',
+  RECORDING_UNAVAILABLE: 'RECORDING_UNAVAILABLE',
+  CONSENT_REQUIRED: 'CONSENT_REQUIRED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const requestId = Joi.string().max(64);
+const id = Joi.string().max(100);
+const sdpPayload = Joi.alternatives().try(Joi.object(), Joi.string().max(20000));
+
+// Set on private messages; omitted or empty means the whole room.
+const recipientIds = Joi.array().items(id).max(50);
+
+const chatCursor = Joi.alternatives().try(Joi.string().hex().length(24), Joi.date().iso());
+
+const chatHistoryQuery = {
+  before: chatCursor,
+  after: chatCursor,
+  limit: Joi.number().integer().min(1).max(200),
+  sessionId: Joi.string().max(100),
+  senderId: id,
+  q: Joi.string().trim().min(2).max(200)
+};
+
+const message = (type, keys = {}) => Joi.object({
+  type: Joi.string().valid(type).required(),
+  requestId,
+  ...keys
+});
+
+// WebRTC and call-control payloads are relayed verbatim, so unknown keys are kept.
+const relayed = (type, keys = {}) => message(type, keys).unknown(true);
+
+const inbound = {
+  room: {
+    'join-room': message('join-room', {
+      pin: Joi.string().max(64)
+    }),
+    'leave-room': message('leave-room'),
+    'chat-message': message('chat-message', {
+      message: Joi.string().trim().min(1).max(1000).required(),
+      recipientIds
+    }),
+    'get-chat-history': message('get-chat-history', chatHistoryQuery),
+    'chat-edit': message('chat-edit', {
+      messageId: id.required(),
+      message: Joi.string().trim().min(1).max(1000).required()
+    }),
+    'chat-delete': message('chat-delete', {
+      messageId: id.required()
+    }),
+    'chat-redact': message('chat-redact', {
+      messageId: id.required(),
+      reason: Joi.string().trim().max(200)
+    }),
+    'chat-delivered': message('chat-delivered', {
+      messageIds: Joi.array().items(id).min(1).max(100).required()
+    }),
+    'chat-read': message('chat-read', {
+      messageIds: Joi.array().items(id).min(1).max(100).required()
+    }),
+    'typing': message('typing', {
+      isTyping: Joi.boolean().required(),
+      recipientIds
+    }),
+    'webrtc-offer': relayed('webrtc-offer', { offer: sdpPayload, sdp: sdpPayload }),
+    'webrtc-answer': relayed('webrtc-answer', { answer: sdpPayload, sdp: sdpPayload }),
+    'webrtc-ice-candidate': relayed('webrtc-ice-candidate', {
+      candidate: Joi.alternatives().try(Joi.object(), Joi.string().max(2000)).allow(null)
+    }),
+    'get-router-rtp-capabilities': message('get-router-rtp-capabilities'),
+    'create-webrtc-transport': message('create-webrtc-transport', {
+      direction: Joi.string().valid('send', 'recv').default('send')
+    }),
+    'connect-webrtc-transport': message('connect-webrtc-transport', {
+      transportId: id.required(),
+      dtlsParameters: Joi.object().required()
+    }),
+    'produce': message('produce', {
+      transportId: id.required(),
+      kind: Joi.string().valid('audio', 'video').required(),
+      rtpParameters: Joi.object().required(),
+      appData: Joi.object()
+    }),
+    'consume': message('consume', {
+      transportId: id.required(),
+      producerId: id.required(),
+      rtpCapabilities: Joi.object().required()
+    }),
+    'resume-consumer': message('resume-consumer', {
+      consumerId: id.required()
+    }),
+    'close-producer': message('close-producer', {
+      producerId: id.required()
+    }),
+    'admin-control-media': message('admin-control-media', {
+      targetParticipantId: id.required(),
+      mediaType: Joi.string().valid('audio', 'video').required(),
+      enabled: Joi.boolean().required()
+    }),
+    'admit-participant': message('admit-participant', {
+      participantId: id.required()
+    }),
+    'deny-participant': message('deny-participant', {
+      participantId: id.required(),
+      reason: Joi.string().trim().max(200)
+    }),
+    'remove-participant': message('remove-participant', {
+      participantId: id.required(),
+      reason: Joi.string().trim().max(200)
+    }),
+    'ban-participant': message('ban-participant', {
+      participantId: id.required(),
+      reason: Joi.string().trim().max(200)
+    }),
+    'unban-participant': message('unban-participant', {
+      participantId: id.required()
+    }),
+    'screen-share-start': message('screen-share-start', {
+      streamId: id
+    }),
+    'screen-share-stop': message('screen-share-stop'),
+    'recording-start': message('recording-start'),
+    'recording-stop': message('recording-stop'),
+    'recording-consent-request': message('recording-consent-request'),
+    'recording-consent-response': message('recording-consent-response', {
+      consentId: id.required(),
+      granted: Joi.boolean().required()
+    }),
+    'client-recording-start': message('client-recording-start'),
+    'client-recording-stop': message('client-recording-stop'),
+    'lock-room': message('lock-room'),
+    'unlock-room': message('unlock-room')
+  },
+  device: {
+    'register': message('register', {
+      deviceId: id,
+      deviceName: Joi.string().max(100)
+    }),
+    'call-initiate': relayed('call-initiate', { targetDeviceId: id.required() }),
+    'call-accept': relayed('call-accept', { targetDeviceId: id.required() }),
+    'call-reject': relayed('call-reject', { targetDeviceId: id.required() }),
+    'call-busy': relayed('call-busy', { targetDeviceId: id.required() }),
+    'call-end': relayed('call-end', { targetDeviceId: id.required() }),
+    'call-missed': relayed('call-missed', { targetDeviceId: id.required() }),
+    'chat-message': relayed('chat-message', {
+      targetDeviceId: id.required(),
+      message: Joi.string().max(1000)
+    }),
+    'webrtc-offer': relayed('webrtc-offer', { targetDeviceId: id.required() }),
+    'webrtc-answer': relayed('webrtc-answer', { targetDeviceId: id.required() }),
+    'webrtc-ice-candidate': relayed('webrtc-ice-candidate', { targetDeviceId: id.required() })
+  }
+};
+
+const participantSummary = Joi.object({
+  id: id.required(),
+  name: Joi.string().required(),
+  role: Joi.string().valid('admin', 'user').required(),
+  connected: Joi.boolean()
+});
+
+const chatReceipt = Joi.object({
+  participantId: id.required(),
+  deliveredAt: Joi.date().allow(null),
+  readAt: Joi.date().allow(null)
+});
+
+const chatAttachment = Joi.object({
+  attachmentId: id.required(),
+  fileName: Joi.string().required(),
+  mimeType: Joi.string().required(),
+  fileSize: Joi.number().integer().required()
+});
+
+const chatEntry = Joi.object({
+  messageId: id.required(),
+  senderId: id.required(),
+  senderName: Joi.string().required(),
+  message: Joi.string().allow(null).required(),
+  attachments: Joi.array().items(chatAttachment),
+  recipientIds: Joi.array().items(id),
+  timestamp: Joi.date().required(),
+  sessionId: Joi.string().allow(null),
+  editedAt: Joi.date().allow(null),
+  deletedAt: Joi.date().allow(null),
+  redactedAt: Joi.date().allow(null),
+  receipts: Joi.array().items(chatReceipt)
+});
+
+const producerSummary = Joi.object({
+  producerId: id.required(),
+  participantId: id.required(),
+  kind: Joi.string().valid('audio', 'video').required()
+});
+
+const lobbyRequest = Joi.object({
+  participantId: id.required(),
+  participantName: Joi.string().required(),
+  requestedAt: Joi.date().required()
+});
+
+const presenterSummary = Joi.object({
+  participantId: id.required(),
+  participantName: Joi.string().required(),
+  streamId: id.allow(null),
+  startedAt: Joi.date().required()
+});
+
+const recordingKeys = {
+  roomId: id.required(),
+  recordingId: id.required(),
+  startedBy: id.required(),
+  startedAt: Joi.date().required(),
+  endedAt: Joi.date().allow(null),
+  duration: Joi.number().integer().allow(null),
+  stoppedBy: id.allow(null),
+  reason: Joi.string().valid('stopped', 'room-empty', 'recorder-exited', 'consent-declined', 'consent-pending').allow(null)
+};
+
+const consentSummary = Joi.object({
+  consentId: id.required(),
+  sessionId: Joi.string().allow(null).required(),
+  status: Joi.string().valid('pending', 'granted', 'declined', 'superseded').required(),
+  requestedBy: id.required(),
+  requestedAt: Joi.date().required(),
+  responses: Joi.array().items(Joi.object({
+    participantId: id.required(),
+    decision: Joi.string().valid('pending', 'granted', 'declined').required(),
+    askedAt: Joi.date().required(),
+    respondedAt: Joi.date().allow(null)
+  })).required()
+});
+
+const clientRecordingSummary = Joi.object({
+  participantId: id.required(),
+  participantName: Joi.string().required(),
+  startedAt: Joi.date().required()
+});
+
+const errorMessage = message('error', {
+  code: Joi.string().valid(...Object.values(ERROR_CODES)).required(),
+  message: Joi.string().required()
+});
+
+const outbound = {
+  room: {
+    'room-status': message('room-status', {
+      status: Joi.string().valid('waiting', 'ready', 'full', 'locked', 'banned').required(),
+      roomId: id.required(),
+      role: Joi.string().valid('admin', 'user'),
+      mediaMode: Joi.string().valid('mesh', 'sfu'),
+      maxParticipants: Joi.number().integer(),
+      resumeToken: Joi.string(),
+      reconnectGraceMs: Joi.number().integer(),
+      locked: Joi.boolean(),
+      presenter: presenterSummary.allow(null),
+      recording: Joi.object(recordingKeys).allow(null),
+      recordingConsent: consentSummary.allow(null),
+      clientRecordings: Joi.array().items(clientRecordingSummary),
+      otherParticipant: participantSummary,
+      participants: Joi.array().items(participantSummary),
+      producers: Joi.array().items(producerSummary),
+      lobbyRequests: Joi.array().items(lobbyRequest)
+    }),
+    'chat-history': message('chat-history', {
+      roomId: id.required(),
+      chatMessages: Joi.array().items(chatEntry).required(),
+      totalMessages: Joi.number().integer().required(),
+      hasMore: Joi.boolean().required(),
+      cursors: Joi.object({
+        before: id.allow(null),
+        after: id.allow(null)
+      }).required()
+    }),
+    'chat-message': message('chat-message', {
+      roomId: id.required(),
+      messageId: id.required(),
+      participantId: id.required(),
+      senderId: id.required(),
+      senderName: Joi.string().required(),
+      message: Joi.string().required(),
+      attachments: Joi.array().items(chatAttachment),
+      recipientIds: Joi.array().items(id),
+      timestamp: Joi.date().required()
+    }),
+    'chat-message-updated': message('chat-message-updated', {
+      roomId: id.required(),
+      messageId: id.required(),
+      message: Joi.string().required(),
+      editedBy: id.required(),
+      editedAt: Joi.date().required()
+    }),
+    'chat-message-deleted': message('chat-message-deleted', {
+      roomId: id.required(),
+      messageId: id.required(),
+      mode: Joi.string().valid('deleted', 'redacted').required(),
+      deletedBy: id.required(),
+      deletedAt: Joi.date().required(),
+      reason: Joi.string().allow(null)
+    }),
+    'chat-sent': message('chat-sent', {
+      messageId: id.required(),
+      timestamp: Joi.date().required()
+    }),
+    'chat-receipt': message('chat-receipt', {
+      messageId: id.required(),
+      participantId: id.required(),
+      status: Joi.string().valid('delivered', 'read').required(),
+      deliveredAt: Joi.date().required(),
+      readAt: Joi.date().allow(null)
+    }),
+    'typing': message('typing', {
+      participantId: id.required(),
+      participantName: Joi.string().required(),
+      isTyping: Joi.boolean().required(),
+      recipientIds: Joi.array().items(id)
+    }),
+    'participant-joined': message('participant-joined', {
+      participantId: id.required(),
+      participantName: Joi.string().required(),
+      role: Joi.string().valid('admin', 'user').required()
+    }),
+    'participant-left': message('participant-left', {
+      participantId: id.required()
+    }),
+    'participant-reconnecting': message('participant-reconnecting', {
+      participantId: id.required(),
+      graceMs: Joi.number().integer().required()
+    }),
+    'participant-resumed': message('participant-resumed', {
+      participantId: id.required()
+    }),
+    'session-resumed': message('session-resumed', {
+      roomId: id.required(),
+      role: Joi.string().valid('admin', 'user').required(),
+      mediaMode: Joi.string().valid('mesh', 'sfu').required(),
+      maxParticipants: Joi.number().integer().required(),
+      resumeToken: Joi.string().required(),
+      reconnectGraceMs: Joi.number().integer().required(),
+      participants: Joi.array().items(participantSummary).required()
+    }),
+    // The socket is closed (4001) right after; reconnect with a fresh join token.
+    'resume-failed': message('resume-failed', {
+      roomId: id.required(),
+      message: Joi.string().required()
+    }),
+    'lobby-waiting': message('lobby-waiting', {
+      roomId: id.required()
+    }),
+    'lobby-admitted': message('lobby-admitted', {
+      roomId: id.required()
+    }),
+    'lobby-denied': message('lobby-denied', {
+      roomId: id.required(),
+      reason: Joi.string().allow(null)
+    }),
+    'lobby-request': message('lobby-request', {
+      participantId: id.required(),
+      participantName: Joi.string().required(),
+      requestedAt: Joi.date().required()
+    }),
+    'lobby-request-withdrawn': message('lobby-request-withdrawn', {
+      participantId: id.required()
+    }),
+    'lobby-decision': message('lobby-decision', {
+      participantId: id.required(),
+      decision: Joi.string().valid('admitted', 'denied').required(),
+      decidedBy: id.required()
+    }),
+    'screen-share-started': message('screen-share-started', {
+      participantId: id.required(),
+      participantName: Joi.string().required(),
+      streamId: id.allow(null),
+      startedAt: Joi.date().required()
+    }),
+    'screen-share-stopped': message('screen-share-stopped', {
+      participantId: id.required(),
+      stoppedBy: id.required(),
+      reason: Joi.string().valid('stopped', 'stopped-by-admin', 'presenter-left').required()
+    }),
+    'recording-started': message('recording-started', recordingKeys),
+    'recording-stopped': message('recording-stopped', recordingKeys),
+    'recording-saved': message('recording-saved', {
+      ...recordingKeys,
+      fileName: Joi.string().required(),
+      fileSize: Joi.number().integer().required(),
+      s3Key: Joi.string().required(),
+      sha256: Joi.string().hex().length(64).required()
+    }),
+    'recording-failed': message('recording-failed', {
+      ...recordingKeys,
+      error: Joi.string().required()
+    }),
+    // Sent to admins when a Medical Scribe job changes state; the transcript itself is fetched over the API.
+    'transcription-status': message('transcription-status', {
+      roomId: id.required(),
+      recordingId: id.required(),
+      jobName: Joi.string().required(),
+      status: Joi.string().valid('in-progress', 'completed', 'failed', 'cancelled').required(),
+      scribeStatus: Joi.string().allow(null).required(),
+      error: Joi.string().allow(null).required(),
+      transcriptAvailable: Joi.boolean().required(),
+      updatedAt: Joi.date().required()
+    }),
+    'recording-consent-request': message('recording-consent-request', {
+      roomId: id.required(),
+      consentId: id.required(),
+      requestedBy: id.required(),
+      requestedAt: Joi.date().required()
+    }),
+    // Sent to admins whenever anyone answers or joins the current round.
+    'recording-consent-updated': message('recording-consent-updated', {
+      roomId: id.required(),
+      consent: consentSummary.required()
+    }),
+    'client-recording-started': message('client-recording-started', {
+      roomId: id.required(),
+      participantId: id.required(),
+      participantName: Joi.string().required(),
+      startedAt: Joi.date().required()
+    }),
+    'client-recording-stopped': message('client-recording-stopped', {
+      roomId: id.required(),
+      participantId: id.required(),
+      stoppedAt: Joi.date().required(),
+      reason: Joi.string().valid('stopped', 'participant-left', 'room-empty', 'consent-declined', 'consent-pending').required()
+    }),
+    'removed-from-room': message('removed-from-room', {
+      roomId: id.required(),
+      action: Joi.string().valid('remove', 'ban').required(),
+      reason: Joi.string().allow(null)
+    }),
+    'moderation-action': message('moderation-action', {
+      action: Joi.string().valid('remove', 'ban', 'unban', 'lock', 'unlock').required(),
+      participantId: id.allow(null),
+      performedBy: id.required(),
+      reason: Joi.string().allow(null)
+    }),
+    'admin-media-control': message('admin-media-control', {
+      mediaType: Joi.string().valid('audio', 'video').required(),
+      enabled: Joi.boolean().required(),
+      fromAdmin: id.required()
+    }),
+    'webrtc-offer': relayed('webrtc-offer'),
+    'webrtc-answer': relayed('webrtc-answer'),
+    'webrtc-ice-candidate': relayed('webrtc-ice-candidate'),
+    'router-rtp-capabilities': message('router-rtp-capabilities', {
+      rtpCapabilities: Joi.object().required()
+    }),
+    'webrtc-transport-created': message('webrtc-transport-created', {
+      direction: Joi.string().valid('send', 'recv').required(),
+      id: id.required(),
+      iceParameters: Joi.object().required(),
+      iceCandidates: Joi.array().required(),
+      dtlsParameters: Joi.object().required()
+    }),
+    'webrtc-transport-connected': message('webrtc-transport-connected', {
+      transportId: id.required()
+    }),
+    'produced': message('produced', {
+      producerId: id.required(),
+      kind: Joi.string().valid('audio', 'video').required()
+    }),
+    'new-producer': message('new-producer', {
+      producerId: id.required(),
+      participantId: id.required(),
+      kind: Joi.string().valid('audio', 'video').required()
+    }),
+    'consumed': message('consumed', {
+      consumerId: id.required(),
+      producerId: id.required(),
+      kind: Joi.string().valid('audio', 'video').required(),
+      rtpParameters: Joi.object().required()
+    }).unknown(true),
+    'consumer-resumed': message('consumer-resumed', {
+      consumerId: id.required()
+    }),
+    'producer-closed': message('producer-closed', {
+      producerId: id.required(),
+      participantId: id.required()
+    }),
+    'consumer-closed': message('consumer-closed', {
+      consumerId: id.required(),
+      producerId: id.required()
+    }),
+    'error': errorMessage
+  },
+  device: {
+    'registered': message('registered', {
+      deviceId: id.required()
+    }),
+    'call-initiate': relayed('call-initiate', { fromDeviceId: id.required() }),
+    'call-accept': relayed('call-accept', { fromDeviceId: id.required() }),
+    'call-reject': relayed('call-reject', { fromDeviceId: id.required() }),
+    'call-busy': relayed('call-busy', { fromDeviceId: id.required() }),
+    'call-end': relayed('call-end', { fromDeviceId: id.required() }),
+    'call-missed': relayed('call-missed', { fromDeviceId: id.required() }),
+    'chat-message': relayed('chat-message', { fromDeviceId: id.required() }),
+    'webrtc-offer': relayed('webrtc-offer', { fromDeviceId: id.required() }),
+    'webrtc-answer': relayed('webrtc-answer', { fromDeviceId: id.required() }),
+    'webrtc-ice-candidate': relayed('webrtc-ice-candidate', { fromDeviceId: id.required() }),
+    'error': errorMessage
+  }
+};
+
+function validateInbound(serviceType, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.type !== 'string') {
+    return { success: false, code: ERROR_CODES.INVALID_MESSAGE, error: 'Message must be an object with a string "type"' };
+  }
+
+  const schema = inbound[serviceType] && inbound[serviceType][data.type];
+  if (!schema) {
+    return { success: false, code: ERROR_CODES.UNKNOWN_TYPE, error: `Unknown message type: ${data.type}` };
+  }
+
+  const { error, value } = schema.validate(data, { stripUnknown: true });
+  if (error) {
+    return { success: false, code: ERROR_CODES.INVALID_MESSAGE, error: error.details[0].message };
+  }
+  return { success: true, data: value };
+}
+
+function describeProtocol() {
+  const describeAll = (schemas) => Object.fromEntries(
+    Object.entries(schemas).map(([type, schema]) => [type, schema.describe()])
+  );
+
+  return {
+    errorCodes: Object.values(ERROR_CODES),
+    inbound: {
+      room: describeAll(inbound.room),
+      device: describeAll(inbound.device)
+    },
+    outbound: {
+      room: describeAll(outbound.room),
+      device: describeAll(outbound.device)
+    }
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  chatHistoryQuery,
+  recipientIds,
+  inbound,
+  outbound,
+  validateInbound,
+  describeProtocol
+};
@@ -7,53 +7,93 @@ const winston = require('winston');
 const CryptoJS = require('crypto-js');
 const fs = require('fs');
 const path = require('path');
-const AWS = require('aws-sdk');
-
-const s3 = new AWS.S3({
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  region: process.env.AWS_REGION
-});
-
-const S3_BUCKET_NAME = 'hcishare';
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const dir = 'recordings/temp';
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    cb(null, dir);
-  },
-  filename: (req, file, cb) => {
+const { pipeline } = require('stream/promises');
+const { DEFAULT_MAX_PARTICIPANTS, MAX_PARTICIPANTS_LIMIT, resolveMediaMode } = require('../config/rooms');
+const { RECORDING_UPLOAD_MAX_BYTES, RECORDING_TEMP_DIR, RECORDING_URL_TTL_SECONDS } = require('../config/recording');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+const {
+  issueJoinToken,
+  generateSecret,
+  hashSecret,
+  verifySecret,
+  isServerAdminKey
+} = require('../services/authService');
+const moderationService = require('../services/moderationService');
+const { verifyRoomPin } = require('../services/roomAccessService');
+const {
+  requireRoomAdmin,
+  requireServerAdmin,
+  requireParticipant,
+  identifyParticipant,
+  viewerOf,
+  requireRecordingViewer,
+  identifyRecordingViewer,
+  urlIssuerFor,
+  sendServiceResult
+} = require('./roomAuth');
+const chatService = require('../services/chatService');
+const recordingProcessingService = require('../services/recordingProcessingService');
+const recordingUploadService = require('../services/recordingUploadService');
+const retentionService = require('../services/retentionService');
+const recordingConsentService = require('../services/recordingConsentService');
+const storage = require('../services/storage');
+const { createDigestStream } = require('../services/storage/checksum');
+const integrityService = require('../services/integrityService');
+const webhookService = require('../services/webhookService');
+const backplane = require('../services/backplane');
+const { buildSearchTokens, queryChatHistory } = require('../services/chatHistoryService');
+const { chatHistoryQuery, recipientIds } = require('../protocol/signaling');
+
+const RECORDING_MIME_TYPES = [
+  'video/mp4', 
+  'video/webm', 
+  'video/ogg', 
+  'video/x-matroska',
+  'audio/webm', 
+  'audio/mp3', 
+  'audio/mpeg',
+  'audio/wav',
+  'audio/ogg',
+  'application/octet-stream'
+];
+const RECORDING_EXTENSIONS = ['.mp4', '.webm', '.ogg', '.mkv', '.mp3', '.wav', '.m4a'];
+
+// A multer storage engine that writes to the temp dir like multer.diskStorage, taking the file's
+// digest as it is written (req.file.sha256) so it never has to be read back just to hash it.
+const tempStorage = {
+  _handleFile(req, file, cb) {
+    fs.mkdirSync(RECORDING_TEMP_DIR, { recursive: true });
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + '.' + file.originalname.split('.').pop());
+    const filename = file.fieldname + '-' + uniqueSuffix + '.' + file.originalname.split('.').pop();
+    const filePath = path.join(RECORDING_TEMP_DIR, filename);
+    const digest = createDigestStream();
+    const output = fs.createWriteStream(filePath);
+
+    pipeline(file.stream, digest, output)
+      .then(() => cb(null, {
+        destination: RECORDING_TEMP_DIR,
+        filename,
+        path: filePath,
+        size: output.bytesWritten,
+        sha256: digest.sha256
+      }))
+      .catch(error => fs.unlink(filePath, () => cb(error)));
+  },
+
+  _removeFile(req, file, cb) {
+    fs.unlink(file.path, cb);
   }
-});
+};
 
 const upload = multer({ 
-  storage: storage,
+  storage: tempStorage,
   limits: {
-    fileSize: 500 * 1024 * 1024
+    fileSize: RECORDING_UPLOAD_MAX_BYTES
   },
   fileFilter: (req, file, cb) => {
-    const allowedMimes = [
-      'video/mp4', 
-      'video/webm', 
-      'video/ogg', 
-      'video/x-matroska',
-      'audio/webm', 
-      'audio/mp3', 
-      'audio/mpeg',
-      'audio/wav',
-      'audio/ogg',
-      'application/octet-stream'
-    ];
-    
-    const allowedExtensions = ['.mp4', '.webm', '.ogg', '.mkv', '.mp3', '.wav', '.m4a'];
     const fileExtension = file.originalname ? path.extname(file.originalname).toLowerCase() : '';
     
-    if (allowedMimes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
+    if (RECORDING_MIME_TYPES.includes(file.mimetype) || RECORDING_EXTENSIONS.includes(fileExtension)) {
       cb(null, true);
     } else {
       auditLogger.error(`File upload rejected: ${file.originalname}, MIME: ${file.mimetype}`);
@@ -62,6 +102,42 @@ const upload = multer({
   }
 });
 
+const ATTACHMENT_MIME_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'image/heic': ['.heic'],
+  'text/plain': ['.txt'],
+  'text/csv': ['.csv'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
+};
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 20 * 1024 * 1024;
+const ATTACHMENT_URL_TTL_SECONDS = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS, 10) || 300;
+
+const attachmentUpload = multer({
+  storage: tempStorage,
+  limits: {
+    fileSize: ATTACHMENT_MAX_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const fileExtension = file.originalname ? path.extname(file.originalname).toLowerCase() : '';
+    const allowedExtensions = ATTACHMENT_MIME_TYPES[file.mimetype];
+
+    if (allowedExtensions && allowedExtensions.includes(fileExtension)) {
+      cb(null, true);
+    } else {
+      auditLogger.error(`Attachment rejected: MIME ${file.mimetype}, extension ${fileExtension}`);
+      cb(new Error(`Invalid attachment type. Received: ${file.mimetype}. Only documents and images are allowed.`));
+    }
+  }
+});
+
 const auditLogger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
@@ -85,32 +161,50 @@ const decrypt = (ciphertext) => {
   }
 };
 
-const uploadToS3 = async (filePath, fileName, roomId) => {
+// Deleted and redacted messages keep a tombstone but never expose their content.
+const chatContent = (m) => (m.deletedAt || m.redactedAt ? null : decrypt(m.message));
+
+// Download URLs are signed on demand via GET /:roomId/attachments/:attachmentId/url, which needs a join token.
+const chatAttachments = (m) => (m.deletedAt || m.redactedAt ? [] : (m.attachments || []).map(a => ({
+  attachmentId: a.id,
+  fileName: decrypt(a.fileName),
+  mimeType: a.mimeType,
+  fileSize: a.fileSize
+})));
+
+const recordingRenditions = (recording, issuer) => (recording.renditions || []).map(r => ({
+  kind: r.kind,
+  status: r.status,
+  url: issuer ? issuer.sign(recording, r) : null,
+  s3Key: r.s3Key,
+  mimeType: r.mimeType,
+  fileSize: r.fileSize,
+  error: r.error,
+  completedAt: r.completedAt
+}));
+
+// The file is streamed rather than read into memory; recordings can be hundreds of megabytes.
+// sha256 is the digest taken as the file was received; storage confirms it got the same bytes.
+const uploadToStorage = async (filePath, fileName, roomId, { folder = 'recordings', contentType, sha256 } = {}) => {
   try {
-    const fileContent = fs.readFileSync(filePath);
     const fileExtension = path.extname(fileName);
-    const s3Key = `recordings/${roomId}/${Date.now()}-${fileName}`;
-    
-    const params = {
-      Bucket: S3_BUCKET_NAME,
-      Key: s3Key,
-      Body: fileContent,
-      ContentType: getContentType(fileExtension),
-      ACL: 'public-read'
-    };
+    const s3Key = `${folder}/${roomId}/${Date.now()}-${fileName}`;
 
-    const uploadResult = await s3.upload(params).promise();
+    const stored = await storage.put(s3Key, fs.createReadStream(filePath), {
+      contentType: contentType || getContentType(fileExtension),
+      sha256
+    });
     
-    fs.unlinkSync(filePath);
+    await fs.promises.unlink(filePath);
     
     return {
-      s3Key: uploadResult.Key,
-      s3Url: uploadResult.Location,
-      bucket: S3_BUCKET_NAME
+      s3Key: stored.key,
+      bucket: stored.bucket,
+      sha256: stored.sha256
     };
   } catch (error) {
-    auditLogger.error(`S3 Upload Error: ${error.message}`);
-    throw new Error(`Failed to upload to S3: ${error.message}`);
+    auditLogger.error(`Storage Upload Error: ${error.message}`);
+    throw new Error(`Failed to upload to storage: ${error.message}`);
   }
 };
 
@@ -128,28 +222,7 @@ const getContentType = (extension) => {
   return contentTypes[extension.toLowerCase()] || 'application/octet-stream';
 };
 
-const generateSignedUrl = (s3Key, expiresIn = 3600) => {
-  const params = {
-    Bucket: S3_BUCKET_NAME,
-    Key: s3Key,
-    Expires: expiresIn
-  };
-  return s3.getSignedUrl('getObject', params);
-};
-
-const deleteFromS3 = async (s3Key) => {
-  try {
-    const params = {
-      Bucket: S3_BUCKET_NAME,
-      Key: s3Key
-    };
-    await s3.deleteObject(params).promise();
-    return true;
-  } catch (error) {
-    auditLogger.error(`S3 Delete Error: ${error.message}`);
-    return false;
-  }
-};
+const generateSignedUrl = (s3Key, expiresIn = 3600, bucket) => storage.getSignedUrl(s3Key, { expiresIn, bucket });
 
 const roomSchema = Joi.object({
   roomId: Joi.string().alphanum().max(50).required(),
@@ -157,13 +230,77 @@ const roomSchema = Joi.object({
     participantId: Joi.string().max(100).required(),
     participantName: Joi.string().min(1).max(100).required(),
     role: Joi.string().valid('admin', 'user')
-  }).required()
+  }).required(),
+  maxParticipants: Joi.number().integer().min(2).max(MAX_PARTICIPANTS_LIMIT),
+  mediaMode: Joi.string().when('maxParticipants', {
+    is: Joi.number().greater(2).required(),
+    then: Joi.valid('sfu'),
+    otherwise: Joi.valid('mesh', 'sfu')
+  }),
+  lobbyEnabled: Joi.boolean(),
+  screenShareAdminOnly: Joi.boolean(),
+  pin: Joi.string().min(4).max(64),
+  organizationId: Joi.string().trim().max(100),
+  roomType: Joi.string().trim().max(100)
 });
 
 const participantSchema = Joi.object({
   participantId: Joi.string().max(100).required(),
   participantName: Joi.string().min(1).max(100).required(),
-  role: Joi.string().valid('admin', 'user')
+  role: Joi.string().valid('admin', 'user'),
+  pin: Joi.string().max(64)
+});
+
+const settingsSchema = Joi.object({
+  lobbyEnabled: Joi.boolean(),
+  screenShareAdminOnly: Joi.boolean()
+}).min(1);
+
+const pinSchema = Joi.object({
+  pin: Joi.string().min(4).max(64).allow(null).required()
+});
+
+const joinTokenSchema = Joi.object({
+  participantId: Joi.string().max(100).required(),
+  participantName: Joi.string().min(1).max(100).required(),
+  role: Joi.string().valid('admin', 'user'),
+  adminKey: Joi.string().max(200)
+});
+
+const moderationReasonSchema = Joi.object({
+  reason: Joi.string().trim().max(200)
+});
+
+const banSchema = Joi.object({
+  participantId: Joi.string().max(100).required(),
+  reason: Joi.string().trim().max(200)
+});
+
+const legalHoldSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required()
+});
+
+const webhookSchema = Joi.object({
+  url: Joi.string().trim().uri({ scheme: ['https', 'http'] }).max(2000).required(),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique(),
+  description: Joi.string().trim().max(500).allow(null)
+});
+
+const webhookDeliveryQuery = Joi.object({
+  status: Joi.string().valid('pending', 'delivered', 'failed'),
+  limit: Joi.number().integer().min(1).max(200),
+  skip: Joi.number().integer().min(0)
+});
+
+const recordingUploadSchema = Joi.object({
+  fileName: Joi.string().trim().max(255).required(),
+  mimeType: Joi.string().max(100).required(),
+  fileSize: Joi.number().integer().min(1).max(RECORDING_UPLOAD_MAX_BYTES).required(),
+  startedBy: Joi.string().trim().max(100),
+  startTime: Joi.date().iso(),
+  endTime: Joi.date().iso(),
+  duration: Joi.number().min(0),
+  sessionId: Joi.string().max(100)
 });
 
 router.get('/', async (req, res) => {
@@ -251,29 +388,44 @@ router.get('/:roomId/stats', async (req, res) => {
   }
 });
 
-router.get('/:roomId/chat', async (req, res) => {
+router.get('/:roomId/chat', identifyParticipant, async (req, res) => {
+  const { error, value: query } = Joi.object(chatHistoryQuery).validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
   try {
-    const room = await Room.findOne({ roomId: req.params.roomId });
-    if (!room) {
-      return res.status(404).json({ message: 'Room not found' });
+    const page = await queryChatHistory(req.params.roomId, { ...query, viewerId: viewerOf(req) });
+    if (!page.success) {
+      return sendServiceResult(res, page);
     }
-
-    let messages = room.chatMessages || [];
+    const { messages, hasMore, total, cursors } = page.data;
 
     const decryptedMessages = messages.map(m => ({
+      messageId: m.id,
       senderId: m.senderId,
       senderName: decrypt(m.senderName),
-      message: decrypt(m.message),
+      message: chatContent(m),
+      attachments: chatAttachments(m),
+      recipientIds: m.recipientIds || [],
       timestamp: m.timestamp,
-      sessionId: m.sessionId
+      sessionId: m.sessionId,
+      editedAt: m.editedAt || null,
+      deletedAt: m.deletedAt || null,
+      redactedAt: m.redactedAt || null,
+      receipts: (m.receipts || []).map(r => ({
+        participantId: r.participantId,
+        deliveredAt: r.deliveredAt,
+        readAt: r.readAt
+      }))
     }));
 
     res.json({
-      roomId: room.roomId,
+      roomId: req.params.roomId,
       chatMessages: decryptedMessages,
-      totalMessages: decryptedMessages.length
+      totalMessages: total,
+      hasMore,
+      cursors
     });
-    auditLogger.info(`Chat History: ${req.params.roomId}`);
+    auditLogger.info(`Chat History: ${req.params.roomId}${query.q ? ' (search)' : ''}`);
   } catch (error) {
     auditLogger.error(`Chat History Error: ${error.message}`);
     res.status(500).json({ message: 'Server error' });
@@ -321,6 +473,7 @@ router.post('/', async (req, res) => {
 
   try {
     const { roomId, creator } = req.body;
+    const maxParticipants = req.body.maxParticipants || DEFAULT_MAX_PARTICIPANTS;
     creator.participantName = creator.participantName.trim() || 'Anonymous';
 
     const existingRoom = await Room.findOne({ roomId });
@@ -328,9 +481,15 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Room already exists' });
     }
 
+    const adminKey = generateSecret();
+
     const room = new Room({
       roomId,
+      organizationId: req.body.organizationId || null,
+      roomType: req.body.roomType || null,
       creator,
+      adminKeyHash: hashSecret(adminKey),
+      pinHash: req.body.pin ? hashSecret(req.body.pin) : null,
       participants: [{
         participantId: creator.participantId,
         participantName: creator.participantName,
@@ -338,21 +497,72 @@ router.post('/', async (req, res) => {
         joinedAt: new Date()
       }],
       status: 'waiting',
+      settings: {
+        lobbyEnabled: !!req.body.lobbyEnabled,
+        pinProtected: !!req.body.pin,
+        screenShareAdminOnly: !!req.body.screenShareAdminOnly
+      },
       metadata: {
         totalParticipants: 1,
-        maxParticipants: 2
+        maxParticipants,
+        mediaMode: resolveMediaMode(maxParticipants, req.body.mediaMode)
       }
     });
 
     const newRoom = await room.save();
     auditLogger.info(`Room Created: ${roomId}`);
-    res.status(201).json(newRoom);
+    // The admin key is only ever returned here; it is needed to mint admin join tokens.
+    res.status(201).json({ ...newRoom.toJSON(), adminKey });
   } catch (error) {
     auditLogger.error(`Room Create Error: ${error.message}`);
     res.status(400).json({ message: error.message });
   }
 });
 
+router.post('/:roomId/join-token', async (req, res) => {
+  const { error } = joinTokenSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  const roomIdCheck = Joi.string().alphanum().max(50).validate(req.params.roomId);
+  if (roomIdCheck.error) return res.status(400).json({ message: 'Invalid roomId' });
+
+  try {
+    const { roomId } = req.params;
+    const { participantId, adminKey } = req.body;
+    const participantName = req.body.participantName.trim() || 'Anonymous';
+    let role = 'user';
+
+    const room = await Room.findOne({ roomId }).select('+adminKeyHash');
+    if (room && room.isBanned(participantId)) {
+      auditLogger.warn(`Join Token Denied (banned): ${participantId} in ${roomId}`);
+      return res.status(403).json({ message: 'Participant is banned from this room' });
+    }
+
+    if (req.body.role === 'admin') {
+      const authorized = isServerAdminKey(adminKey) || (room && verifySecret(adminKey, room.adminKeyHash));
+      if (!authorized) {
+        auditLogger.warn(`Admin Join Token Denied: ${participantId} in ${roomId}`);
+        return res.status(403).json({ message: 'A valid admin key is required for the admin role' });
+      }
+      role = 'admin';
+    }
+
+    const { token, expiresIn } = issueJoinToken({ roomId, participantId, participantName, role });
+
+    auditLogger.info(`Join Token Issued: ${participantId} in ${roomId} as ${role}`);
+    res.json({
+      token,
+      expiresIn,
+      roomId,
+      participantId,
+      role
+    });
+  } catch (error) {
+    auditLogger.error(`Join Token Error: ${error.message}`);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 router.post('/:roomId/participants', async (req, res) => {
   const { error } = participantSchema.validate(req.body);
   if (error) return res.status(400).json({ message: error.details[0].message });
@@ -363,6 +573,29 @@ router.post('/:roomId/participants', async (req, res) => {
       return res.status(404).json({ message: 'Room not found' });
     }
 
+    if (room.isBanned(req.body.participantId)) {
+      return res.status(403).json({ message: 'Participant is banned from this room' });
+    }
+
+    if (room.settings.locked) {
+      return res.status(403).json({ message: 'Room is locked' });
+    }
+
+    if (room.settings.pinProtected) {
+      const pinCheck = await verifyRoomPin(req.params.roomId, req.body.pin, req.body.participantId);
+      if (!pinCheck.success) {
+        if (pinCheck.lockedOut) {
+          auditLogger.warn(`Room PIN Lockout: ${req.params.roomId} after repeated failures (last by ${req.body.participantId})`);
+        } else if (pinCheck.status === 403) {
+          auditLogger.warn(`Room PIN Rejected: ${req.body.participantId} in ${req.params.roomId}`);
+        }
+        if (pinCheck.retryAfterMs) {
+          res.set('Retry-After', String(Math.ceil(pinCheck.retryAfterMs / 1000)));
+        }
+        return res.status(pinCheck.status).json({ message: pinCheck.error });
+      }
+    }
+
     if (room.participants.length >= room.metadata.maxParticipants) {
       return res.status(400).json({ message: 'Room is full' });
     }
@@ -385,57 +618,352 @@ router.post('/:roomId/participants', async (req, res) => {
   }
 });
 
-router.post('/:roomId/chat', async (req, res) => {
-  const chatSchema = Joi.object({
-    senderId: Joi.string().required(),
-    senderName: Joi.string().min(1).max(100).required(),
-    message: Joi.string().min(1).max(1000).required()
-  });
-  const { error } = chatSchema.validate(req.body);
+router.patch('/:roomId/settings', requireRoomAdmin, async (req, res) => {
+  const { error } = settingsSchema.validate(req.body);
   if (error) return res.status(400).json({ message: error.details[0].message });
 
   try {
-    const plainSenderName = req.body.senderName.trim() || 'Anonymous';
-    const plainMessage = req.body.message.trim();
+    const room = await Room.findOne({ roomId: req.params.roomId });
+    if (!room) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
 
-    const update = {
-      $push: {
-        chatMessages: {
-          senderId: req.body.senderId,
-          senderName: encrypt(plainSenderName),
-          message: encrypt(plainMessage),
-          timestamp: new Date()
-        }
-      },
-      $set: { updatedAt: new Date() }
-    };
+    Object.entries(req.body).forEach(([key, value]) => {
+      room.settings[key] = value;
+    });
+    room.updatedAt = new Date();
+    await room.save();
 
-    const room = await Room.findOneAndUpdate(
-      { roomId: req.params.roomId },
-      update,
-      { new: true }
-    );
+    auditLogger.info(`Room Settings Updated: ${req.params.roomId} by ${req.moderator} (${Object.keys(req.body).join(', ')})`);
+    res.json({ roomId: room.roomId, settings: room.settings });
+  } catch (error) {
+    auditLogger.error(`Room Settings Update Error: ${error.message}`);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.patch('/:roomId/pin', requireRoomAdmin, async (req, res) => {
+  const { error } = pinSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const { pin } = req.body;
+    const result = await Room.updateOne({ roomId: req.params.roomId }, {
+      $set: {
+        pinHash: pin ? hashSecret(pin) : null,
+        'settings.pinProtected': !!pin,
+        'pinAttempts.failures': 0,
+        'pinAttempts.windowStartedAt': null,
+        'pinAttempts.lockedUntil': null,
+        updatedAt: new Date()
+      }
+    });
+    if (!result.matchedCount) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+
+    auditLogger.info(`Room PIN ${pin ? 'Set' : 'Cleared'}: ${req.params.roomId} by ${req.moderator}`);
+    res.json({ roomId: req.params.roomId, pinProtected: !!pin });
+  } catch (error) {
+    auditLogger.error(`Room PIN Update Error: ${error.message}`);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/:roomId/moderation', requireRoomAdmin, async (req, res) => {
+  try {
+    const room = await Room.findOne({ roomId: req.params.roomId });
+    if (!room) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+
+    res.json({
+      roomId: room.roomId,
+      locked: room.settings.locked,
+      bannedParticipants: room.bannedParticipants,
+      moderationActions: room.moderationActions
+    });
+  } catch (error) {
+    auditLogger.error(`Moderation Fetch Error: ${error.message}`);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/:roomId/participants/:participantId', requireRoomAdmin, async (req, res) => {
+  const { error } = moderationReasonSchema.validate(req.body || {});
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  const result = await moderationService.removeParticipant(req.params.roomId, req.params.participantId, {
+    performedBy: req.moderator,
+    reason: req.body && req.body.reason
+  });
+  auditLogger.info(`Participant Removed: ${req.params.participantId} from ${req.params.roomId} (${result.success})`);
+  sendServiceResult(res, result);
+});
+
+router.post('/:roomId/bans', requireRoomAdmin, async (req, res) => {
+  const { error } = banSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  const result = await moderationService.banParticipant(req.params.roomId, req.body.participantId, {
+    performedBy: req.moderator,
+    reason: req.body.reason
+  });
+  auditLogger.info(`Participant Banned: ${req.body.participantId} from ${req.params.roomId} (${result.success})`);
+  sendServiceResult(res, result);
+});
+
+router.delete('/:roomId/bans/:participantId', requireRoomAdmin, async (req, res) => {
+  const result = await moderationService.unbanParticipant(req.params.roomId, req.params.participantId, {
+    performedBy: req.moderator
+  });
+  auditLogger.info(`Participant Unbanned: ${req.params.participantId} in ${req.params.roomId} (${result.success})`);
+  sendServiceResult(res, result);
+});
+
+router.patch('/:roomId/lock', requireRoomAdmin, async (req, res) => {
+  const result = await moderationService.setRoomLocked(req.params.roomId, true, { performedBy: req.moderator });
+  auditLogger.info(`Room Locked: ${req.params.roomId} (${result.success})`);
+  sendServiceResult(res, result);
+});
+
+router.patch('/:roomId/unlock', requireRoomAdmin, async (req, res) => {
+  const result = await moderationService.setRoomLocked(req.params.roomId, false, { performedBy: req.moderator });
+  auditLogger.info(`Room Unlocked: ${req.params.roomId} (${result.success})`);
+  sendServiceResult(res, result);
+});
 
+// The sender is whoever the join token names; the message reaches sockets the same way as one sent over WS.
+router.post('/:roomId/chat', requireParticipant, async (req, res) => {
+  const chatSchema = Joi.object({
+    message: Joi.string().min(1).max(1000).required(),
+    recipientIds
+  });
+  const { error } = chatSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const room = await Room.findOne({ roomId: req.params.roomId });
     if (!room) {
       return res.status(404).json({ message: 'Room not found' });
     }
 
-    const last = room.chatMessages[room.chatMessages.length - 1];
-    const decryptedChat = {
-      senderId: last.senderId,
-      senderName: decrypt(last.senderName),
-      message: decrypt(last.message),
-      timestamp: last.timestamp
+    const { participantId, participantName } = req.participant;
+    const plainMessage = req.body.message.trim();
+    const chatRecipients = Array.from(new Set(req.body.recipientIds || [])).filter(id => id !== participantId);
+    if (chatRecipients.length > 0) {
+      const members = await backplane.getRoomMembers(req.params.roomId);
+      const missing = chatRecipients.filter(id => !members.some(m => m.participantId === id));
+      if (missing.length > 0) {
+        return res.status(404).json({ message: `Not in the room: ${missing.join(', ')}` });
+      }
+    }
+
+    const chatMessage = room.addChatMessage(participantId, encrypt(participantName), encrypt(plainMessage), [],
+      buildSearchTokens(plainMessage), chatRecipients);
+    room.updatedAt = new Date();
+    await room.save();
+
+    const outgoingChat = {
+      type: 'chat-message',
+      roomId: req.params.roomId,
+      messageId: chatMessage.id,
+      participantId,
+      senderId: participantId,
+      senderName: participantName,
+      message: plainMessage,
+      attachments: [],
+      recipientIds: chatRecipients,
+      timestamp: chatMessage.timestamp
     };
+    await backplane.publish(`room:${req.params.roomId}`, {
+      kind: 'notify',
+      audience: chatMessage.getAudience(),
+      data: outgoingChat
+    });
 
     res.json({
       message: 'Chat message added',
-      chatMessage: decryptedChat
+      chatMessage: outgoingChat
     });
-    auditLogger.info(`Chat Added: ${req.params.roomId}`);
+    auditLogger.info(`Chat Added: ${req.params.roomId} by ${participantId}${chatRecipients.length ? ' (private)' : ''}`);
   } catch (error) {
     auditLogger.error(`Chat Add Error: ${error.message}`);
-    res.status(400).json({ message: error.message });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/:roomId/attachments', requireParticipant, (req, res) => {
+  attachmentUpload.single('file')(req, res, async (err) => {
+    if (err instanceof multer.MulterError) {
+      auditLogger.error(`Attachment Multer Error: ${err.message}`);
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        message: 'Attachment upload error',
+        error: err.message
+      });
+    } else if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    // Multipart fields arrive as strings, so a single recipient is accepted without array syntax.
+    const { error, value: fields } = Joi.object({
+      message: Joi.string().trim().max(1000).allow(''),
+      recipientIds: recipientIds.single()
+    }).validate(req.body);
+    if (error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    try {
+      const room = await Room.findOne({ roomId: req.params.roomId });
+      if (!room) {
+        fs.unlinkSync(req.file.path);
+        return res.status(404).json({ message: 'Room not found' });
+      }
+
+      const { participantId, participantName } = req.participant;
+      const chatRecipients = Array.from(new Set(fields.recipientIds || [])).filter(id => id !== participantId);
+      if (chatRecipients.length > 0) {
+        const members = await backplane.getRoomMembers(req.params.roomId);
+        const missing = chatRecipients.filter(id => !members.some(m => m.participantId === id));
+        if (missing.length > 0) {
+          fs.unlinkSync(req.file.path);
+          return res.status(404).json({ message: `Not in the room: ${missing.join(', ')}` });
+        }
+      }
+      const fileExtension = path.extname(req.file.originalname).toLowerCase();
+      // The storage key never carries the original file name, which may itself contain patient data.
+      const s3Result = await uploadToStorage(req.file.path, `${generateSecret().slice(0, 16)}${fileExtension}`, req.params.roomId, {
+        folder: 'attachments',
+        contentType: req.file.mimetype,
+        sha256: req.file.sha256
+      });
+
+      const caption = (req.body.message || '').trim() || req.file.originalname;
+      const chatMessage = room.addChatMessage(participantId, encrypt(participantName), encrypt(caption), [{
+        fileName: encrypt(req.file.originalname),
+        mimeType: req.file.mimetype,
+        fileSize: req.file.size,
+        s3Key: s3Result.s3Key,
+        s3Bucket: s3Result.bucket,
+        uploadedAt: new Date()
+      }], buildSearchTokens(caption, req.file.originalname), chatRecipients);
+      room.updatedAt = new Date();
+      await room.save();
+
+      const outgoingChat = {
+        type: 'chat-message',
+        roomId: req.params.roomId,
+        messageId: chatMessage.id,
+        participantId,
+        senderId: participantId,
+        senderName: participantName,
+        message: caption,
+        attachments: chatAttachments(chatMessage),
+        recipientIds: chatRecipients,
+        timestamp: chatMessage.timestamp
+      };
+      await backplane.publish(`room:${req.params.roomId}`, {
+        kind: 'notify',
+        audience: chatMessage.getAudience(),
+        data: outgoingChat
+      });
+
+      auditLogger.info(`Attachment Uploaded: ${req.params.roomId} by ${participantId} - ${s3Result.s3Key}`);
+      res.status(201).json({ message: 'Attachment uploaded', chatMessage: outgoingChat });
+    } catch (uploadError) {
+      auditLogger.error(`Attachment Upload Error: ${uploadError.message}`);
+      if (fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      res.status(500).json({ message: uploadError.message || 'Server error' });
+    }
+  });
+});
+
+router.get('/:roomId/attachments/:attachmentId/url', requireParticipant, async (req, res) => {
+  try {
+    const room = await Room.findOne({ roomId: req.params.roomId });
+    const found = room && room.findChatAttachment(req.params.attachmentId);
+    if (!found || found.chatMessage.deletedAt || found.chatMessage.redactedAt ||
+        !found.chatMessage.isVisibleTo(req.participant.participantId)) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    auditLogger.info(`Attachment URL Issued: ${req.params.attachmentId} in ${req.params.roomId} to ${req.participant.participantId}`);
+    res.json({
+      attachmentId: req.params.attachmentId,
+      url: generateSignedUrl(found.attachment.s3Key, ATTACHMENT_URL_TTL_SECONDS, found.attachment.s3Bucket),
+      expiresIn: ATTACHMENT_URL_TTL_SECONDS
+    });
+  } catch (error) {
+    auditLogger.error(`Attachment URL Error: ${error.message}`);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.patch('/:roomId/chat/:messageId', requireParticipant, async (req, res) => {
+  const { error } = Joi.object({ message: Joi.string().trim().min(1).max(1000).required() }).validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  const result = await chatService.editChatMessage(req.params.roomId, req.params.messageId, req.body.message, req.participant);
+  auditLogger.info(`Chat Edit: ${req.params.messageId} in ${req.params.roomId} by ${req.participant.participantId} (${result.success})`);
+  sendServiceResult(res, result);
+});
+
+router.delete('/:roomId/chat/:messageId', requireParticipant, async (req, res) => {
+  const result = await chatService.deleteChatMessage(req.params.roomId, req.params.messageId, req.participant);
+  auditLogger.info(`Chat Delete: ${req.params.messageId} in ${req.params.roomId} by ${req.participant.participantId} (${result.success})`);
+  sendServiceResult(res, result);
+});
+
+router.post('/:roomId/chat/:messageId/redact', requireRoomAdmin, async (req, res) => {
+  const { error } = moderationReasonSchema.validate(req.body || {});
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  const result = await chatService.redactChatMessage(req.params.roomId, req.params.messageId, {
+    participantId: req.moderator,
+    role: 'admin',
+    reason: req.body && req.body.reason
+  });
+  auditLogger.info(`Chat Redact: ${req.params.messageId} in ${req.params.roomId} by ${req.moderator} (${result.success})`);
+  sendServiceResult(res, result);
+});
+
+router.get('/:roomId/chat/:messageId/revisions', requireRoomAdmin, async (req, res) => {
+  try {
+    const room = await Room.findOne({ roomId: req.params.roomId });
+    const chatMessage = room && room.findChatMessage(req.params.messageId);
+    if (!chatMessage) {
+      return res.status(404).json({ message: 'Chat message not found' });
+    }
+
+    res.json({
+      messageId: chatMessage.id,
+      senderId: chatMessage.senderId,
+      message: chatContent(chatMessage),
+      editedAt: chatMessage.editedAt,
+      deletedAt: chatMessage.deletedAt,
+      deletedBy: chatMessage.deletedBy,
+      redactedAt: chatMessage.redactedAt,
+      redactedBy: chatMessage.redactedBy,
+      revisions: chatMessage.revisions.map(r => ({
+        action: r.action,
+        message: r.message ? decrypt(r.message) : null,
+        changedBy: r.changedBy,
+        reason: r.reason,
+        changedAt: r.changedAt
+      }))
+    });
+    auditLogger.info(`Chat Revisions Viewed: ${req.params.messageId} in ${req.params.roomId} by ${req.moderator}`);
+  } catch (error) {
+    auditLogger.error(`Chat Revisions Error: ${error.message}`);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
@@ -464,6 +992,14 @@ router.post('/:roomId/call-recording', (req, res) => {
         return res.status(400).json({ message: 'No file uploaded' });
       }
 
+      // Uploads belong to the current session unless the client names an earlier one.
+      const sessionId = req.body.sessionId || room.sessionId;
+      if (!room.hasRecordingConsent(sessionId)) {
+        await fs.promises.unlink(req.file.path);
+        auditLogger.warn(`Call Recording Rejected Without Consent: ${req.params.roomId} (session ${sessionId})`);
+        return res.status(403).json({ message: recordingConsentService.CONSENT_REQUIRED_MESSAGE });
+      }
+
       auditLogger.info(`File received: ${req.file.originalname}, MIME: ${req.file.mimetype}, Size: ${req.file.size}`);
 
       const uploadedBy = req.body.uploadedBy || 'Anonymous';
@@ -472,12 +1008,11 @@ router.post('/:roomId/call-recording', (req, res) => {
       const endTime = req.body.endTime ? new Date(req.body.endTime) : new Date();
       const duration = req.body.duration || 0;
 
-      const s3Result = await uploadToS3(req.file.path, req.file.originalname, req.params.roomId);
+      const s3Result = await uploadToStorage(req.file.path, req.file.originalname, req.params.roomId, { sha256: req.file.sha256 });
 
       const recordingData = {
         fileName: req.file.originalname,
         s3Key: s3Result.s3Key,
-        s3Url: s3Result.s3Url,
         s3Bucket: s3Result.bucket,
         fileSize: req.file.size,
         mimeType: req.file.mimetype,
@@ -486,20 +1021,28 @@ router.post('/:roomId/call-recording', (req, res) => {
         startTime: startTime,
         endTime: endTime,
         duration: duration,
+        sessionId,
+        consentId: room.getRecordingConsent(sessionId).id,
+        sha256: s3Result.sha256,
         uploadedAt: new Date()
       };
 
       room.callRecordings.push(recordingData);
       await room.save();
 
+      // Transcoding, thumbnail, audio extraction and duration probing run in the background.
+      const savedRecording = room.callRecordings[room.callRecordings.length - 1];
+      recordingProcessingService.enqueueRecording(req.params.roomId, savedRecording.id);
+
       res.json({
-        message: 'Call recording uploaded successfully to S3',
+        message: 'Call recording uploaded successfully',
         recording: {
+          recordingId: savedRecording.id,
           fileName: req.file.originalname,
-          s3Url: s3Result.s3Url,
           s3Key: s3Result.s3Key,
           fileSize: req.file.size,
           mimeType: req.file.mimetype,
+          sha256: s3Result.sha256,
           startedBy: decrypt(encrypt(startedBy)),
           uploadedBy: decrypt(encrypt(uploadedBy)),
           startTime,
@@ -507,7 +1050,7 @@ router.post('/:roomId/call-recording', (req, res) => {
           duration
         }
       });
-      auditLogger.info(`Call Recording Uploaded to S3: ${req.params.roomId} - ${s3Result.s3Key}`);
+      auditLogger.info(`Call Recording Uploaded: ${req.params.roomId} - ${s3Result.s3Key}`);
     } catch (error) {
       auditLogger.error(`Call Recording Upload Error: ${error.message}`);
       
@@ -520,16 +1063,80 @@ router.post('/:roomId/call-recording', (req, res) => {
   });
 });
 
-router.get('/:roomId/call-recordings', async (req, res) => {
+// Resumable recording uploads: initiate, PUT each numbered part as a raw body, then complete.
+// A failed part can be re-sent on its own; GET reports which parts are still missing.
+router.post('/:roomId/recording-uploads', requireParticipant, async (req, res) => {
+  const { error, value } = recordingUploadSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const fileExtension = path.extname(value.fileName).toLowerCase();
+  if (!RECORDING_MIME_TYPES.includes(value.mimeType) && !RECORDING_EXTENSIONS.includes(fileExtension)) {
+    auditLogger.error(`Recording upload rejected: ${value.fileName}, MIME: ${value.mimeType}`);
+    return res.status(400).json({ message: `Invalid file type. Received: ${value.mimeType}. Only video/audio files are allowed.` });
+  }
+
+  const result = await recordingUploadService.initiateUpload(req.params.roomId, req.participant, value);
+  if (!result.success) {
+    return sendServiceResult(res, result);
+  }
+  auditLogger.info(`Recording Upload Initiated: ${req.params.roomId} - ${result.data.uploadId} by ${req.participant.participantId}`);
+  res.status(201).json(result.data);
+});
+
+router.get('/:roomId/recording-uploads/:uploadId', requireParticipant, async (req, res) => {
+  const result = await recordingUploadService.getUploadStatus(req.params.roomId, req.params.uploadId, req.participant);
+  sendServiceResult(res, result);
+});
+
+router.put('/:roomId/recording-uploads/:uploadId/parts/:partNumber', requireParticipant, async (req, res) => {
+  const { error, value: partNumber } = Joi.number().integer().min(1).validate(req.params.partNumber);
+  if (error) {
+    return res.status(400).json({ message: 'Part number must be a positive integer' });
+  }
+
+  const result = await recordingUploadService.uploadPart(req.params.roomId, req.params.uploadId, partNumber, req, req.participant);
+  sendServiceResult(res, result);
+});
+
+router.post('/:roomId/recording-uploads/:uploadId/complete', requireParticipant, async (req, res) => {
+  const result = await recordingUploadService.completeUpload(req.params.roomId, req.params.uploadId, req.participant);
+  if (!result.success) {
+    return res.status(result.status).json({ message: result.error, missingParts: result.missingParts });
+  }
+  auditLogger.info(`Recording Upload Completed: ${req.params.roomId} - ${result.data.s3Key}`);
+  res.json({ message: 'Call recording uploaded successfully', recording: result.data });
+});
+
+router.delete('/:roomId/recording-uploads/:uploadId', requireParticipant, async (req, res) => {
+  const result = await recordingUploadService.abortUpload(req.params.roomId, req.params.uploadId, req.participant);
+  if (result.success) {
+    auditLogger.info(`Recording Upload Aborted: ${req.params.roomId} - ${req.params.uploadId} by ${req.participant.participantId}`);
+  }
+  sendServiceResult(res, result);
+});
+
+router.get('/:roomId/recording-consents', requireRoomAdmin, async (req, res) => {
+  const { error, value } = Joi.object({ sessionId: Joi.string().max(100) }).validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  sendServiceResult(res, await recordingConsentService.getConsentHistory(req.params.roomId, value));
+});
+
+router.get('/:roomId/call-recordings', requireRecordingViewer, async (req, res) => {
   try {
     const room = await Room.findOne({ roomId: req.params.roomId });
     if (!room) {
       return res.status(404).json({ message: 'Room not found' });
     }
 
+    const issuer = urlIssuerFor(req, 'call-recordings');
     const recordings = (room.callRecordings || []).map(r => ({
+      recordingId: r.id,
       fileName: r.fileName,
-      s3Url: r.s3Url,
+      url: issuer.sign(r),
+      urlExpiresIn: RECORDING_URL_TTL_SECONDS,
       s3Key: r.s3Key,
       fileSize: r.fileSize,
       mimeType: r.mimeType,
@@ -537,10 +1144,21 @@ router.get('/:roomId/call-recordings', async (req, res) => {
       uploadedBy: decrypt(r.uploadedBy),
       uploadedAt: r.uploadedAt,
       sessionId: r.sessionId,
+      consentId: r.consentId,
+      sha256: r.sha256,
+      integrityStatus: r.integrityStatus,
+      integrityCheckedAt: r.integrityCheckedAt,
       startTime: r.startTime,
       endTime: r.endTime,
-      duration: r.duration
+      duration: r.duration,
+      reportedDuration: r.reportedDuration,
+      durationProbedAt: r.durationProbedAt,
+      source: r.source,
+      legalHold: r.legalHold,
+      purgedAt: r.purgedAt,
+      renditions: recordingRenditions(r, issuer)
     }));
+    await issuer.record();
 
     res.json({
       roomId: room.roomId,
@@ -554,7 +1172,7 @@ router.get('/:roomId/call-recordings', async (req, res) => {
   }
 });
 
-router.get('/:roomId/call-recordings/:filename', async (req, res) => {
+router.get('/:roomId/call-recordings/:filename', requireRecordingViewer, async (req, res) => {
   try {
     const room = await Room.findOne({ roomId: req.params.roomId });
     if (!room) {
@@ -565,17 +1183,32 @@ router.get('/:roomId/call-recordings/:filename', async (req, res) => {
     if (!recording) {
       return res.status(404).json({ message: 'Recording not found' });
     }
+
+    const issuer = urlIssuerFor(req, 'call-recording');
+    const url = issuer.sign(recording);
+    const renditions = recordingRenditions(recording, issuer);
+    await issuer.record();
     
     res.json({
+      recordingId: recording.id,
       fileName: recording.fileName,
-      url: recording.s3Url, 
+      url,
+      urlExpiresIn: RECORDING_URL_TTL_SECONDS,
       s3Key: recording.s3Key,
       fileSize: recording.fileSize,
       mimeType: recording.mimeType,
       startedBy: decrypt(recording.startedBy),
       uploadedBy: decrypt(recording.uploadedBy),
       uploadedAt: recording.uploadedAt,
-      duration: recording.duration
+      duration: recording.duration,
+      reportedDuration: recording.reportedDuration,
+      source: recording.source,
+      sha256: recording.sha256,
+      integrityStatus: recording.integrityStatus,
+      integrityCheckedAt: recording.integrityCheckedAt,
+      legalHold: recording.legalHold,
+      purgedAt: recording.purgedAt,
+      renditions
     });
 
     auditLogger.info(`Call Recording URL Retrieved: ${req.params.roomId}/${req.params.filename}`);
@@ -585,6 +1218,69 @@ router.get('/:roomId/call-recordings/:filename', async (req, res) => {
   }
 });
 
+router.post('/:roomId/call-recordings/:recordingId/process', requireRoomAdmin, async (req, res) => {
+  const result = await recordingProcessingService.enqueueRecording(req.params.roomId, req.params.recordingId);
+  auditLogger.info(`Recording Reprocess: ${req.params.recordingId} in ${req.params.roomId} by ${req.moderator} (${result.success})`);
+  if (!result.success) {
+    return res.status(result.status).json({ message: result.error });
+  }
+  res.status(202).json(result.data);
+});
+
+// Re-hashes the stored original and transcript; can take a while for long recordings.
+router.post('/:roomId/call-recordings/:recordingId/verify', requireRoomAdmin, async (req, res) => {
+  const result = await integrityService.verifyRecording(req.params.roomId, req.params.recordingId);
+  auditLogger.info(`Recording Integrity Check: ${req.params.recordingId} in ${req.params.roomId} by ${req.moderator} (${result.success ? result.data.status : result.error})`);
+  sendServiceResult(res, result);
+});
+
+// The response carries the signing secret; it is not shown again.
+router.post('/:roomId/webhooks', requireRoomAdmin, async (req, res) => {
+  const { error, value } = webhookSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  const result = await webhookService.createSubscription({ ...value, roomId: req.params.roomId, createdBy: req.moderator });
+  auditLogger.info(`Webhook Created: ${req.params.roomId} -> ${value.url} by ${req.moderator} (${result.success})`);
+  if (!result.success) return sendServiceResult(res, result);
+  res.status(201).json(result.data);
+});
+
+router.get('/:roomId/webhooks', requireRoomAdmin, async (req, res) => {
+  sendServiceResult(res, await webhookService.listSubscriptions({ roomId: req.params.roomId }));
+});
+
+router.delete('/:roomId/webhooks/:subscriptionId', requireRoomAdmin, async (req, res) => {
+  const result = await webhookService.deleteSubscription(req.params.subscriptionId, { roomId: req.params.roomId }, req.moderator);
+  auditLogger.info(`Webhook Deleted: ${req.params.subscriptionId} in ${req.params.roomId} by ${req.moderator} (${result.success})`);
+  sendServiceResult(res, result);
+});
+
+router.get('/:roomId/webhooks/:subscriptionId/deliveries', requireRoomAdmin, async (req, res) => {
+  const { error, value } = webhookDeliveryQuery.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+  sendServiceResult(res, await webhookService.listDeliveries(req.params.subscriptionId, { roomId: req.params.roomId }, value));
+});
+
+const legalHoldHandler = (active) => async (req, res) => {
+  if (active) {
+    const { error } = legalHoldSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const recordingId = req.params.recordingId || null;
+  const result = await retentionService.setLegalHold(req.params.roomId, recordingId, active, {
+    reason: active ? req.body.reason : null,
+    performedBy: req.moderator
+  });
+  auditLogger.info(`Legal Hold ${active ? 'Placed' : 'Released'}: ${req.params.roomId}${recordingId ? `/${recordingId}` : ''} (${result.success})`);
+  sendServiceResult(res, result);
+};
+
+router.put('/:roomId/legal-hold', requireServerAdmin, legalHoldHandler(true));
+router.delete('/:roomId/legal-hold', requireServerAdmin, legalHoldHandler(false));
+router.put('/:roomId/call-recordings/:recordingId/legal-hold', requireServerAdmin, legalHoldHandler(true));
+router.delete('/:roomId/call-recordings/:recordingId/legal-hold', requireServerAdmin, legalHoldHandler(false));
+
 router.delete('/:roomId/call-recordings/:filename', async (req, res) => {
   try {
     const room = await Room.findOne({ roomId: req.params.roomId });
@@ -598,9 +1294,13 @@ router.delete('/:roomId/call-recordings/:filename', async (req, res) => {
     }
 
     const recording = room.callRecordings[recordingIndex];
+    if (room.isOnLegalHold(recording)) {
+      auditLogger.warn(`Recording Delete Blocked by Legal Hold: ${req.params.roomId}/${req.params.filename}`);
+      return res.status(409).json({ message: 'Recording is under legal hold' });
+    }
     
-    await deleteFromS3(recording.s3Key);
-    
+    await retentionService.deleteRecordingObjects(recording);
+
     room.callRecordings.splice(recordingIndex, 1);
     await room.save();
 
@@ -612,24 +1312,29 @@ router.delete('/:roomId/call-recordings/:filename', async (req, res) => {
   }
 });
 
-router.get('/:roomId/full-history', async (req, res) => {
+router.get('/:roomId/full-history', identifyRecordingViewer, async (req, res) => {
   try {
     const room = await Room.findOne({ roomId: req.params.roomId });
     if (!room) {
       return res.status(404).json({ message: 'Room not found' });
     }
 
-    const decryptedChat = (room.chatMessages || []).map(m => ({
+    const decryptedChat = (room.chatMessages || []).filter(m => m.isVisibleTo(viewerOf(req))).map(m => ({
       senderId: m.senderId,
       senderName: decrypt(m.senderName),
-      message: decrypt(m.message),
+      message: chatContent(m),
+      recipientIds: m.recipientIds || [],
       timestamp: m.timestamp,
       sessionId: m.sessionId
     }));
 
+    // Anonymous callers see that recordings exist but get no URLs for them.
+    const issuer = req.participant || req.moderator ? urlIssuerFor(req, 'full-history') : null;
     const decryptedRecordings = (room.callRecordings || []).map(r => ({
+      recordingId: r.id,
       fileName: r.fileName,
-      s3Url: r.s3Url,
+      url: issuer ? issuer.sign(r) : null,
+      urlExpiresIn: issuer ? RECORDING_URL_TTL_SECONDS : null,
       s3Key: r.s3Key,
       fileSize: r.fileSize,
       mimeType: r.mimeType,
@@ -639,9 +1344,12 @@ router.get('/:roomId/full-history', async (req, res) => {
       sessionId: r.sessionId,
       startTime: r.startTime,
       endTime: r.endTime,
-      duration: r.duration
+      duration: r.duration,
+      purgedAt: r.purgedAt
     }));
 
+    if (issuer) await issuer.record();
+
     res.json({
       roomId: room.roomId,
       sessionId: room.sessionId,
@@ -792,11 +1500,21 @@ router.delete('/:roomId/permanent', async (req, res) => {
       return res.status(404).json({ message: 'Room not found' });
     }
 
-    if (room.callRecordings && room.callRecordings.length > 0) {
-      for (const recording of room.callRecordings) {
-        await deleteFromS3(recording.s3Key);
+    if (room.isOnLegalHold() || room.callRecordings.some(r => room.isOnLegalHold(r))) {
+      auditLogger.warn(`Room Hard Delete Blocked by Legal Hold: ${req.params.roomId}`);
+      return res.status(409).json({ message: 'Room has recordings under legal hold' });
+    }
+
+    // Nothing points at these objects once the room is gone, so any failure keeps the room for a retry.
+    for (const recording of room.callRecordings) {
+      await retentionService.deleteRecordingObjects(recording);
+    }
+    for (const chatMessage of room.chatMessages) {
+      for (const attachment of chatMessage.attachments || []) {
+        await storage.delete(attachment.s3Key, { bucket: attachment.s3Bucket });
       }
     }
+    await recordingUploadService.abortRoomUploads(req.params.roomId);
 
     await Room.findOneAndDelete({ roomId: req.params.roomId });
 
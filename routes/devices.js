@@ -3,6 +3,13 @@ const router = express.Router();
 const Joi = require('joi');
 const Device = require('../models/Device');
 const winston = require('winston');
+const {
+  issueDeviceToken,
+  generateSecret,
+  hashSecret,
+  verifySecret
+} = require('../services/authService');
+const { requireServerAdmin } = require('./roomAuth');
 
 const auditLogger = winston.createLogger({
   level: 'info',
@@ -17,6 +24,17 @@ const deviceSchema = Joi.object({
   deviceId: Joi.string().alphanum().max(50).required()
 });
 
+// A device keeps its deviceId for life; it is what its token and secret are tied to.
+const deviceUpdateSchema = Joi.object({
+  floor: Joi.string().max(50).required(),
+  room: Joi.string().max(50).required(),
+  deviceName: Joi.string().min(1).max(100).required()
+});
+
+const deviceTokenSchema = Joi.object({
+  deviceSecret: Joi.string().max(200).required()
+});
+
 router.get('/', async (req, res) => {
   try {
     const devices = await Device.find().sort({ createdAt: -1 });
@@ -56,27 +74,71 @@ router.get('/by-device-id/:deviceId', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+// Registering, renaming and removing devices take the server ADMIN_API_KEY, like rotating a
+// secret: anyone who could delete a device and register its deviceId again would get its secret.
+router.post('/', requireServerAdmin, async (req, res) => {
   const { error } = deviceSchema.validate(req.body);
   if (error) return res.status(400).json({ message: error.details[0].message });
 
+  const deviceSecret = generateSecret();
   const device = new Device({
     ...req.body,
-    status: 'offline'
+    status: 'offline',
+    secretHash: hashSecret(deviceSecret)
   });
 
   try {
     const newDevice = await device.save();
     auditLogger.info(`Device Created: ${req.body.deviceId}`);
-    res.status(201).json(newDevice);
+    // The secret is only ever returned here and on rotation; the device needs it to obtain WS tokens.
+    res.status(201).json({ ...newDevice.toJSON(), deviceSecret });
   } catch (error) {
     auditLogger.error(`Device Create Error: ${error.message}`);
     res.status(400).json({ message: error.message });
   }
 });
 
-router.put('/:id', async (req, res) => {
-  const { error } = deviceSchema.validate(req.body);
+router.post('/by-device-id/:deviceId/token', async (req, res) => {
+  const { error } = deviceTokenSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  try {
+    const device = await Device.findOne({ deviceId: req.params.deviceId }).select('+secretHash');
+    if (!device || !verifySecret(req.body.deviceSecret, device.secretHash)) {
+      auditLogger.warn(`Device Token Denied: ${req.params.deviceId}`);
+      return res.status(401).json({ message: 'Invalid device credentials' });
+    }
+
+    const { token, expiresIn } = issueDeviceToken(device.deviceId);
+    auditLogger.info(`Device Token Issued: ${req.params.deviceId}`);
+    res.json({ token, expiresIn, deviceId: device.deviceId });
+  } catch (error) {
+    auditLogger.error(`Device Token Error: ${error.message}`);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/:id/rotate-secret', requireServerAdmin, async (req, res) => {
+  try {
+    const deviceSecret = generateSecret();
+    const device = await Device.findByIdAndUpdate(
+      req.params.id,
+      { secretHash: hashSecret(deviceSecret), updatedAt: Date.now() },
+      { new: true }
+    );
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    auditLogger.info(`Device Secret Rotated: ${req.params.id}`);
+    res.json({ deviceId: device.deviceId, deviceSecret });
+  } catch (error) {
+    auditLogger.error(`Device Secret Rotation Error: ${error.message}`);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/:id', requireServerAdmin, async (req, res) => {
+  const { error } = deviceUpdateSchema.validate(req.body);
   if (error) return res.status(400).json({ message: error.details[0].message });
 
   try {
@@ -121,7 +183,7 @@ router.patch('/:id/status', async (req, res) => {
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireServerAdmin, async (req, res) => {
   try {
     const device = await Device.findByIdAndDelete(req.params.id);
     if (!device) {
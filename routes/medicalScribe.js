@@ -4,18 +4,21 @@ const Joi = require('joi');
 const Room = require('../models/Room');
 const {
   createMedicalScribeJob,
-  checkMedicalScribeJobStatus,
   generateMedicalScribeJobName,
-  pollMedicalScribeJobStatus,
-  convertS3UrlToUri,
   scribeLogger
 } = require('../services/medicalScribeService');
+const transcriptionService = require('../services/transcriptionService');
+const storage = require('../services/storage');
+const { requireRecordingViewer, urlIssuerFor } = require('./roomAuth');
 
+// Job progress comes from the TranscriptionJob collection, which the background worker in
+// services/transcriptionService.js keeps up to date; nothing here waits on the scribe service.
+// Transcripts hold PHI: their URLs go to the same viewers as recording URLs and every one issued is recorded.
 
 router.post('/:roomId/call-recordings/:recordingId/transcribe', async (req, res) => {
   try {
     const { roomId, recordingId } = req.params;
-    const { autoCheckStatus = false } = req.body;
+    const { autoCheckStatus = false } = req.body || {};
 
     const room = await Room.findOne({ roomId });
     if (!room) {
@@ -27,27 +30,34 @@ router.post('/:roomId/call-recordings/:recordingId/transcribe', async (req, res)
       return res.status(404).json({ message: 'Recording not found' });
     }
 
+    if (recording.purgedAt) {
+      return res.status(410).json({ message: 'Recording has been purged under the retention policy' });
+    }
+
     if (recording.MedicalScribeJobName && recording.MedicaltxtURL) {
       return res.status(400).json({
         message: 'Transcription already completed for this recording',
         jobName: recording.MedicalScribeJobName,
-        transcriptUrl: recording.MedicaltxtURL
+        hint: 'Fetch it from the transcript endpoint.'
       });
     }
 
-    if (recording.MedicalScribeJobName) {
-      const statusResult = await checkMedicalScribeJobStatus(recording.MedicalScribeJobName);
-      
-      if (statusResult.success && statusResult.data.MedicalScribeJobStatus === 'IN_PROGRESS') {
-        return res.status(400).json({
-          message: 'Transcription already in progress',
-          jobName: recording.MedicalScribeJobName,
-          status: statusResult.data.MedicalScribeJobStatus
-        });
-      }
+    const currentJob = await transcriptionService.getJob(recording.MedicalScribeJobName);
+    if (currentJob && currentJob.status === 'in-progress') {
+      return res.status(400).json({
+        message: 'Transcription already in progress',
+        jobName: currentJob.jobName,
+        status: currentJob.scribeStatus,
+        job: transcriptionService.toJobStatus(currentJob)
+      });
     }
 
-    const s3Uri = convertS3UrlToUri(recording.s3Url);
+    const s3Uri = storage.getObjectUri(recording.s3Key, { bucket: recording.s3Bucket });
+    if (!s3Uri) {
+      return res.status(409).json({
+        message: `Transcription needs recordings stored in AWS S3; the ${storage.driver} storage driver is in use`
+      });
+    }
 
     const jobName = generateMedicalScribeJobName(roomId, recordingId);
 
@@ -61,28 +71,28 @@ router.post('/:roomId/call-recordings/:recordingId/transcribe', async (req, res)
       });
     }
 
+    // Tracked before the recording points at it, so a job the recording refers to is always followed.
+    let job = await transcriptionService.trackJob(roomId, recordingId, jobName, {
+      scribeStatus: createResult.data.MedicalScribeJobStatus
+    });
     recording.MedicalScribeJobName = jobName;
     await room.save();
 
     scribeLogger.info(`Transcription started for ${roomId}/${recordingId}: ${jobName}`);
 
-    const response = {
+    if (autoCheckStatus) {
+      job = await transcriptionService.requestCheck(jobName);
+    }
+
+    res.json({
       message: 'Medical Scribe transcription started successfully',
       roomId,
       recordingId,
       jobName: createResult.data.MedicalScribeJobName,
       status: createResult.data.MedicalScribeJobStatus,
+      job: transcriptionService.toJobStatus(job),
       s3Uri
-    };
-
-    if (autoCheckStatus) {
-      const statusResult = await checkMedicalScribeJobStatus(jobName);
-      if (statusResult.success) {
-        response.currentStatus = statusResult.data;
-      }
-    }
-
-    res.json(response);
+    });
   } catch (error) {
     scribeLogger.error(`Transcribe endpoint error: ${error.message}`);
     res.status(500).json({ 
@@ -92,7 +102,7 @@ router.post('/:roomId/call-recordings/:recordingId/transcribe', async (req, res)
   }
 });
 
-router.get('/:roomId/call-recordings/:recordingId/transcribe/status', async (req, res) => {
+router.get('/:roomId/call-recordings/:recordingId/transcribe/status', requireRecordingViewer, async (req, res) => {
   try {
     const { roomId, recordingId } = req.params;
 
@@ -113,31 +123,26 @@ router.get('/:roomId/call-recordings/:recordingId/transcribe/status', async (req
       });
     }
 
-    const statusResult = await checkMedicalScribeJobStatus(recording.MedicalScribeJobName);
-
-    if (!statusResult.success) {
-      return res.status(500).json({
-        message: 'Failed to check transcription status',
-        error: statusResult.error
+    const job = await transcriptionService.getJob(recording.MedicalScribeJobName);
+    if (!job) {
+      return res.status(404).json({
+        message: 'Transcription job is not tracked yet; it is picked up when the server restarts',
+        recordingId,
+        jobName: recording.MedicalScribeJobName
       });
     }
 
-    if (statusResult.data.MedicalScribeJobStatus === 'COMPLETED' && 
-        statusResult.data.MedicaltxtURL && 
-        !recording.MedicaltxtURL) {
-      
-      recording.MedicaltxtURL = statusResult.data.MedicaltxtURL;
-      await room.save();
-      
-      scribeLogger.info(`Transcript URL saved for ${roomId}/${recordingId}: ${statusResult.data.MedicaltxtURL}`);
-    }
+    const issuer = urlIssuerFor(req, 'transcribe-status');
+    const transcriptUrl = issuer.signTranscript(recording);
+    await issuer.record();
 
     res.json({
       roomId,
       recordingId,
       jobName: recording.MedicalScribeJobName,
-      status: statusResult.data.MedicalScribeJobStatus,
-      transcriptUrl: statusResult.data.MedicaltxtURL || recording.MedicaltxtURL,
+      status: job.scribeStatus,
+      job: transcriptionService.toJobStatus(job),
+      transcriptUrl,
       fileName: recording.fileName,
       uploadedAt: recording.uploadedAt
     });
@@ -150,10 +155,11 @@ router.get('/:roomId/call-recordings/:recordingId/transcribe/status', async (req
   }
 });
 
-router.post('/:roomId/call-recordings/:recordingId/transcribe/poll', async (req, res) => {
+// Kept for clients that used to block here until the job finished. The worker now does the
+// waiting; this only asks it to check the job right away and returns the job as it stands.
+router.post('/:roomId/call-recordings/:recordingId/transcribe/poll', requireRecordingViewer, async (req, res) => {
   try {
     const { roomId, recordingId } = req.params;
-    const { maxAttempts = 60, intervalSeconds = 10 } = req.body;
 
     const room = await Room.findOne({ roomId });
     if (!room) {
@@ -170,29 +176,30 @@ router.post('/:roomId/call-recordings/:recordingId/transcribe/poll', async (req,
       });
     }
 
-    scribeLogger.info(`Starting polling for job: ${recording.MedicalScribeJobName}`);
-    const finalStatus = await pollMedicalScribeJobStatus(
-      recording.MedicalScribeJobName,
-      maxAttempts,
-      intervalSeconds * 1000
-    );
-
-    if (finalStatus.MedicaltxtURL) {
-      recording.MedicaltxtURL = finalStatus.MedicaltxtURL;
-      await room.save();
-      
-      scribeLogger.info(`Polling complete. Transcript saved for ${roomId}/${recordingId}`);
+    const job = await transcriptionService.requestCheck(recording.MedicalScribeJobName);
+    if (!job) {
+      return res.status(404).json({
+        message: 'Transcription job is not tracked yet; it is picked up when the server restarts',
+        recordingId,
+        jobName: recording.MedicalScribeJobName
+      });
     }
 
-    res.json({
-      message: 'Transcription completed successfully',
+    const issuer = urlIssuerFor(req, 'transcribe-poll');
+    const transcriptUrl = issuer.signTranscript(recording);
+    await issuer.record();
+
+    const inProgress = job.status === 'in-progress';
+    res.status(inProgress ? 202 : 200).json({
+      message: inProgress
+        ? 'Transcription is running in the background; check the status endpoint for progress'
+        : `Transcription ${job.status}`,
       roomId,
       recordingId,
-      jobName: recording.MedicalScribeJobName,
-      status: finalStatus.MedicalScribeJobStatus,
-      transcriptUrl: finalStatus.MedicaltxtURL,
-      pollingAttempts: maxAttempts,
-      pollingInterval: intervalSeconds
+      jobName: job.jobName,
+      status: job.scribeStatus,
+      job: transcriptionService.toJobStatus(job),
+      transcriptUrl
     });
   } catch (error) {
     scribeLogger.error(`Polling error: ${error.message}`);
@@ -203,7 +210,7 @@ router.post('/:roomId/call-recordings/:recordingId/transcribe/poll', async (req,
   }
 });
 
-router.get('/:roomId/call-recordings/:recordingId/transcript', async (req, res) => {
+router.get('/:roomId/call-recordings/:recordingId/transcript', requireRecordingViewer, async (req, res) => {
   try {
     const { roomId, recordingId } = req.params;
 
@@ -218,40 +225,33 @@ router.get('/:roomId/call-recordings/:recordingId/transcript', async (req, res)
     }
 
     if (!recording.MedicaltxtURL) {
-      if (recording.MedicalScribeJobName) {
-        const statusResult = await checkMedicalScribeJobStatus(recording.MedicalScribeJobName);
-        
-        if (statusResult.success && 
-            statusResult.data.MedicalScribeJobStatus === 'COMPLETED' && 
-            statusResult.data.MedicaltxtURL) {
-          
-          recording.MedicaltxtURL = statusResult.data.MedicaltxtURL;
-          await room.save();
-          
-          return res.json({
-            roomId,
-            recordingId,
-            transcriptUrl: statusResult.data.MedicaltxtURL,
-            jobName: recording.MedicalScribeJobName,
-            status: 'COMPLETED'
-          });
-        }
+      const job = await transcriptionService.getJob(recording.MedicalScribeJobName);
+      let hint = 'No transcription job started for this recording.';
+      if (job && job.status === 'in-progress') {
+        hint = 'Transcription is still in progress. Check status endpoint.';
+      } else if (job) {
+        hint = `Transcription ${job.status}${job.error ? `: ${job.error}` : ''}`;
+      } else if (recording.MedicalScribeJobName) {
+        hint = 'Transcription may still be in progress. Check status endpoint.';
       }
 
       return res.status(404).json({
         message: 'Transcript not available yet',
         recordingId,
         jobName: recording.MedicalScribeJobName || null,
-        hint: recording.MedicalScribeJobName 
-          ? 'Transcription may still be in progress. Check status endpoint.' 
-          : 'No transcription job started for this recording.'
+        job: transcriptionService.toJobStatus(job),
+        hint
       });
     }
 
+    const issuer = urlIssuerFor(req, 'transcript');
+    const transcriptUrl = issuer.signTranscript(recording);
+    await issuer.record();
+
     res.json({
       roomId,
       recordingId,
-      transcriptUrl: recording.MedicaltxtURL,
+      transcriptUrl,
       jobName: recording.MedicalScribeJobName,
       fileName: recording.fileName,
       uploadedAt: recording.uploadedAt
@@ -265,7 +265,7 @@ router.get('/:roomId/call-recordings/:recordingId/transcript', async (req, res)
   }
 });
 
-router.get('/:roomId/transcriptions', async (req, res) => {
+router.get('/:roomId/transcriptions', requireRecordingViewer, async (req, res) => {
   try {
     const { roomId } = req.params;
 
@@ -274,15 +274,21 @@ router.get('/:roomId/transcriptions', async (req, res) => {
       return res.status(404).json({ message: 'Room not found' });
     }
 
-    const transcriptions = room.callRecordings.map(recording => ({
-      recordingId: recording._id,
-      fileName: recording.fileName,
-      uploadedAt: recording.uploadedAt,
-      jobName: recording.MedicalScribeJobName || null,
-      transcriptUrl: recording.MedicaltxtURL || null,
-      hasTranscription: !!recording.MedicaltxtURL,
-      transcriptionInProgress: !!recording.MedicalScribeJobName && !recording.MedicaltxtURL
-    }));
+    const jobs = new Map((await transcriptionService.listJobs(roomId)).map(job => [job.jobName, job]));
+    const issuer = urlIssuerFor(req, 'transcriptions');
+    const transcriptions = room.callRecordings.map(recording => {
+      const job = jobs.get(recording.MedicalScribeJobName) || null;
+      return {
+        recordingId: recording._id,
+        fileName: recording.fileName,
+        uploadedAt: recording.uploadedAt,
+        jobName: recording.MedicalScribeJobName || null,
+        jobStatus: job ? job.status : null,
+        transcriptUrl: issuer.signTranscript(recording),
+        hasTranscription: !!recording.MedicaltxtURL,
+        transcriptionInProgress: job ? job.status === 'in-progress' : !!recording.MedicalScribeJobName && !recording.MedicaltxtURL
+      };
+    });
 
     const summary = {
       totalRecordings: transcriptions.length,
@@ -290,6 +296,7 @@ router.get('/:roomId/transcriptions', async (req, res) => {
       inProgress: transcriptions.filter(t => t.transcriptionInProgress).length,
       noTranscription: transcriptions.filter(t => !t.jobName).length
     };
+    await issuer.record();
 
     res.json({
       roomId,
@@ -319,12 +326,21 @@ router.delete('/:roomId/call-recordings/:recordingId/transcription', async (req,
       return res.status(404).json({ message: 'Recording not found' });
     }
 
+    if (room.isOnLegalHold(recording)) {
+      return res.status(409).json({ message: 'Recording is under legal hold' });
+    }
+
     const oldJobName = recording.MedicalScribeJobName;
-    const oldTranscriptUrl = recording.MedicaltxtURL;
 
+    if (recording.transcriptKey) {
+      await storage.delete(recording.transcriptKey, { bucket: recording.s3Bucket });
+    }
     recording.MedicalScribeJobName = null;
     recording.MedicaltxtURL = null;
+    recording.transcriptKey = null;
+    recording.transcriptSha256 = null;
     await room.save();
+    await transcriptionService.cancelJob(oldJobName, 'Transcription was cleared');
 
     scribeLogger.info(`Transcription data cleared for ${roomId}/${recordingId}`);
 
@@ -332,8 +348,7 @@ router.delete('/:roomId/call-recordings/:recordingId/transcription', async (req,
       message: 'Transcription data cleared successfully',
       roomId,
       recordingId,
-      clearedJobName: oldJobName,
-      clearedTranscriptUrl: oldTranscriptUrl
+      clearedJobName: oldJobName
     });
   } catch (error) {
     scribeLogger.error(`Clear transcription error: ${error.message}`);
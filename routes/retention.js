@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const winston = require('winston');
+const { requireServerAdmin, sendServiceResult } = require('./roomAuth');
+const retentionService = require('../services/retentionService');
+
+const auditLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [new winston.transports.Console()]
+});
+
+const scope = Joi.string().trim().max(100).allow(null);
+
+const policySchema = Joi.object({
+  organizationId: scope,
+  roomType: scope,
+  retentionDays: Joi.number().integer().min(1).max(36500).required(),
+  description: Joi.string().trim().max(500).allow(null)
+});
+
+const purgeRunSchema = Joi.object({
+  dryRun: Joi.boolean()
+});
+
+const reportListSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200),
+  skip: Joi.number().integer().min(0)
+});
+
+// Retention is a compliance function: every endpoint here takes the server ADMIN_API_KEY.
+router.use(requireServerAdmin);
+
+router.get('/policies', async (req, res) => {
+  sendServiceResult(res, await retentionService.listPolicies());
+});
+
+router.put('/policies', async (req, res) => {
+  const { error, value } = policySchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  const result = await retentionService.savePolicy(value, 'server-admin');
+  auditLogger.info(`Retention Policy Saved: ${value.organizationId || '*'}/${value.roomType || '*'} = ${value.retentionDays} days (${result.success})`);
+  sendServiceResult(res, result);
+});
+
+router.delete('/policies/:policyId', async (req, res) => {
+  const result = await retentionService.deletePolicy(req.params.policyId, 'server-admin');
+  auditLogger.info(`Retention Policy Deleted: ${req.params.policyId} (${result.success})`);
+  sendServiceResult(res, result);
+});
+
+router.post('/purge-runs', async (req, res) => {
+  const { error, value } = purgeRunSchema.validate(req.body || {});
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  const result = await retentionService.startPurgeRun({
+    trigger: 'manual',
+    triggeredBy: 'server-admin',
+    dryRun: !!value.dryRun
+  });
+  auditLogger.info(`Purge Run Requested${value.dryRun ? ' (dry run)' : ''}: ${result.success ? result.data.runId : result.error}`);
+  sendServiceResult(res, result, 202);
+});
+
+router.get('/purge-runs', async (req, res) => {
+  const { error, value } = reportListSchema.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  sendServiceResult(res, await retentionService.listPurgeReports(value));
+});
+
+router.get('/purge-runs/:runId', async (req, res) => {
+  sendServiceResult(res, await retentionService.getPurgeReport(req.params.runId));
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+// Request guards and the service-result responder shared by the routers under routes/.
+const winston = require('winston');
+const Room = require('../models/Room');
+const { verifyToken, verifySecret, isServerAdminKey } = require('../services/authService');
+const { createUrlIssuer } = require('../services/recordingAccessService');
+
+const auditLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [new winston.transports.Console()]
+});
+
+// Moderation endpoints take the room's adminKey (or the server ADMIN_API_KEY) in x-admin-key.
+async function requireRoomAdmin(req, res, next) {
+  const adminKey = req.get('x-admin-key');
+  if (isServerAdminKey(adminKey)) {
+    req.moderator = 'server-admin';
+    return next();
+  }
+
+  try {
+    const room = await Room.findOne({ roomId: req.params.roomId }).select('+adminKeyHash');
+    if (!room) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+    if (!verifySecret(adminKey, room.adminKeyHash)) {
+      auditLogger.warn(`Moderation Denied: ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ message: 'A valid admin key is required' });
+    }
+    req.moderator = 'room-admin';
+    next();
+  } catch (error) {
+    auditLogger.error(`Moderation Auth Error: ${error.message}`);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// Legal holds are placed and lifted by compliance staff, never by a room's own admin.
+function requireServerAdmin(req, res, next) {
+  if (!isServerAdminKey(req.get('x-admin-key'))) {
+    auditLogger.warn(`Server Admin Required: ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ message: 'Admin key required' });
+  }
+  req.moderator = 'server-admin';
+  next();
+}
+
+// Chat edits act on behalf of a participant, identified by their join token for this room.
+function requireParticipant(req, res, next) {
+  const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const result = verifyToken(token, 'join');
+  if (!result.success || result.data.roomId !== req.params.roomId) {
+    return res.status(401).json({ message: 'A valid join token for this room is required' });
+  }
+  req.participant = {
+    participantId: result.data.participantId,
+    participantName: result.data.participantName,
+    role: result.data.role
+  };
+  next();
+}
+
+// History reads are open, but private messages are only returned to a caller whose join token
+// shows they were part of them. Without a token only room-wide messages are visible.
+function identifyParticipant(req, res, next) {
+  if (!req.get('authorization')) {
+    req.participant = null;
+    return next();
+  }
+  requireParticipant(req, res, next);
+}
+
+const viewerOf = (req) => (req.participant ? req.participant.participantId : null);
+
+// Recording URLs are signed for whoever asks: a participant by join token, or an admin by x-admin-key.
+function requireRecordingViewer(req, res, next) {
+  if (req.get('x-admin-key')) {
+    return requireRoomAdmin(req, res, next);
+  }
+  requireParticipant(req, res, next);
+}
+
+function identifyRecordingViewer(req, res, next) {
+  if (req.get('x-admin-key')) {
+    return requireRoomAdmin(req, res, next);
+  }
+  identifyParticipant(req, res, next);
+}
+
+const urlIssuerFor = (req, endpoint) => createUrlIssuer(
+  req.params.roomId,
+  req.participant
+    ? { id: req.participant.participantId, type: 'participant' }
+    : { id: req.moderator, type: req.moderator },
+  { endpoint, ipAddress: req.ip, userAgent: req.get('user-agent') || null }
+);
+
+// Services answer with { success, data } or a failure carrying the HTTP status to send.
+const sendServiceResult = (res, result, status = 200) => {
+  if (!result.success) {
+    return res.status(result.status).json({ message: result.error });
+  }
+  res.status(status).json(result.data);
+};
+
+module.exports = {
+  requireRoomAdmin,
+  requireServerAdmin,
+  requireParticipant,
+  identifyParticipant,
+  viewerOf,
+  requireRecordingViewer,
+  identifyRecordingViewer,
+  urlIssuerFor,
+  sendServiceResult
+};
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const storage = require('../services/storage');
+
+// Serves objects for the local storage driver through the signed URLs it issues. Cloud drivers
+// sign URLs that point at the storage service directly, so nothing is served here for them.
+router.get('/:bucket/*', async (req, res) => {
+  if (storage.driver !== 'local') {
+    return res.status(404).json({ message: 'Not found' });
+  }
+
+  const { bucket } = req.params;
+  const key = req.params[0];
+  const { expires, signature } = req.query;
+  let valid = false;
+  try {
+    valid = storage.verifySignedUrl(bucket, key, expires, signature);
+  } catch (error) {
+    storage.logger.error(`Signed URL check failed: ${error.message}`);
+  }
+  if (!valid) {
+    storage.logger.warn(`Rejected storage URL: ${bucket}/${key}`);
+    return res.status(403).json({ message: 'This link is invalid or has expired' });
+  }
+
+  let stream;
+  try {
+    stream = await storage.getStream(key, { bucket });
+  } catch (error) {
+    if (error.code === 'NoSuchKey') {
+      return res.status(404).json({ message: 'Not found' });
+    }
+    storage.logger.error(`Storage read error for ${bucket}/${key}: ${error.message}`);
+    return res.status(500).json({ message: 'Server error' });
+  }
+
+  res.type(path.extname(key) || 'application/octet-stream');
+  res.set('Cache-Control', 'private, no-store');
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    storage.logger.warn(`Storage download interrupted for ${bucket}/${key}: ${error.message}`);
+  }
+});
+
+module.exports = router;
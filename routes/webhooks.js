@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const winston = require('winston');
+const { requireServerAdmin, sendServiceResult } = require('./roomAuth');
+const webhookService = require('../services/webhookService');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+const auditLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [new winston.transports.Console()]
+});
+
+const organizationId = Joi.string().trim().max(100);
+
+const subscriptionSchema = Joi.object({
+  organizationId: organizationId.required(),
+  url: Joi.string().trim().uri({ scheme: ['https', 'http'] }).max(2000).required(),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique(),
+  description: Joi.string().trim().max(500).allow(null)
+});
+
+const organizationQuery = Joi.object({
+  organizationId: organizationId.required()
+});
+
+const deliveryQuery = Joi.object({
+  organizationId: organizationId.required(),
+  status: Joi.string().valid('pending', 'delivered', 'failed'),
+  limit: Joi.number().integer().min(1).max(200),
+  skip: Joi.number().integer().min(0)
+});
+
+// Organisation-wide webhooks span rooms with different admin keys, so they take the server ADMIN_API_KEY.
+// Room webhooks are managed under /api/rooms/:roomId/webhooks with the room's admin key.
+router.use(requireServerAdmin);
+
+// The response carries the signing secret; it is not shown again.
+router.post('/', async (req, res) => {
+  const { error, value } = subscriptionSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  const result = await webhookService.createSubscription({ ...value, createdBy: 'server-admin' });
+  auditLogger.info(`Webhook Created: organisation ${value.organizationId} -> ${value.url} (${result.success})`);
+  sendServiceResult(res, result, 201);
+});
+
+router.get('/', async (req, res) => {
+  const { error, value } = organizationQuery.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+  sendServiceResult(res, await webhookService.listSubscriptions({ organizationId: value.organizationId }));
+});
+
+router.delete('/:subscriptionId', async (req, res) => {
+  const { error, value } = organizationQuery.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  const result = await webhookService.deleteSubscription(req.params.subscriptionId, { organizationId: value.organizationId }, 'server-admin');
+  auditLogger.info(`Webhook Deleted: ${req.params.subscriptionId} for organisation ${value.organizationId} (${result.success})`);
+  sendServiceResult(res, result);
+});
+
+router.get('/:subscriptionId/deliveries', async (req, res) => {
+  const { error, value } = deliveryQuery.validate(req.query);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  const { organizationId: scope, ...options } = value;
+  sendServiceResult(res, await webhookService.listDeliveries(req.params.subscriptionId, { organizationId: scope }, options));
+});
+
+module.exports = router;
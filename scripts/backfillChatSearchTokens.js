@@ -0,0 +1,73 @@
+// One-off migration: chat search only looks at each message's blind-index tokens, and messages
+// written before the index existed have none. This decrypts those messages once and stores their
+// tokens, built the same way as for new messages (text, or caption and attachment names).
+//
+//   node scripts/backfillChatSearchTokens.js [--dry-run]
+//
+// Safe to re-run; messages that already have tokens, and deleted or redacted ones, are skipped.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const CryptoJS = require('crypto-js');
+const connectDB = require('../config/database');
+const Room = require('../models/Room');
+const { buildSearchTokens } = require('../services/chatHistoryService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const decrypt = (ciphertext) => {
+  try {
+    return CryptoJS.AES.decrypt(ciphertext, process.env.ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
+  } catch (error) {
+    return '';
+  }
+};
+
+const needsTokens = (m) => !m.deletedAt && !m.redactedAt && !(m.searchTokens && m.searchTokens.length > 0);
+
+async function backfillRooms() {
+  let rooms = 0;
+  let messages = 0;
+  const cursor = Room.collection.find(
+    { chatMessages: { $elemMatch: { 'searchTokens.0': { $exists: false }, deletedAt: null, redactedAt: null } } },
+    { projection: { roomId: 1, chatMessages: 1 } }
+  );
+
+  for await (const room of cursor) {
+    const updates = [];
+    for (const m of room.chatMessages.filter(needsTokens)) {
+      const searchTokens = buildSearchTokens(decrypt(m.message), ...(m.attachments || []).map(a => decrypt(a.fileName)));
+      if (searchTokens.length === 0) continue;
+      updates.push({
+        updateOne: {
+          filter: { _id: room._id },
+          update: { $set: { 'chatMessages.$[message].searchTokens': searchTokens } },
+          arrayFilters: [{ 'message._id': m._id }]
+        }
+      });
+    }
+    if (updates.length === 0) continue;
+
+    rooms += 1;
+    messages += updates.length;
+    if (!dryRun) {
+      await Room.collection.bulkWrite(updates, { ordered: false });
+    }
+  }
+  return { rooms, messages };
+}
+
+async function run() {
+  await connectDB();
+  console.log(dryRun ? 'Dry run: nothing will be changed' : 'Backfilling chat search tokens');
+
+  const { rooms, messages } = await backfillRooms();
+  console.log(`Messages indexed: ${messages} in ${rooms} rooms`);
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch(error => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,123 @@
+// Smoke test for the signaling backplane drivers: room slots, membership, pub/sub and device
+// presence. The memory driver always runs; the Redis driver runs when REDIS_URL is set and also
+// checks that members and devices of a node that has gone away stop counting.
+//
+//   REDIS_URL=redis://localhost:6379 node scripts/backplaneSmoke.js
+//
+// Keys go under their own prefix and rooms get random ids; everything claimed is released again.
+require('dotenv').config();
+process.env.BACKPLANE_KEY_PREFIX = 'hci-smoke:';
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const createMemoryBackplane = require('../services/backplane/memoryBackplane');
+const createRedisBackplane = require('../services/backplane/redisBackplane');
+
+const randomId = (label) => `${label}-${crypto.randomBytes(4).toString('hex')}`;
+
+// Resolves with the first message published on the channel, or rejects after a second.
+function nextMessage(backplane, channel) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No message on ${channel}`)), 1000);
+    backplane.subscribe(channel, (message, origin) => {
+      clearTimeout(timer);
+      resolve({ message, origin });
+    }).catch(reject);
+  });
+}
+
+// Behaviour every driver shares; `peer` is another node on the same backplane (or the same one).
+async function checkDriver(backplane, peer) {
+  const roomId = randomId('room');
+  const channel = `room:${roomId}`;
+
+  assert.equal(await backplane.claimRoomSlot(roomId, 'a', { participantName: 'A' }, 2), true);
+  assert.equal(await peer.claimRoomSlot(roomId, 'b', { participantName: 'B' }, 2), true);
+  assert.equal(await backplane.claimRoomSlot(roomId, 'c', { participantName: 'C' }, 2), false, 'a full room takes no one else');
+  assert.equal(await backplane.claimRoomSlot(roomId, 'a', { participantName: 'A' }, 2), true, 'a member can claim its slot again');
+
+  const members = await backplane.getRoomMembers(roomId);
+  assert.deepEqual(members.map(m => m.participantId).sort(), ['a', 'b']);
+  assert.equal(members.find(m => m.participantId === 'b').nodeId, peer.nodeId);
+
+  const received = nextMessage(backplane, channel);
+  await peer.publish(channel, { kind: 'smoke' });
+  const { message, origin } = await received;
+  assert.deepEqual(message, { kind: 'smoke' });
+  assert.equal(origin, peer.nodeId);
+  await backplane.unsubscribe(channel);
+
+  assert.equal(await backplane.releaseRoomSlot(roomId, 'a'), true);
+  assert.equal(await backplane.releaseRoomSlot(roomId, 'a'), false, 'a slot is released once');
+  assert.equal(await backplane.claimRoomSlot(roomId, 'c', { participantName: 'C' }, 2), true);
+  await backplane.releaseRoomSlot(roomId, 'c');
+  await peer.releaseRoomSlot(roomId, 'b');
+  assert.deepEqual(await backplane.getRoomMembers(roomId), []);
+
+  const deviceId = randomId('device');
+  await peer.registerDevice(deviceId);
+  assert.equal(await backplane.locateDevice(deviceId), peer.nodeId);
+  await peer.unregisterDevice(deviceId);
+  assert.equal(await backplane.locateDevice(deviceId), null);
+}
+
+async function checkMemory() {
+  const backplane = createMemoryBackplane();
+  await backplane.start();
+  try {
+    await checkDriver(backplane, backplane);
+  } finally {
+    await backplane.close();
+  }
+}
+
+async function checkRedis(url) {
+  const logger = { info() {}, warn: console.warn, error: console.error };
+  const first = createRedisBackplane({ url, logger });
+  const second = createRedisBackplane({ url, logger });
+  let secondRunning = true;
+  await first.start();
+  await second.start();
+  try {
+    await checkDriver(first, second);
+
+    // Only the owning node may release a slot or unregister a device.
+    const roomId = randomId('room');
+    const deviceId = randomId('device');
+    await second.claimRoomSlot(roomId, 'b', {}, 1);
+    assert.equal(await first.releaseRoomSlot(roomId, 'b'), false);
+    await second.registerDevice(deviceId);
+    await first.unregisterDevice(deviceId);
+    assert.equal(await first.locateDevice(deviceId), second.nodeId);
+
+    // Closing drops the node key, as its expiry would after a crash: its member stops filling the room.
+    await second.close();
+    secondRunning = false;
+    assert.deepEqual(await first.getRoomMembers(roomId), []);
+    assert.equal(await first.locateDevice(deviceId), null);
+    assert.equal(await first.claimRoomSlot(roomId, 'a', {}, 1), true, 'a dead node\'s member is pruned');
+    assert.deepEqual((await first.getRoomMembers(roomId)).map(m => m.participantId), ['a']);
+    await first.releaseRoomSlot(roomId, 'a');
+  } finally {
+    if (secondRunning) await second.close();
+    await first.close();
+  }
+}
+
+async function run() {
+  await checkMemory();
+  console.log('memory backplane: ok');
+
+  if (!process.env.REDIS_URL) {
+    console.log('redis backplane: skipped (REDIS_URL is not set)');
+    return;
+  }
+  await checkRedis(process.env.REDIS_URL);
+  console.log('redis backplane: ok');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`Backplane smoke test failed: ${error.stack || error.message}`);
+    process.exit(1);
+  });
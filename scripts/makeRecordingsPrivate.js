@@ -0,0 +1,89 @@
+// One-off migration: recordings used to be uploaded with a public-read ACL and their permanent URL
+// stored on the room. This sets every object under recordings/ to private and removes the stored
+// s3Url fields, after which recordings are only reachable through signed URLs.
+//
+//   node scripts/makeRecordingsPrivate.js [--dry-run]
+//
+// Safe to re-run; objects and documents that are already private are left as they are. Only the
+// S3 drivers have ACLs; with local storage only the stored URLs are removed.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Room = require('../models/Room');
+const storage = require('../services/storage');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function makeObjectsPrivate() {
+  if (!storage.client) return { updated: 0, failed: 0 };
+
+  const s3 = storage.client;
+  let updated = 0;
+  let failed = 0;
+  let ContinuationToken;
+  do {
+    const listing = await s3.listObjectsV2({ Bucket: storage.bucket, Prefix: 'recordings/', ContinuationToken }).promise();
+    for (const object of listing.Contents || []) {
+      try {
+        if (!dryRun) {
+          await s3.putObjectAcl({ Bucket: storage.bucket, Key: object.Key, ACL: 'private' }).promise();
+        }
+        updated += 1;
+      } catch (error) {
+        failed += 1;
+        console.error(`Could not update ACL of ${object.Key}: ${error.message}`);
+      }
+    }
+    ContinuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+  return { updated, failed };
+}
+
+// The schema no longer has s3Url, so documents are read and updated through the raw collection.
+async function stripStoredUrls() {
+  let recordings = 0;
+  const rooms = Room.collection.find(
+    { 'callRecordings.0': { $exists: true } },
+    { projection: { roomId: 1, callRecordings: 1 } }
+  );
+
+  for await (const room of rooms) {
+    for (const recording of room.callRecordings) {
+      const renditionUrls = (recording.renditions || []).some(r => r.s3Url !== undefined);
+      if (recording.s3Url === undefined && !renditionUrls) continue;
+
+      recordings += 1;
+      if (dryRun) continue;
+
+      const unset = { 'callRecordings.$[recording].s3Url': '' };
+      if (renditionUrls) {
+        unset['callRecordings.$[recording].renditions.$[].s3Url'] = '';
+      }
+      await Room.collection.updateOne(
+        { _id: room._id },
+        { $unset: unset },
+        { arrayFilters: [{ 'recording._id': recording._id }] }
+      );
+    }
+  }
+  return { recordings };
+}
+
+async function run() {
+  await connectDB();
+  console.log(dryRun ? 'Dry run: nothing will be changed' : 'Making recordings private');
+
+  const objects = await makeObjectsPrivate();
+  console.log(`S3 objects set to private: ${objects.updated} (${objects.failed} failed)`);
+
+  const documents = await stripStoredUrls();
+  console.log(`Recordings with stored URLs removed: ${documents.recordings}`);
+
+  await mongoose.disconnect();
+  process.exit(objects.failed > 0 ? 1 : 0);
+}
+
+run().catch(error => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+});
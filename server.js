@@ -9,10 +9,22 @@ const winston = require('winston');
 const CryptoJS = require('crypto-js');
 const medicalScribeRoutes = require('./routes/medicalScribe.js');
 require('dotenv').config();
+const { verifyToken, issueResumeToken } = require('./services/authService');
+const {
+  HEARTBEAT_INTERVAL_MS,
+  HEARTBEAT_MAX_MISSES,
+  WS_MAX_MESSAGE_BYTES,
+  WS_MAX_PAYLOAD_BYTES
+} = require('./config/signaling');
+const { ERROR_CODES, validateInbound, describeProtocol } = require('./protocol/signaling');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({
+  server,
+  maxPayload: WS_MAX_PAYLOAD_BYTES,
+  verifyClient: verifyWsClient
+});
 
 const auditLogger = winston.createLogger({
   level: 'info',
@@ -31,6 +43,10 @@ if (!ENCRYPTION_KEY) {
   console.error('ENCRYPTION_KEY missing! Exiting.');
   process.exit(1);
 }
+if (!process.env.JOIN_TOKEN_SECRET) {
+  console.error('JOIN_TOKEN_SECRET missing! Exiting.');
+  process.exit(1);
+}
 const encrypt = (text) => {
   if (!text || text.trim() === '') return encrypt('Anonymous');
   return CryptoJS.AES.encrypt(text.trim(), ENCRYPTION_KEY).toString();
@@ -47,6 +63,31 @@ const decrypt = (ciphertext) => {
   }
 };
 
+const toClientChatMessage = (m) => ({
+  messageId: m.id,
+  senderId: m.senderId,
+  senderName: decrypt(m.senderName),
+  message: m.deletedAt || m.redactedAt ? null : decrypt(m.message),
+  // Download URLs are signed on demand via GET /api/rooms/:roomId/attachments/:attachmentId/url.
+  attachments: m.deletedAt || m.redactedAt ? [] : (m.attachments || []).map(a => ({
+    attachmentId: a.id,
+    fileName: decrypt(a.fileName),
+    mimeType: a.mimeType,
+    fileSize: a.fileSize
+  })),
+  recipientIds: m.recipientIds || [],
+  timestamp: m.timestamp,
+  sessionId: m.sessionId,
+  editedAt: m.editedAt || null,
+  deletedAt: m.deletedAt || null,
+  redactedAt: m.redactedAt || null,
+  receipts: (m.receipts || []).map(r => ({
+    participantId: r.participantId,
+    deliveredAt: r.deliveredAt,
+    readAt: r.readAt
+  }))
+});
+
 const sanitizeForClient = (data) => {
   if (!data || typeof data !== 'object') return data;
   return { ...data };
@@ -79,31 +120,114 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hci-video
 const deviceRoutes = require('./routes/devices');
 const callHistoryRoutes = require('./routes/callHistory');
 const roomRoutes = require('./routes/Room');
+const storageRoutes = require('./routes/storage');
+const retentionRoutes = require('./routes/retention');
+const webhookRoutes = require('./routes/webhooks');
 
 app.use('/api/devices', deviceRoutes);
 app.use('/api/call-history', callHistoryRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api/rooms', medicalScribeRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date() });
 });
 
+app.get('/api/protocol/signaling', (req, res) => {
+  res.json(describeProtocol());
+});
+
 const rooms = new Map(); 
 const connectedDevices = new Map();
 const Room = require('./models/Room');
+const sfuService = require('./services/sfuService');
+const recordingService = require('./services/recordingService');
+const recordingUploadService = require('./services/recordingUploadService');
+const recordingConsentService = require('./services/recordingConsentService');
+const retentionService = require('./services/retentionService');
+const transcriptionService = require('./services/transcriptionService');
+const webhookService = require('./services/webhookService');
+const backplane = require('./services/backplane');
+const moderationService = require('./services/moderationService');
+const { verifyRoomPin } = require('./services/roomAccessService');
+const chatService = require('./services/chatService');
+const { buildSearchTokens, queryChatHistory } = require('./services/chatHistoryService');
+const { DEFAULT_MAX_PARTICIPANTS, RECONNECT_GRACE_MS, resolveMediaMode } = require('./config/rooms');
+const { RECORDING_UPLOAD_GC_INTERVAL_MS, RECORDING_RETENTION_INTERVAL_MS } = require('./config/recording');
+const { TRANSCRIPTION_WORKER_INTERVAL_MS } = require('./config/transcription');
+const { WEBHOOK_WORKER_INTERVAL_MS } = require('./config/webhooks');
+
+sfuService.sfuEvents.on('consumer-closed', ({ roomId, participantId, consumerId, producerId }) => {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  const targetWs = room.participants.get(participantId);
+  if (targetWs && targetWs.readyState === WebSocket.OPEN) {
+    targetWs.send(JSON.stringify({
+      type: 'consumer-closed',
+      consumerId,
+      producerId
+    }));
+  }
+});
+
+recordingService.recordingEvents.on('recording-stopped', (summary) => {
+  broadcastToRoom(summary.roomId, null, { type: 'recording-stopped', ...summary }, true);
+  auditLogger.info(`Recording Stopped: ${summary.recordingId} in ${summary.roomId} (${summary.reason})`);
+});
+
+recordingService.recordingEvents.on('recording-saved', (summary) => {
+  broadcastToRoom(summary.roomId, null, { type: 'recording-saved', ...summary }, true, 'admin');
+  auditLogger.info(`Recording Saved: ${summary.recordingId} in ${summary.roomId} - ${summary.s3Key}`);
+});
+
+recordingService.recordingEvents.on('recording-failed', (summary) => {
+  broadcastToRoom(summary.roomId, null, { type: 'recording-failed', ...summary }, true, 'admin');
+  auditLogger.error(`Recording Failed: ${summary.recordingId} in ${summary.roomId} - ${summary.error}`);
+});
+
+// Emitted on the node that advanced the job; broadcastToRoom relays it to admins on the others.
+transcriptionService.transcriptionEvents.on('transcription-status', (event) => {
+  broadcastToRoom(event.roomId, null, { type: 'transcription-status', ...event }, true, 'admin');
+  webhookService.dispatch(event.roomId, 'transcription-status', event);
+  auditLogger.info(`Transcription Status: ${event.jobName} for ${event.roomId}/${event.recordingId} - ${event.status} (${event.scribeStatus || 'no scribe status'})`);
+});
+
+// Every socket must present a signed token; identity and role come from its claims, never the query string.
+function verifyWsClient(info, done) {
+  const url = new URL(info.req.url, `ws://${info.req.headers.host || 'localhost'}`);
+  const requestedDeviceId = url.searchParams.get('deviceId');
+  const requestedRoomId = url.searchParams.get('roomId');
+  const resumeToken = url.searchParams.get('resumeToken');
+  const tokenType = requestedDeviceId ? 'device' : (resumeToken ? 'resume' : 'join');
+
+  const result = verifyToken(resumeToken || url.searchParams.get('token'), tokenType);
+  if (!result.success) {
+    auditLogger.warn(`WS Handshake Rejected: ${result.error}`);
+    return done(false, 401, result.error);
+  }
+
+  const claims = result.data;
+  if ((tokenType === 'device' && claims.deviceId !== requestedDeviceId) ||
+      (tokenType !== 'device' && requestedRoomId && claims.roomId !== requestedRoomId)) {
+    auditLogger.warn(`WS Handshake Rejected: token does not match requested ${tokenType}`);
+    return done(false, 403, 'Token does not match the requested connection');
+  }
+
+  info.req.tokenClaims = claims;
+  done(true);
+}
 
 wss.on('connection', (ws, req) => {
-  const url = new URL(req.url, `ws://${req.headers.host || 'localhost'}`);
+  const claims = req.tokenClaims;
   
-  const roomId = url.searchParams.get('roomId');
-  const deviceId = url.searchParams.get('deviceId');
-  
-  if (roomId) {
-    const participantId = url.searchParams.get('participantId');
-    const rawName = url.searchParams.get('participantName') || 'Anonymous';
-    const participantName = decodeURIComponent(rawName).trim() || 'Anonymous';
-    const role = url.searchParams.get('role') || 'user';
+  if (claims.typ === 'join' || claims.typ === 'resume') {
+    const roomId = claims.roomId;
+    const participantId = claims.participantId;
+    const participantName = (claims.participantName || '').trim() || 'Anonymous';
+    const role = claims.role || 'user';
     
     console.log(`[ROOM] Connection: roomId=${roomId}, participantId=${participantId}, name=${participantName}, role=${role}`);
     auditLogger.info(`WS Connection: Room ${roomId} participant ${participantId}`);
@@ -113,43 +237,76 @@ wss.on('connection', (ws, req) => {
     ws.participantId = participantId;
     ws.participantName = participantName;
     ws.role = role;
+    // Only a join token admits a socket through join-room; a resume token can only pick up its own session.
+    ws.tokenType = claims.typ;
+    ws.resumeNonce = claims.typ === 'resume' ? claims.nonce : null;
     
-  } else if (deviceId) {
+  } else if (claims.typ === 'device') {
+    const deviceId = claims.deviceId;
     console.log(`[DEVICE] Device connected: ${deviceId}`);
     auditLogger.info(`WS Connection: Device ${deviceId}`);
     
     ws.serviceType = 'device';
     ws.deviceId = deviceId;
     connectedDevices.set(deviceId, ws);
+    registerDevicePresence(deviceId);
   } else {
-    auditLogger.warn('Connection without roomId or deviceId');
+    auditLogger.warn('Connection without a room or device token');
     ws.close();
     return;
   }
 
+  ws.missedHeartbeats = 0;
+  ws.on('pong', () => {
+    ws.missedHeartbeats = 0;
+  });
+
   ws.on('message', (message) => {
+    if (message.length > WS_MAX_MESSAGE_BYTES) {
+      auditLogger.warn(`WS Message Too Large: ${message.length} bytes from ${ws.participantId || ws.deviceId}`);
+      sendError(ws, ERROR_CODES.MESSAGE_TOO_LARGE, `Messages are limited to ${WS_MAX_MESSAGE_BYTES} bytes`);
+      return;
+    }
+
+    let data;
     try {
-      const data = JSON.parse(message);      
-      if (ws.serviceType === 'room') {
-        handleRoomMessage(ws, data);
-      } else if (ws.serviceType === 'device') {
-        handleDeviceMessage(ws, data);
-      }
+      data = JSON.parse(message);
     } catch (error) {
-      console.error('Error parsing message:', error);
       auditLogger.error(`WS Parse Error: ${error.message}`);
+      sendError(ws, ERROR_CODES.INVALID_JSON, 'Message is not valid JSON');
+      return;
+    }
+
+    const validation = validateInbound(ws.serviceType, data);
+    if (!validation.success) {
+      console.log(`[WS] Rejected message: ${validation.error}`);
+      sendError(ws, validation.code, validation.error, data && data.requestId);
+      return;
     }
+
+    const handler = ws.serviceType === 'room' ? handleRoomMessage : handleDeviceMessage;
+    handler(ws, validation.data).catch(error => {
+      console.error(`Error handling ${data.type} message:`, error);
+      auditLogger.error(`WS Handler Error: ${data.type}: ${error.message}`);
+      sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Internal server error', data.requestId);
+    });
   });
 
   ws.on('close', () => {
     if (ws.serviceType === 'room') {
       console.log(`[ROOM] Participant disconnected: ${ws.participantId} from room ${ws.roomId}`);
-      handleParticipantLeave(ws);
+      handleParticipantDisconnect(ws);
       auditLogger.info(`WS Disconnect: Room ${ws.roomId} participant ${ws.participantId}`);
     } else if (ws.serviceType === 'device') {
       console.log(`[DEVICE] Device disconnected: ${ws.deviceId}`);
-      connectedDevices.delete(ws.deviceId);
-      updateDeviceStatus(ws.deviceId, 'offline');
+      // A newer socket for the same device may already have taken over.
+      if (connectedDevices.get(ws.deviceId) === ws) {
+        connectedDevices.delete(ws.deviceId);
+        backplane.unregisterDevice(ws.deviceId).catch(error => {
+          auditLogger.error(`Backplane Device Unregister Error: ${error.message}`);
+        });
+        updateDeviceStatus(ws.deviceId, 'offline');
+      }
       auditLogger.info(`WS Disconnect: Device ${ws.deviceId}`);
     }
   });
@@ -158,20 +315,93 @@ wss.on('connection', (ws, req) => {
     console.error('WebSocket error:', error);
     auditLogger.error(`WS Error: ${error.message}`);
   });
+
+  if (ws.resumeNonce) {
+    handleSessionResume(ws).catch(error => {
+      console.error('[ROOM] Error in handleSessionResume:', error);
+      auditLogger.error(`Session Resume Error: ${error.message}`);
+    });
+  }
+});
+
+// Silent TCP drops never fire 'close' on their own; terminating the socket routes it through the normal close cleanup.
+const heartbeatInterval = setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (ws.missedHeartbeats >= HEARTBEAT_MAX_MISSES) {
+      const target = ws.serviceType === 'device' ? `device ${ws.deviceId}` : `participant ${ws.participantId} in ${ws.roomId}`;
+      console.log(`[HEARTBEAT] Terminating unresponsive ${target}`);
+      auditLogger.warn(`Heartbeat Timeout: ${target} missed ${ws.missedHeartbeats} pings`);
+      ws.terminate();
+      return;
+    }
+
+    ws.missedHeartbeats++;
+    try {
+      ws.ping();
+    } catch (error) {
+      auditLogger.error(`Heartbeat Ping Error: ${error.message}`);
+      ws.terminate();
+    }
+  });
+}, HEARTBEAT_INTERVAL_MS);
+
+// Abandoned resumable uploads and leftover temp files would otherwise accumulate in S3 and on disk.
+const uploadGcInterval = setInterval(() => {
+  recordingUploadService.collectGarbage();
+}, RECORDING_UPLOAD_GC_INTERVAL_MS);
+uploadGcInterval.unref();
+
+// Recordings past their retention period are purged; each run leaves a PurgeReport behind.
+const retentionInterval = setInterval(() => {
+  retentionService.runScheduledPurge();
+}, RECORDING_RETENTION_INTERVAL_MS);
+retentionInterval.unref();
+
+// Medical Scribe jobs are followed to completion from the TranscriptionJob collection.
+transcriptionService.adoptUntrackedJobs();
+const transcriptionInterval = setInterval(() => {
+  transcriptionService.advanceJobs();
+}, TRANSCRIPTION_WORKER_INTERVAL_MS);
+transcriptionInterval.unref();
+
+// Webhook deliveries are sent, and failed ones retried, from the WebhookDelivery collection.
+const webhookInterval = setInterval(() => {
+  webhookService.deliverDueWebhooks();
+}, WEBHOOK_WORKER_INTERVAL_MS);
+webhookInterval.unref();
+
+wss.on('close', () => {
+  clearInterval(heartbeatInterval);
+  clearInterval(uploadGcInterval);
+  clearInterval(retentionInterval);
+  clearInterval(transcriptionInterval);
+  clearInterval(webhookInterval);
 });
 
 async function handleRoomMessage(ws, data) {
   const type = data.type;
-  const roomId = data.roomId || ws.roomId;
-  const participantId = data.participantId || ws.participantId;
-  const participantName = data.participantName || ws.participantName || 'Anonymous';
+  const roomId = ws.roomId;
+  const participantId = ws.participantId;
+  const participantName = ws.participantName || 'Anonymous';
 
   console.log(`[ROOM] Message: ${type} from ${participantId} (${participantName}) in room ${roomId}`);
   auditLogger.info(`Room Action: ${type} in ${roomId} by ${participantId}`);
 
+  if (type !== 'join-room' && type !== 'leave-room' && !isJoinedSocket(ws)) {
+    sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'Join the room before sending room messages', data.requestId);
+    return;
+  }
+
   switch (type) {
     case 'join-room':
-      await handleJoinRoom(ws, roomId, participantId, participantName, ws.role);
+      if (ws.tokenType !== 'join') {
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'Reconnect with a join token to join the room', data.requestId);
+        break;
+      }
+      await handleJoinRoom(ws, roomId, participantId, participantName, ws.role, {
+        pin: data.pin,
+        requestId: data.requestId
+      });
       break;
 
     case 'leave-room':
@@ -179,62 +409,159 @@ async function handleRoomMessage(ws, data) {
       break;
 
     case 'chat-message':
-      const chatSenderId = data.senderId || participantId;
-      const chatSenderName = data.senderName || participantName;
+      const chatSenderId = participantId;
+      const chatSenderName = participantName;
       const chatMessage = data.message || '';
-      const chatTimestamp = new Date().toISOString();
 
-      await saveChatMessage(
+      const chatRecipients = await resolveChatRecipients(ws, data.recipientIds);
+      if (!chatRecipients.success) {
+        sendError(ws, chatRecipients.code, chatRecipients.error, data.requestId);
+        break;
+      }
+
+      const savedChat = await saveChatMessage(
         ws.roomId,
         chatSenderId,
         chatSenderName,
-        chatMessage
+        chatMessage,
+        chatRecipients.data
       );
+      if (!savedChat) {
+        sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Chat message could not be saved', data.requestId);
+        break;
+      }
+      const chatTimestamp = savedChat.timestamp.toISOString();
 
       const outgoingChat = {
         type: 'chat-message',
         roomId: ws.roomId,
+        messageId: savedChat.id,
         participantId: chatSenderId,
         senderId: chatSenderId,
         senderName: chatSenderName,
         message: chatMessage,
+        recipientIds: chatRecipients.data,
         timestamp: chatTimestamp
       };
 
-      broadcastToRoom(ws.roomId, ws.participantId, outgoingChat);
+      broadcastToRoom(ws.roomId, ws.participantId, outgoingChat, false, savedChat.getAudience());
+      ws.send(JSON.stringify({
+        type: 'chat-sent',
+        requestId: data.requestId,
+        messageId: savedChat.id,
+        timestamp: chatTimestamp
+      }));
+      break;
+
+    case 'get-chat-history': {
+      const { type: historyType, requestId: historyRequestId, ...historyQuery } = data;
+      const history = await sendChatHistory(ws, ws.roomId, historyQuery, historyRequestId);
+      if (!history.success) {
+        sendError(ws, history.code, history.error, data.requestId);
+      }
+      break;
+    }
+
+    case 'chat-delivered':
+    case 'chat-read':
+      await handleChatReceipt(ws, data);
+      break;
+
+    case 'chat-edit':
+    case 'chat-delete':
+    case 'chat-redact':
+      await handleChatModification(ws, data);
       break;
 
+    case 'typing': {
+      const typingRecipients = (data.recipientIds || []).filter(id => id !== participantId);
+      broadcastToRoom(ws.roomId, ws.participantId, {
+        type: 'typing',
+        participantId,
+        participantName,
+        isTyping: data.isTyping,
+        recipientIds: typingRecipients
+      }, false, typingRecipients.length > 0 ? [participantId, ...typingRecipients] : null);
+      break;
+    }
+
     case 'webrtc-offer':
     case 'webrtc-answer':
     case 'webrtc-ice-candidate':
+      if (getRoomMediaMode(ws.roomId) !== 'mesh') {
+        sendError(
+          ws,
+          ERROR_CODES.MEDIA_MODE_MISMATCH,
+          `${type} is only supported in mesh rooms; use the SFU messages instead`,
+          data.requestId
+        );
+        break;
+      }
       broadcastToRoom(ws.roomId, ws.participantId, data);
       break;
 
+    case 'get-router-rtp-capabilities':
+    case 'create-webrtc-transport':
+    case 'connect-webrtc-transport':
+    case 'produce':
+    case 'consume':
+    case 'resume-consumer':
+    case 'close-producer':
+      await handleSfuMessage(ws, data);
+      break;
+
     case 'admin-control-media':
       handleAdminMediaControl(ws, data);
       break;
 
+    case 'screen-share-start':
+    case 'screen-share-stop':
+      await handleScreenShare(ws, data);
+      break;
+
+    case 'recording-start':
+    case 'recording-stop':
+      await handleRecordingControl(ws, data);
+      break;
+
+    case 'recording-consent-request':
+      await handleConsentRequest(ws, data);
+      break;
+
+    case 'recording-consent-response':
+      await handleConsentResponse(ws, data);
+      break;
+
+    case 'client-recording-start':
+    case 'client-recording-stop':
+      await handleClientRecording(ws, data);
+      break;
+
+    case 'admit-participant':
+      await handleLobbyDecision(ws, data, 'admitted');
+      break;
+
+    case 'deny-participant':
+      await handleLobbyDecision(ws, data, 'denied');
+      break;
+
+    case 'remove-participant':
+    case 'ban-participant':
+    case 'unban-participant':
+    case 'lock-room':
+    case 'unlock-room':
+      await handleModerationMessage(ws, data);
+      break;
+
     default:
       console.log('[ROOM] Unknown message type:', type);
+      sendError(ws, ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${type}`, data.requestId);
   }
 }
 
-async function handleJoinRoom(ws, roomId, participantId, participantName, role) {
+async function handleJoinRoom(ws, roomId, participantId, participantName, role, { pin, requestId } = {}) {
   try {
-    if (!rooms.has(roomId)) {
-      rooms.set(roomId, { participants: new Map() });
-    }
-
-    const room = rooms.get(roomId);
-
-    if (room.participants.size >= 2) {
-      ws.send(JSON.stringify({
-        type: 'room-status',
-        status: 'full',
-        roomId
-      }));
-      return;
-    }
+    const room = await ensureLocalRoom(roomId);
 
     let dbRoom = await Room.findOne({ roomId });
     
@@ -262,66 +589,170 @@ async function handleJoinRoom(ws, roomId, participantId, participantName, role)
         callDuration: 0,
         metadata: {
           totalParticipants: 1,
-          maxParticipants: 2,
+          maxParticipants: DEFAULT_MAX_PARTICIPANTS,
+          mediaMode: resolveMediaMode(DEFAULT_MAX_PARTICIPANTS),
           reconnections: 0
         }
       });
       await dbRoom.save();
       console.log(`[ROOM] Database room created: ${roomId}`);
-    } else {
-      if (dbRoom.status === 'ended') {
-        const now = new Date();
-        const sessionId = `${roomId}-${now.getTime()}`;
-        dbRoom.participants = [];
-        dbRoom.callStartTime = null;
-        dbRoom.callEndTime = null;
-        dbRoom.callDuration = 0;
-        dbRoom.sessionStartTime = now;
-        dbRoom.sessionId = sessionId;
-        dbRoom.status = 'waiting';
-       if (dbRoom.metadata) {
-          dbRoom.metadata.totalParticipants = 0;
-          dbRoom.metadata.reconnections = 0;
+    }
+
+    room.maxParticipants = dbRoom.metadata.maxParticipants || DEFAULT_MAX_PARTICIPANTS;
+    room.mediaMode = dbRoom.metadata.mediaMode || resolveMediaMode(room.maxParticipants);
+
+    const membersBefore = await backplane.getRoomMembers(roomId);
+    const alreadyMember = membersBefore.some(m => m.participantId === participantId);
+
+    if (dbRoom.isBanned(participantId)) {
+      auditLogger.warn(`Banned participant rejected: ${participantId} in ${roomId}`);
+      rejectJoin(ws, room, 'banned');
+      return;
+    }
+
+    // Admins and participants who still hold a slot (e.g. a rejoin during the grace window) bypass the lock.
+    if (dbRoom.settings.locked && role !== 'admin' && !alreadyMember) {
+      auditLogger.warn(`Locked room rejected join: ${participantId} in ${roomId}`);
+      rejectJoin(ws, room, 'locked');
+      return;
+    }
+
+    if (dbRoom.settings.pinProtected && role !== 'admin' && !alreadyMember && !ws.pinVerified) {
+      const pinCheck = await verifyRoomPin(roomId, pin, participantId);
+      if (!pinCheck.success) {
+        if (pinCheck.lockedOut) {
+          auditLogger.warn(`Room PIN Lockout: ${roomId} after repeated failures (last by ${participantId})`);
+        } else if (pinCheck.code === ERROR_CODES.INVALID_PIN) {
+          auditLogger.warn(`Room PIN Rejected: ${participantId} in ${roomId}`);
         }
+        sendError(ws, pinCheck.code, pinCheck.error, requestId);
+        if (isLocalRoomEmpty(room)) {
+          deleteLocalRoom(roomId);
+        }
+        return;
+      }
+      ws.pinVerified = true;
+    }
+
+    if (dbRoom.settings.lobbyEnabled && role !== 'admin' && !ws.lobbyAdmitted &&
+        !alreadyMember && !dbRoom.isAdmittedThisSession(participantId)) {
+      await enterLobby(ws, room, dbRoom);
+      return;
+    }
+
+    const claimed = await backplane.claimRoomSlot(
+      roomId,
+      participantId,
+      { participantName, role },
+      room.maxParticipants
+    );
+
+    if (!claimed) {
+      rejectJoin(ws, room, 'full');
+      return;
+    }
+
+    // The same participant may still hold a socket on another node (e.g. a resume that landed elsewhere).
+    const previousMembership = membersBefore.find(m => m.participantId === participantId);
+    const takenOverRemotely = !!previousMembership && previousMembership.nodeId !== backplane.nodeId;
+    if (takenOverRemotely) {
+      await backplane.publish(`room:${roomId}`, {
+        kind: 'participant-taken-over',
+        participantId,
+        nodeId: backplane.nodeId
+      });
+    }
+
+    if (dbRoom.status === 'ended') {
+      const now = new Date();
+      const sessionId = `${roomId}-${now.getTime()}`;
+      dbRoom.participants = [];
+      dbRoom.callStartTime = null;
+      dbRoom.callEndTime = null;
+      dbRoom.callDuration = 0;
+      dbRoom.endScreenShare('session-ended');
+      dbRoom.sessionStartTime = now;
+      dbRoom.sessionId = sessionId;
+      dbRoom.status = 'waiting';
+     if (dbRoom.metadata) {
+        dbRoom.metadata.totalParticipants = 0;
+        dbRoom.metadata.reconnections = 0;
       }
+    }
 
-      const existingParticipant = dbRoom.participants.find(p => p.participantId === participantId);
-      if (!existingParticipant) {
-        dbRoom.addParticipant(participantId, participantName || 'Anonymous', role);
-        await dbRoom.save();
+    // Rooms created over REST get their first session id from their first join.
+    if (!dbRoom.sessionId) {
+      dbRoom.sessionId = `${roomId}-${Date.now()}`;
+    }
+
+    const existingParticipant = dbRoom.participants.find(p => p.participantId === participantId);
+    if (!existingParticipant) {
+      dbRoom.addParticipant(participantId, participantName || 'Anonymous', role);
+    }
+    // Joining while consent is being (or has been) collected adds the joiner to the round.
+    const consentResponse = dbRoom.askForRecordingConsent(participantId);
+    // Nobody is recorded before agreeing to it, so recordings already running stop until the joiner answers.
+    const consentPending = !!consentResponse && consentResponse.decision === 'pending';
+    const pausedClientRecordings = consentPending ? dbRoom.stopClientRecordings(null, 'consent-pending') : [];
+    if (dbRoom.isModified()) {
+      await dbRoom.save();
+    }
+    if (consentPending) {
+      // Stopped here first so the joiner's room-status no longer shows it; other nodes stop theirs.
+      if (recordingService.getRecording(roomId)) {
+        recordingService.stopRecording(roomId, { stoppedBy: null, reason: 'consent-pending' });
       }
+      await backplane.publish(`room:${roomId}`, { kind: 'recording-consent-pending', consentId: dbRoom.getRecordingConsent().id });
     }
 
-    const existingParticipants = Array.from(room.participants.entries());
+    const existingParticipants = membersBefore.filter(m => m.participantId !== participantId);
+
+    const pendingReconnect = room.disconnected.get(participantId);
+    if (pendingReconnect) {
+      clearTimeout(pendingReconnect.timer);
+      room.disconnected.delete(participantId);
+      pendingReconnect.ws.leftHandled = true;
+    }
 
     room.participants.set(participantId, ws);
-    console.log(`[ROOM] Room ${roomId} now has ${room.participants.size} participants`);
+    const resume = issueResumeToken({ roomId, participantId, participantName, role });
+    ws.resumeNonce = resume.nonce;
+    const activeShare = dbRoom.getActiveScreenShare();
+    const presenter = activeShare ? {
+      participantId: activeShare.participantId,
+      participantName: activeShare.participantName,
+      streamId: activeShare.streamId,
+      startedAt: activeShare.startedAt
+    } : null;
+    const recordingConsent = recordingConsentService.toConsentSummary(dbRoom.getRecordingConsent());
+    const clientRecordings = dbRoom.getActiveClientRecordings().map(recordingConsentService.toClientRecording);
+    const lobbyRequests = role === 'admin' ? dbRoom.lobbyQueue.map(r => ({
+      participantId: r.participantId,
+      participantName: r.participantName,
+      requestedAt: r.requestedAt
+    })) : undefined;
+    console.log(`[ROOM] Room ${roomId} now has ${existingParticipants.length + 1}/${room.maxParticipants} participants`);
 
     if (existingParticipants.length === 0) {
       ws.send(JSON.stringify({
         type: 'room-status',
         status: 'waiting',
         roomId,
-        role
+        role,
+        mediaMode: room.mediaMode,
+        maxParticipants: room.maxParticipants,
+        resumeToken: resume.token,
+        reconnectGraceMs: RECONNECT_GRACE_MS,
+        locked: dbRoom.settings.locked,
+        presenter,
+        recording: recordingService.getRecording(roomId),
+        recordingConsent,
+        clientRecordings,
+        lobbyRequests
       }));
 
-      let messages = dbRoom.chatMessages || [];
-      const decryptedMessages = messages.map(m => ({
-        senderId: m.senderId,
-        senderName: decrypt(m.senderName),
-        message: decrypt(m.message),
-        timestamp: m.timestamp,
-        sessionId: m.sessionId
-      }));
-      ws.send(JSON.stringify({
-        type: 'chat-history',
-        roomId,
-        chatMessages: decryptedMessages,
-        totalMessages: decryptedMessages.length
-      }));
+      await sendChatHistory(ws, roomId);
     } else {
-      const [otherParticipantId, otherWs] = existingParticipants[0];
-
       if (dbRoom.status === 'waiting') {
         const now = new Date();
         dbRoom.callStartTime = now;
@@ -334,39 +765,66 @@ async function handleJoinRoom(ws, roomId, participantId, participantName, role)
       }
 
       // Plain names (ws has plain)
+      const otherParticipants = existingParticipants.map(m => ({
+        id: m.participantId,
+        name: m.participantName,
+        role: m.role
+      }));
+
       ws.send(JSON.stringify({
         type: 'room-status',
         status: 'ready',
         roomId,
         role,
-        otherParticipant: {
-          id: otherParticipantId,
-          name: otherWs.participantName, 
-          role: otherWs.role
-        }
+        mediaMode: room.mediaMode,
+        maxParticipants: room.maxParticipants,
+        resumeToken: resume.token,
+        reconnectGraceMs: RECONNECT_GRACE_MS,
+        locked: dbRoom.settings.locked,
+        presenter,
+        recording: recordingService.getRecording(roomId),
+        recordingConsent,
+        clientRecordings,
+        lobbyRequests,
+        otherParticipant: otherParticipants[0],
+        participants: otherParticipants,
+        producers: room.mediaMode === 'sfu' ? sfuService.getProducers(roomId, participantId) : []
       }));
 
-      let messages = dbRoom.chatMessages || [];
-      const decryptedMessages = messages.map(m => ({
-        senderId: m.senderId,
-        senderName: decrypt(m.senderName),
-        message: decrypt(m.message),
-        timestamp: m.timestamp,
-        sessionId: m.sessionId
-      }));
-      ws.send(JSON.stringify({
-        type: 'chat-history',
-        roomId,
-        chatMessages: decryptedMessages,
-        totalMessages: decryptedMessages.length
-      }));
+      await sendChatHistory(ws, roomId);
 
-      otherWs.send(JSON.stringify({
+      broadcastToRoom(roomId, participantId, pendingReconnect || takenOverRemotely ? {
+        type: 'participant-resumed',
+        participantId
+      } : {
         type: 'participant-joined',
         participantId,
         participantName,
         role
+      });
+    }
+    if (consentPending) {
+      const consent = dbRoom.getRecordingConsent();
+      pausedClientRecordings.forEach(r => {
+        broadcastToRoom(roomId, null, {
+          type: 'client-recording-stopped',
+          roomId,
+          participantId: r.participantId,
+          stoppedAt: r.stoppedAt,
+          reason: r.stopReason
+        }, true);
+      });
+      ws.send(JSON.stringify({
+        type: 'recording-consent-request',
+        roomId,
+        consentId: consent.id,
+        requestedBy: consent.requestedBy,
+        requestedAt: consent.requestedAt
       }));
+      broadcastToRoom(roomId, participantId, { type: 'recording-consent-updated', roomId, consent: recordingConsent }, false, 'admin');
+    }
+    if (pendingReconnect || takenOverRemotely) {
+      await recordReconnection(roomId, participantId);
     }
     auditLogger.info(`Room Joined: ${roomId} by ${participantId}`);
   } catch (error) {
@@ -375,36 +833,771 @@ async function handleJoinRoom(ws, roomId, participantId, participantName, role)
   }
 }
 
+function rejectJoin(ws, room, status) {
+  ws.send(JSON.stringify({
+    type: 'room-status',
+    status,
+    roomId: ws.roomId,
+    maxParticipants: room.maxParticipants
+  }));
+  if (isLocalRoomEmpty(room)) {
+    deleteLocalRoom(ws.roomId);
+  }
+}
+
+async function ensureLocalRoom(roomId) {
+  let room = rooms.get(roomId);
+  if (!room) {
+    room = {
+      participants: new Map(),
+      disconnected: new Map(),
+      lobby: new Map(),
+      maxParticipants: DEFAULT_MAX_PARTICIPANTS,
+      mediaMode: resolveMediaMode(DEFAULT_MAX_PARTICIPANTS)
+    };
+    rooms.set(roomId, room);
+    await subscribeRoomChannel(roomId);
+  }
+  return room;
+}
+
+function isLocalRoomEmpty(room) {
+  return room.participants.size === 0 && room.lobby.size === 0;
+}
+
+function isJoinedSocket(ws) {
+  const room = rooms.get(ws.roomId);
+  return !!room && room.participants.get(ws.participantId) === ws;
+}
+
+function subscribeRoomChannel(roomId) {
+  return backplane.subscribe(`room:${roomId}`, (message, origin) => {
+    handleRoomChannelMessage(roomId, message, origin);
+  });
+}
+
+function deleteLocalRoom(roomId) {
+  rooms.delete(roomId);
+  // The recorder needs the router's taps, so it is stopped (and its file saved) before the router closes.
+  if (recordingService.getRecording(roomId)) {
+    recordingService.stopRecording(roomId, { stoppedBy: null, reason: 'room-empty' });
+  }
+  sfuService.closeRoom(roomId);
+  backplane.unsubscribe(`room:${roomId}`)
+    .then(() => {
+      // Someone may have joined on this node while the unsubscribe was in flight.
+      if (rooms.has(roomId)) return subscribeRoomChannel(roomId);
+    })
+    .catch(error => {
+      auditLogger.error(`Backplane Unsubscribe Error: ${error.message}`);
+    });
+}
+
+// Messages published by other nodes (or by REST routes) for a room this node has sockets in.
+function handleRoomChannelMessage(roomId, message, origin) {
+  switch (message.kind) {
+    case 'broadcast':
+      if (origin === backplane.nodeId) return;
+      deliverToLocalRoom(roomId, message.senderId, message.data, message.includeSender, message.audience);
+      break;
+
+    case 'direct':
+      if (origin === backplane.nodeId) return;
+      deliverToLocalParticipant(roomId, message.participantId, message.data);
+      break;
+
+    case 'notify':
+      deliverToLocalRoom(roomId, null, message.data, true, message.audience);
+      break;
+
+    case 'lobby-decision':
+      applyLobbyDecision(roomId, message);
+      break;
+
+    case 'moderation':
+      applyModerationAction(roomId, message);
+      break;
+
+    // The recorder runs on whichever node hosts the room's SFU router, so every node checks.
+    case 'recording-consent-declined':
+    case 'recording-consent-pending':
+      if (recordingService.getRecording(roomId)) {
+        recordingService.stopRecording(roomId, {
+          stoppedBy: null,
+          reason: message.kind === 'recording-consent-declined' ? 'consent-declined' : 'consent-pending'
+        });
+      }
+      break;
+
+    case 'participant-taken-over':
+      if (message.nodeId === backplane.nodeId) return;
+      evictLocalParticipant(roomId, message.participantId, 'Session resumed on another connection');
+      break;
+
+    default:
+      console.log('[BACKPLANE] Unknown room channel message:', message.kind);
+  }
+}
+
+// Drops a local socket without recording a leave; used when the participant is now served elsewhere.
+function evictLocalParticipant(roomId, participantId, reason) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  const localWs = room.participants.get(participantId);
+  if (!localWs) return;
+
+  const pendingReconnect = room.disconnected.get(participantId);
+  if (pendingReconnect) {
+    clearTimeout(pendingReconnect.timer);
+    room.disconnected.delete(participantId);
+  }
+
+  localWs.leftHandled = true;
+  room.participants.delete(participantId);
+  sfuService.removePeer(roomId, participantId);
+  if (localWs.readyState === WebSocket.OPEN) {
+    localWs.close(4000, reason);
+  }
+
+  if (isLocalRoomEmpty(room)) {
+    deleteLocalRoom(roomId);
+  }
+  auditLogger.info(`Participant Evicted Locally: ${participantId} from ${roomId} (${reason})`);
+}
+
+// A dropped socket keeps its slot for RECONNECT_GRACE_MS so a resume token can take it back.
+function handleParticipantDisconnect(ws) {
+  const room = rooms.get(ws.roomId);
+  if (RECONNECT_GRACE_MS <= 0 || ws.leftHandled || ws.inLobby || !room || room.participants.get(ws.participantId) !== ws) {
+    handleParticipantLeave(ws);
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    room.disconnected.delete(ws.participantId);
+    console.log(`[ROOM] Reconnect grace expired for ${ws.participantId} in room ${ws.roomId}`);
+    handleParticipantLeave(ws);
+  }, RECONNECT_GRACE_MS);
+
+  room.disconnected.set(ws.participantId, {
+    ws,
+    timer,
+    resumeNonce: ws.resumeNonce,
+    disconnectedAt: new Date()
+  });
+
+  broadcastToRoom(ws.roomId, ws.participantId, {
+    type: 'participant-reconnecting',
+    participantId: ws.participantId,
+    graceMs: RECONNECT_GRACE_MS
+  });
+  auditLogger.info(`Participant Reconnecting: ${ws.participantId} in ${ws.roomId}`);
+}
+
+async function handleSessionResume(ws) {
+  const room = rooms.get(ws.roomId);
+  const pending = room && room.disconnected.get(ws.participantId);
+
+  if (!pending || pending.resumeNonce !== ws.resumeNonce) {
+    ws.resumeNonce = null;
+    ws.send(JSON.stringify({
+      type: 'resume-failed',
+      roomId: ws.roomId,
+      message: 'Session can no longer be resumed; join the room again'
+    }));
+    auditLogger.warn(`Session Resume Rejected: ${ws.participantId} in ${ws.roomId}`);
+    // The client reconnects with a fresh join token; this socket was only ever good for the resume.
+    ws.close(4001, 'Session can no longer be resumed');
+    return;
+  }
+
+  clearTimeout(pending.timer);
+  room.disconnected.delete(ws.participantId);
+  pending.ws.leftHandled = true;
+  room.participants.set(ws.participantId, ws);
+
+  const resume = issueResumeToken({
+    roomId: ws.roomId,
+    participantId: ws.participantId,
+    participantName: ws.participantName,
+    role: ws.role
+  });
+  ws.resumeNonce = resume.nonce;
+
+  const members = await backplane.getRoomMembers(ws.roomId);
+  const otherParticipants = members
+    .filter(m => m.participantId !== ws.participantId)
+    .map(m => ({
+      id: m.participantId,
+      name: m.participantName,
+      role: m.role,
+      connected: !room.disconnected.has(m.participantId)
+    }));
+
+  ws.send(JSON.stringify({
+    type: 'session-resumed',
+    roomId: ws.roomId,
+    role: ws.role,
+    mediaMode: room.mediaMode,
+    maxParticipants: room.maxParticipants,
+    resumeToken: resume.token,
+    reconnectGraceMs: RECONNECT_GRACE_MS,
+    participants: otherParticipants
+  }));
+
+  broadcastToRoom(ws.roomId, ws.participantId, {
+    type: 'participant-resumed',
+    participantId: ws.participantId
+  });
+
+  await recordReconnection(ws.roomId, ws.participantId);
+  auditLogger.info(`Session Resumed: ${ws.participantId} in ${ws.roomId}`);
+}
+
+async function recordReconnection(roomId, participantId) {
+  try {
+    await Room.updateOne(
+      { roomId, 'participants.participantId': participantId },
+      {
+        $inc: {
+          'metadata.reconnections': 1,
+          'participants.$.reconnections': 1
+        },
+        $set: { updatedAt: new Date() }
+      }
+    );
+  } catch (error) {
+    console.error('[ROOM] Failed to record reconnection:', error);
+    auditLogger.error(`Reconnection Record Error: ${error.message}`);
+  }
+}
+
+function getRoomMediaMode(roomId) {
+  const room = rooms.get(roomId);
+  return room ? room.mediaMode : null;
+}
+
+async function handleSfuMessage(ws, data) {
+  const { type, requestId } = data;
+  const roomId = ws.roomId;
+  const participantId = ws.participantId;
+
+  const room = rooms.get(roomId);
+  if (!room || room.participants.get(participantId) !== ws) {
+    sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'Join the room before negotiating media', requestId);
+    return;
+  }
+
+  try {
+    switch (type) {
+      case 'get-router-rtp-capabilities': {
+        const rtpCapabilities = await sfuService.getRouterRtpCapabilities(roomId);
+        ws.send(JSON.stringify({ type: 'router-rtp-capabilities', requestId, rtpCapabilities }));
+        break;
+      }
+
+      case 'create-webrtc-transport': {
+        const direction = data.direction === 'recv' ? 'recv' : 'send';
+        const transport = await sfuService.createWebRtcTransport(roomId, participantId, direction);
+        ws.send(JSON.stringify({ type: 'webrtc-transport-created', requestId, direction, ...transport }));
+        break;
+      }
+
+      case 'connect-webrtc-transport':
+        await sfuService.connectTransport(roomId, participantId, data.transportId, data.dtlsParameters);
+        ws.send(JSON.stringify({ type: 'webrtc-transport-connected', requestId, transportId: data.transportId }));
+        break;
+
+      case 'produce': {
+        const { producerId, kind } = await sfuService.produce(
+          roomId,
+          participantId,
+          data.transportId,
+          data.kind,
+          data.rtpParameters,
+          data.appData
+        );
+        ws.send(JSON.stringify({ type: 'produced', requestId, producerId, kind }));
+        broadcastToRoom(roomId, participantId, {
+          type: 'new-producer',
+          producerId,
+          participantId,
+          kind
+        });
+        auditLogger.info(`SFU Produce: ${participantId} in ${roomId} (${kind})`);
+        break;
+      }
+
+      case 'consume': {
+        const consumer = await sfuService.consume(
+          roomId,
+          participantId,
+          data.transportId,
+          data.producerId,
+          data.rtpCapabilities
+        );
+        ws.send(JSON.stringify({ type: 'consumed', requestId, ...consumer }));
+        break;
+      }
+
+      case 'resume-consumer':
+        await sfuService.resumeConsumer(roomId, participantId, data.consumerId);
+        ws.send(JSON.stringify({ type: 'consumer-resumed', requestId, consumerId: data.consumerId }));
+        break;
+
+      case 'close-producer':
+        sfuService.closeProducer(roomId, participantId, data.producerId);
+        broadcastToRoom(roomId, participantId, {
+          type: 'producer-closed',
+          producerId: data.producerId,
+          participantId
+        }, true);
+        break;
+    }
+  } catch (error) {
+    console.error(`[ROOM] SFU ${type} failed:`, error);
+    auditLogger.error(`SFU Error: ${type} by ${participantId} in ${roomId}: ${error.message}`);
+    sendError(ws, ERROR_CODES.MEDIA_ERROR, `Media ${type} failed: ${error.message}`, requestId);
+  }
+}
+
+async function handleScreenShare(ws, data) {
+  const dbRoom = await Room.findOne({ roomId: ws.roomId });
+  if (!dbRoom) {
+    sendError(ws, ERROR_CODES.NOT_FOUND, 'Room not found', data.requestId);
+    return;
+  }
+
+  const activeShare = dbRoom.getActiveScreenShare();
+
+  if (data.type === 'screen-share-start') {
+    if (dbRoom.settings.screenShareAdminOnly && ws.role !== 'admin') {
+      auditLogger.warn(`Unauthorized screen share: ${ws.participantId} in ${ws.roomId}`);
+      sendError(ws, ERROR_CODES.FORBIDDEN, 'Only admins can share their screen in this room', data.requestId);
+      return;
+    }
+    if (activeShare && activeShare.participantId !== ws.participantId) {
+      sendError(ws, ERROR_CODES.SCREEN_SHARE_ACTIVE, `${activeShare.participantName} is already presenting`, data.requestId);
+      return;
+    }
+
+    // A presenter restarting their share (e.g. picking another window) replaces the open entry.
+    if (activeShare) {
+      dbRoom.endScreenShare('replaced');
+    }
+    const share = dbRoom.startScreenShare(ws.participantId, ws.participantName, data.streamId);
+    dbRoom.updatedAt = new Date();
+    await dbRoom.save();
+
+    broadcastToRoom(ws.roomId, ws.participantId, {
+      type: 'screen-share-started',
+      requestId: data.requestId,
+      participantId: ws.participantId,
+      participantName: ws.participantName,
+      streamId: share.streamId,
+      startedAt: share.startedAt
+    }, true);
+    console.log(`[ROOM] ${ws.participantId} started screen share in ${ws.roomId}`);
+    auditLogger.info(`Screen Share Started: ${ws.participantId} in ${ws.roomId}`);
+    return;
+  }
+
+  if (!activeShare) {
+    sendError(ws, ERROR_CODES.NOT_FOUND, 'No active screen share', data.requestId);
+    return;
+  }
+  const isPresenter = activeShare.participantId === ws.participantId;
+  if (!isPresenter && ws.role !== 'admin') {
+    sendError(ws, ERROR_CODES.FORBIDDEN, 'Only the presenter or an admin can stop the screen share', data.requestId);
+    return;
+  }
+
+  dbRoom.endScreenShare(isPresenter ? 'stopped' : 'stopped-by-admin');
+  dbRoom.updatedAt = new Date();
+  await dbRoom.save();
+
+  broadcastToRoom(ws.roomId, ws.participantId, {
+    type: 'screen-share-stopped',
+    requestId: data.requestId,
+    participantId: activeShare.participantId,
+    stoppedBy: ws.participantId,
+    reason: isPresenter ? 'stopped' : 'stopped-by-admin'
+  }, true);
+  console.log(`[ROOM] Screen share by ${activeShare.participantId} stopped in ${ws.roomId}`);
+  auditLogger.info(`Screen Share Stopped: ${activeShare.participantId} in ${ws.roomId} by ${ws.participantId}`);
+}
+
+// Server-side recordings run on this node's SFU router; stopping is reported via recordingEvents.
+async function handleRecordingControl(ws, data) {
+  if (ws.role !== 'admin') {
+    auditLogger.warn(`Unauthorized recording control (${data.type}): ${ws.participantId} in ${ws.roomId}`);
+    sendError(ws, ERROR_CODES.FORBIDDEN, 'Only admins can control recording', data.requestId);
+    return;
+  }
+
+  if (data.type === 'recording-stop') {
+    const result = recordingService.stopRecording(ws.roomId, { stoppedBy: ws.participantId, reason: 'stopped' });
+    if (!result.success) {
+      sendError(ws, result.code, result.error, data.requestId);
+    }
+    return;
+  }
+
+  // Mesh media never passes through the server, so there is nothing for it to record.
+  if (getRoomMediaMode(ws.roomId) !== 'sfu') {
+    sendError(ws, ERROR_CODES.RECORDING_UNAVAILABLE, 'Server-side recording needs an SFU room; record in the browser instead', data.requestId);
+    return;
+  }
+
+  const dbRoom = await Room.findOne({ roomId: ws.roomId });
+  if (!dbRoom || !dbRoom.hasRecordingConsent()) {
+    sendError(ws, ERROR_CODES.CONSENT_REQUIRED, recordingConsentService.CONSENT_REQUIRED_MESSAGE, data.requestId);
+    return;
+  }
+
+  const result = await recordingService.startRecording(ws.roomId, {
+    startedBy: ws.participantId,
+    startedByName: ws.participantName,
+    sessionId: dbRoom.sessionId,
+    consentId: dbRoom.getRecordingConsent().id
+  });
+  if (!result.success) {
+    sendError(ws, result.code, result.error, data.requestId);
+    return;
+  }
+
+  broadcastToRoom(ws.roomId, ws.participantId, {
+    type: 'recording-started',
+    requestId: data.requestId,
+    ...result.data
+  }, true);
+  auditLogger.info(`Recording Started: ${result.data.recordingId} in ${ws.roomId} by ${ws.participantId}`);
+}
+
+// An admin asks everyone in the room; the answers come back as recording-consent-response.
+async function handleConsentRequest(ws, data) {
+  if (ws.role !== 'admin') {
+    auditLogger.warn(`Unauthorized recording consent request: ${ws.participantId} in ${ws.roomId}`);
+    sendError(ws, ERROR_CODES.FORBIDDEN, 'Only admins can request recording consent', data.requestId);
+    return;
+  }
+
+  const result = await recordingConsentService.requestConsent(ws.roomId, { requestedBy: ws.participantId });
+  if (!result.success) {
+    sendError(ws, result.code, result.error, data.requestId);
+    return;
+  }
+
+  const { consent, pendingParticipantIds } = result.data;
+  if (pendingParticipantIds.length > 0) {
+    broadcastToRoom(ws.roomId, ws.participantId, {
+      type: 'recording-consent-request',
+      roomId: ws.roomId,
+      consentId: consent.consentId,
+      requestedBy: consent.requestedBy,
+      requestedAt: consent.requestedAt
+    }, false, pendingParticipantIds);
+  }
+  broadcastToRoom(ws.roomId, ws.participantId, {
+    type: 'recording-consent-updated',
+    requestId: data.requestId,
+    roomId: ws.roomId,
+    consent
+  }, true, 'admin');
+  auditLogger.info(`Recording Consent Requested: ${consent.consentId} in ${ws.roomId} by ${ws.participantId}`);
+}
+
+async function handleConsentResponse(ws, data) {
+  const result = await recordingConsentService.respondToConsent(ws.roomId, ws.participantId, {
+    consentId: data.consentId,
+    granted: data.granted
+  });
+  if (!result.success) {
+    sendError(ws, result.code, result.error, data.requestId);
+    return;
+  }
+
+  const { consent, stoppedClientRecordings } = result.data;
+  broadcastToRoom(ws.roomId, ws.participantId, {
+    type: 'recording-consent-updated',
+    roomId: ws.roomId,
+    consent
+  }, false, 'admin');
+  stoppedClientRecordings.forEach(r => {
+    broadcastToRoom(ws.roomId, null, {
+      type: 'client-recording-stopped',
+      roomId: ws.roomId,
+      participantId: r.participantId,
+      stoppedAt: r.stoppedAt,
+      reason: 'consent-declined'
+    }, true);
+  });
+  auditLogger.info(`Recording Consent ${data.granted ? 'Granted' : 'Declined'}: ${ws.participantId} in ${ws.roomId} (${consent.status})`);
+}
+
+// Recordings made in the admin's browser: the server only tracks them so every peer is told.
+async function handleClientRecording(ws, data) {
+  if (ws.role !== 'admin') {
+    auditLogger.warn(`Unauthorized client recording control (${data.type}): ${ws.participantId} in ${ws.roomId}`);
+    sendError(ws, ERROR_CODES.FORBIDDEN, 'Only admins can control recording', data.requestId);
+    return;
+  }
+
+  if (data.type === 'client-recording-stop') {
+    const result = await recordingConsentService.stopClientRecording(ws.roomId, ws.participantId);
+    if (!result.success) {
+      sendError(ws, result.code, result.error, data.requestId);
+      return;
+    }
+    broadcastToRoom(ws.roomId, ws.participantId, {
+      type: 'client-recording-stopped',
+      requestId: data.requestId,
+      roomId: ws.roomId,
+      ...result.data,
+      reason: 'stopped'
+    }, true);
+    auditLogger.info(`Client Recording Stopped: ${ws.participantId} in ${ws.roomId}`);
+    return;
+  }
+
+  const result = await recordingConsentService.startClientRecording(ws.roomId, {
+    participantId: ws.participantId,
+    participantName: ws.participantName
+  });
+  if (!result.success) {
+    sendError(ws, result.code, result.error, data.requestId);
+    return;
+  }
+  broadcastToRoom(ws.roomId, ws.participantId, {
+    type: 'client-recording-started',
+    requestId: data.requestId,
+    roomId: ws.roomId,
+    ...result.data
+  }, true);
+  auditLogger.info(`Client Recording Started: ${ws.participantId} in ${ws.roomId}`);
+}
+
+async function enterLobby(ws, room, dbRoom) {
+  const previousLobbyWs = room.lobby.get(ws.participantId);
+  if (previousLobbyWs && previousLobbyWs !== ws) {
+    previousLobbyWs.inLobby = false;
+    previousLobbyWs.leftHandled = true;
+    previousLobbyWs.close(4000, 'Lobby request replaced by a newer connection');
+  }
+
+  room.lobby.set(ws.participantId, ws);
+  ws.inLobby = true;
+
+  dbRoom.enqueueLobbyRequest(ws.participantId, ws.participantName);
+  dbRoom.updatedAt = new Date();
+  await dbRoom.save();
+
+  const request = dbRoom.lobbyQueue.find(r => r.participantId === ws.participantId);
+
+  ws.send(JSON.stringify({
+    type: 'lobby-waiting',
+    roomId: ws.roomId
+  }));
+
+  broadcastToRoom(ws.roomId, ws.participantId, {
+    type: 'lobby-request',
+    participantId: ws.participantId,
+    participantName: ws.participantName,
+    requestedAt: request.requestedAt
+  }, false, 'admin');
+
+  console.log(`[ROOM] ${ws.participantId} waiting in lobby of ${ws.roomId}`);
+  auditLogger.info(`Lobby Request: ${ws.participantId} in ${ws.roomId}`);
+}
+
+async function leaveLobby(ws) {
+  const room = rooms.get(ws.roomId);
+  ws.inLobby = false;
+  if (!room || room.lobby.get(ws.participantId) !== ws) return;
+
+  room.lobby.delete(ws.participantId);
+  if (isLocalRoomEmpty(room)) {
+    deleteLocalRoom(ws.roomId);
+  }
+
+  await Room.updateOne(
+    { roomId: ws.roomId },
+    { $pull: { lobbyQueue: { participantId: ws.participantId } }, $set: { updatedAt: new Date() } }
+  );
+
+  broadcastToRoom(ws.roomId, ws.participantId, {
+    type: 'lobby-request-withdrawn',
+    participantId: ws.participantId
+  }, false, 'admin');
+  auditLogger.info(`Lobby Request Withdrawn: ${ws.participantId} in ${ws.roomId}`);
+}
+
+async function handleLobbyDecision(ws, data, decision) {
+  if (ws.role !== 'admin') {
+    auditLogger.warn(`Unauthorized lobby decision: ${ws.participantId} in ${ws.roomId}`);
+    sendError(ws, ERROR_CODES.FORBIDDEN, 'Only admins can admit or deny participants', data.requestId);
+    return;
+  }
+
+  const dbRoom = await Room.findOne({ roomId: ws.roomId });
+  const request = dbRoom && dbRoom.recordAdmissionDecision(data.participantId, decision, ws.participantId, data.reason);
+  if (!request) {
+    sendError(ws, ERROR_CODES.NOT_FOUND, `No pending lobby request from ${data.participantId}`, data.requestId);
+    return;
+  }
+  dbRoom.updatedAt = new Date();
+  await dbRoom.save();
+
+  // The waiting socket may live on another node, so the decision goes through the room channel.
+  await backplane.publish(`room:${ws.roomId}`, {
+    kind: 'lobby-decision',
+    participantId: data.participantId,
+    decision,
+    reason: data.reason || null
+  });
+
+  broadcastToRoom(ws.roomId, ws.participantId, {
+    type: 'lobby-decision',
+    requestId: data.requestId,
+    participantId: data.participantId,
+    decision,
+    decidedBy: ws.participantId
+  }, true, 'admin');
+
+  console.log(`[ROOM] Admin ${ws.participantId} ${decision} ${data.participantId} in ${ws.roomId}`);
+  auditLogger.info(`Lobby Decision: ${ws.participantId} ${decision} ${data.participantId} in ${ws.roomId}`);
+}
+
+function applyLobbyDecision(roomId, { participantId, decision, reason }) {
+  const room = rooms.get(roomId);
+  const lobbyWs = room && room.lobby.get(participantId);
+  if (!lobbyWs) return;
+
+  room.lobby.delete(participantId);
+  lobbyWs.inLobby = false;
+
+  if (decision === 'admitted') {
+    lobbyWs.lobbyAdmitted = true;
+    if (lobbyWs.readyState === WebSocket.OPEN) {
+      lobbyWs.send(JSON.stringify({ type: 'lobby-admitted', roomId }));
+    }
+    handleJoinRoom(lobbyWs, roomId, lobbyWs.participantId, lobbyWs.participantName, lobbyWs.role);
+    return;
+  }
+
+  lobbyWs.leftHandled = true;
+  if (lobbyWs.readyState === WebSocket.OPEN) {
+    lobbyWs.send(JSON.stringify({ type: 'lobby-denied', roomId, reason: reason || null }));
+    lobbyWs.close(4003, 'Denied entry by host');
+  }
+  if (isLocalRoomEmpty(room)) {
+    deleteLocalRoom(roomId);
+  }
+}
+
 function handleAdminMediaControl(ws, data) {
   if (ws.role !== 'admin') {
     auditLogger.warn(`Unauthorized media control: ${ws.participantId} in ${ws.roomId}`);
-    ws.send(JSON.stringify({
-      type: 'error',
-      message: 'Only admins can control participant media'
-    }));
+    sendError(ws, ERROR_CODES.FORBIDDEN, 'Only admins can control participant media', data.requestId);
     return;
   }
 
   const { targetParticipantId, mediaType, enabled } = data;
   console.log(`[ROOM] Admin ${ws.participantId} controlling ${targetParticipantId}'s ${mediaType}: ${enabled}`);
 
-  const room = rooms.get(ws.roomId);
+  sendToParticipant(ws.roomId, targetParticipantId, {
+    type: 'admin-media-control',
+    mediaType,
+    enabled,
+    fromAdmin: ws.participantId
+  });
+  console.log(`[ROOM] Media control sent to ${targetParticipantId}`);
+  auditLogger.info(`Media Control: ${ws.participantId} -> ${targetParticipantId} (${mediaType}=${enabled})`);
+}
+
+const MODERATION_HANDLERS = {
+  'remove-participant': (ws, data, options) =>
+    moderationService.removeParticipant(ws.roomId, data.participantId, options),
+  'ban-participant': (ws, data, options) =>
+    moderationService.banParticipant(ws.roomId, data.participantId, options),
+  'unban-participant': (ws, data, options) =>
+    moderationService.unbanParticipant(ws.roomId, data.participantId, options),
+  'lock-room': (ws, data, options) => moderationService.setRoomLocked(ws.roomId, true, options),
+  'unlock-room': (ws, data, options) => moderationService.setRoomLocked(ws.roomId, false, options)
+};
+
+async function handleModerationMessage(ws, data) {
+  if (ws.role !== 'admin') {
+    auditLogger.warn(`Unauthorized moderation (${data.type}): ${ws.participantId} in ${ws.roomId}`);
+    sendError(ws, ERROR_CODES.FORBIDDEN, 'Only admins can moderate the room', data.requestId);
+    return;
+  }
+
+  const result = await MODERATION_HANDLERS[data.type](ws, data, {
+    performedBy: ws.participantId,
+    reason: data.reason
+  });
+  if (!result.success) {
+    sendError(ws, result.code, result.error, data.requestId);
+    return;
+  }
+  auditLogger.info(`Moderation: ${ws.participantId} ${data.type} ${data.participantId || ''} in ${ws.roomId}`);
+}
+
+// Applied on every node for moderation published by WS admins or the REST routes.
+function applyModerationAction(roomId, { action, participantId, performedBy, reason }) {
+  const room = rooms.get(roomId);
   if (!room) return;
 
-  const targetWs = room.participants.get(targetParticipantId);
-  if (targetWs && targetWs.readyState === WebSocket.OPEN) {
-    targetWs.send(JSON.stringify({
-      type: 'admin-media-control',
-      mediaType,
-      enabled,
-      fromAdmin: ws.participantId
-    }));
-    console.log(`[ROOM] Media control sent to ${targetParticipantId}`);
-    auditLogger.info(`Media Control: ${ws.participantId} -> ${targetParticipantId} (${mediaType}=${enabled})`);
+  if (action === 'remove' || action === 'ban') {
+    const closeCode = action === 'ban' ? 4005 : 4004;
+    const notice = { type: 'removed-from-room', roomId, action, reason: reason || null };
+
+    const lobbyWs = room.lobby.get(participantId);
+    if (lobbyWs) {
+      room.lobby.delete(participantId);
+      lobbyWs.inLobby = false;
+      lobbyWs.leftHandled = true;
+      if (lobbyWs.readyState === WebSocket.OPEN) {
+        lobbyWs.send(JSON.stringify(notice));
+        lobbyWs.close(closeCode, action === 'ban' ? 'Banned by admin' : 'Removed by admin');
+      }
+    }
+
+    const participantWs = room.participants.get(participantId);
+    if (participantWs) {
+      if (participantWs.readyState === WebSocket.OPEN) {
+        participantWs.send(JSON.stringify(notice));
+      }
+      handleParticipantLeave(participantWs).then(() => {
+        if (participantWs.readyState === WebSocket.OPEN) {
+          participantWs.close(closeCode, action === 'ban' ? 'Banned by admin' : 'Removed by admin');
+        }
+      });
+    } else if (lobbyWs && isLocalRoomEmpty(room)) {
+      deleteLocalRoom(roomId);
+    }
   }
+
+  deliverToLocalRoom(roomId, performedBy, {
+    type: 'moderation-action',
+    action,
+    participantId: participantId || null,
+    performedBy,
+    reason: reason || null
+  }, true);
 }
 
 async function handleParticipantLeave(ws) {
+  if (ws.inLobby) {
+    try {
+      await leaveLobby(ws);
+    } catch (error) {
+      auditLogger.error(`Lobby Leave Error: ${error.message}`);
+    }
+    return;
+  }
   if (ws.leftHandled) return;
   ws.leftHandled = true;
 
@@ -414,14 +1607,40 @@ async function handleParticipantLeave(ws) {
     const room = rooms.get(ws.roomId);
     if (!room) return;
 
+    if (room.participants.get(ws.participantId) !== ws) return;
+
+    const pendingReconnect = room.disconnected.get(ws.participantId);
+    if (pendingReconnect) {
+      clearTimeout(pendingReconnect.timer);
+      room.disconnected.delete(ws.participantId);
+    }
+
     room.participants.delete(ws.participantId);
-    console.log(`[ROOM] Room ${ws.roomId} now has ${room.participants.size} participants`);
+    sfuService.removePeer(ws.roomId, ws.participantId);
+    if (isLocalRoomEmpty(room)) {
+      deleteLocalRoom(ws.roomId);
+      console.log(`[ROOM] Room ${ws.roomId} has no local participants left`);
+    }
 
+    await backplane.releaseRoomSlot(ws.roomId, ws.participantId);
+    const remainingMembers = await backplane.getRoomMembers(ws.roomId);
+    console.log(`[ROOM] Room ${ws.roomId} now has ${remainingMembers.length} participants`);
+
+    let presenterLeft = false;
+    let stoppedClientRecordings = [];
     const dbRoom = await Room.findOne({ roomId: ws.roomId });
     if (dbRoom) {
       dbRoom.removeParticipant(ws.participantId);
 
-      const activeParticipants = room.participants.size;
+      const activeParticipants = remainingMembers.length;
+
+      stoppedClientRecordings = dbRoom.stopClientRecordings(ws.participantId, 'participant-left');
+
+      const activeShare = dbRoom.getActiveScreenShare();
+      presenterLeft = !!activeShare && activeShare.participantId === ws.participantId;
+      if (presenterLeft || activeParticipants === 0) {
+        dbRoom.endScreenShare(presenterLeft ? 'presenter-left' : 'room-empty');
+      }
 
       if (activeParticipants === 0 && dbRoom.status === 'active') {
         dbRoom.callEndTime = new Date();
@@ -437,17 +1656,29 @@ async function handleParticipantLeave(ws) {
       await dbRoom.save();
     }
 
-    room.participants.forEach((otherWs) => {
-      otherWs.send(JSON.stringify({
-        type: 'participant-left',
-        participantId: ws.participantId
-      }));
+    if (presenterLeft) {
+      broadcastToRoom(ws.roomId, ws.participantId, {
+        type: 'screen-share-stopped',
+        participantId: ws.participantId,
+        stoppedBy: ws.participantId,
+        reason: 'presenter-left'
+      });
+    }
+
+    stoppedClientRecordings.forEach(r => {
+      broadcastToRoom(ws.roomId, ws.participantId, {
+        type: 'client-recording-stopped',
+        roomId: ws.roomId,
+        participantId: r.participantId,
+        stoppedAt: r.stoppedAt,
+        reason: r.stopReason
+      });
     });
 
-    if (room.participants.size === 0) {
-      rooms.delete(ws.roomId);
-      console.log(`[ROOM] Room ${ws.roomId} deleted (empty)`);
-    }
+    broadcastToRoom(ws.roomId, ws.participantId, {
+      type: 'participant-left',
+      participantId: ws.participantId
+    });
     auditLogger.info(`Participant Left: ${ws.participantId} from ${ws.roomId}`);
   } catch (error) {
     console.error('[ROOM] Error in handleParticipantLeave:', error);
@@ -455,33 +1686,164 @@ async function handleParticipantLeave(ws) {
   }
 }
 
-function broadcastToRoom(roomId, senderId, data, includeSender = false) {
+function sendError(ws, code, message, requestId) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({
+    type: 'error',
+    code,
+    message,
+    requestId: typeof requestId === 'string' ? requestId.slice(0, 64) : undefined
+  }));
+}
+
+// audience 'admin' limits delivery to admin sockets; an array of participant IDs limits it to those participants.
+function broadcastToRoom(roomId, senderId, data, includeSender = false, audience = null) {
+  deliverToLocalRoom(roomId, senderId, data, includeSender, audience);
+  backplane.publish(`room:${roomId}`, { kind: 'broadcast', senderId, includeSender, audience, data }).catch(error => {
+    auditLogger.error(`Backplane Publish Error: ${error.message}`);
+  });
+}
+
+function deliverToLocalRoom(roomId, senderId, data, includeSender, audience) {
   const room = rooms.get(roomId);
   if (!room) return;
 
   room.participants.forEach((ws, participantId) => {
+    if (audience === 'admin' && ws.role !== 'admin') return;
+    if (Array.isArray(audience) && !audience.includes(participantId)) return;
     if ((includeSender || participantId !== senderId) && ws.readyState === WebSocket.OPEN) {
       ws.send(JSON.stringify(sanitizeForClient(data)));
     }
   });
 }
 
-async function saveChatMessage(roomId, senderId, senderName, message) {
+function sendToParticipant(roomId, participantId, data) {
+  if (deliverToLocalParticipant(roomId, participantId, data)) return;
+  backplane.publish(`room:${roomId}`, { kind: 'direct', participantId, data }).catch(error => {
+    auditLogger.error(`Backplane Publish Error: ${error.message}`);
+  });
+}
+
+function deliverToLocalParticipant(roomId, participantId, data) {
+  const room = rooms.get(roomId);
+  const targetWs = room && room.participants.get(participantId);
+  if (!targetWs) return false;
+  if (targetWs.readyState === WebSocket.OPEN) {
+    targetWs.send(JSON.stringify(sanitizeForClient(data)));
+  }
+  return true;
+}
+
+// Joiners get only the newest page; older pages are fetched with get-chat-history.
+async function sendChatHistory(ws, roomId, query = {}, requestId) {
+  const result = await queryChatHistory(roomId, { ...query, viewerId: ws.participantId });
+  if (!result.success) return result;
+
+  const { messages, hasMore, total, cursors } = result.data;
+  ws.send(JSON.stringify({
+    type: 'chat-history',
+    requestId,
+    roomId,
+    chatMessages: messages.map(toClientChatMessage),
+    totalMessages: total,
+    hasMore,
+    cursors
+  }));
+  return result;
+}
+
+// Private messages may only address participants currently in the room; the sender is dropped
+// from their own recipient list. Resolves to [] for a room-wide message.
+async function resolveChatRecipients(ws, recipientIds) {
+  if (!recipientIds || recipientIds.length === 0) {
+    return { success: true, data: [] };
+  }
+
+  const recipients = Array.from(new Set(recipientIds)).filter(id => id !== ws.participantId);
+  if (recipients.length === 0) {
+    return { success: false, code: ERROR_CODES.INVALID_MESSAGE, error: 'A private message needs at least one other recipient' };
+  }
+
+  const members = await backplane.getRoomMembers(ws.roomId);
+  const missing = recipients.filter(id => !members.some(m => m.participantId === id));
+  if (missing.length > 0) {
+    return { success: false, code: ERROR_CODES.NOT_FOUND, error: `Not in the room: ${missing.join(', ')}` };
+  }
+  return { success: true, data: recipients };
+}
+
+// Returns the saved chat subdocument (its id is the server-assigned messageId), or null on failure.
+async function saveChatMessage(roomId, senderId, senderName, message, recipientIds = []) {
   try {
     const dbRoom = await Room.findOne({ roomId });
     if (dbRoom) {
-      dbRoom.addChatMessage(senderId, senderName || 'Anonymous', message || '');
+      const saved = dbRoom.addChatMessage(
+        senderId,
+        encrypt(senderName || 'Anonymous'),
+        encrypt(message || ''),
+        [],
+        buildSearchTokens(message),
+        recipientIds
+      );
       await dbRoom.save();
       console.log(`[ROOM] Chat message saved to room ${roomId}`);
-      auditLogger.info(`Chat Message Saved: room ${roomId} by ${senderId}`);
+      auditLogger.info(`Chat Message Saved: room ${roomId} by ${senderId}${recipientIds.length > 0 ? ` (private, ${recipientIds.length} recipients)` : ''}`);
+      return saved;
     }
   } catch (error) {
     console.error('[ROOM] Error saving chat message:', error);
     auditLogger.error(`Chat Save Error: ${error.message}`);
   }
+  return null;
+}
+
+async function handleChatModification(ws, data) {
+  const actor = { participantId: ws.participantId, role: ws.role, reason: data.reason };
+  let result;
+  if (data.type === 'chat-edit') {
+    result = await chatService.editChatMessage(ws.roomId, data.messageId, data.message, actor);
+  } else if (data.type === 'chat-delete') {
+    result = await chatService.deleteChatMessage(ws.roomId, data.messageId, actor);
+  } else {
+    result = await chatService.redactChatMessage(ws.roomId, data.messageId, actor);
+  }
+
+  if (!result.success) {
+    sendError(ws, result.code, result.error, data.requestId);
+    return;
+  }
+  auditLogger.info(`Chat Modified: ${data.type} ${data.messageId} in ${ws.roomId} by ${ws.participantId}`);
 }
 
-function handleDeviceMessage(ws, data) {
+async function handleChatReceipt(ws, data) {
+  const status = data.type === 'chat-read' ? 'read' : 'delivered';
+  const dbRoom = await Room.findOne({ roomId: ws.roomId });
+  if (!dbRoom) {
+    sendError(ws, ERROR_CODES.NOT_FOUND, 'Room not found', data.requestId);
+    return;
+  }
+
+  const updates = data.messageIds
+    .map(messageId => dbRoom.recordChatReceipt(messageId, ws.participantId, status))
+    .filter(Boolean);
+  if (updates.length === 0) return;
+
+  dbRoom.updatedAt = new Date();
+  await dbRoom.save();
+
+  updates.forEach(({ chatMessage, receipt }) => {
+    sendToParticipant(ws.roomId, chatMessage.senderId, {
+      type: 'chat-receipt',
+      messageId: chatMessage.id,
+      participantId: ws.participantId,
+      status,
+      deliveredAt: receipt.deliveredAt,
+      readAt: receipt.readAt
+    });
+  });
+}
+
+async function handleDeviceMessage(ws, data) {
   const { type, targetDeviceId, ...payload } = data;
   
   if (payload.deviceName) payload.deviceName = payload.deviceName.trim() || 'Anonymous';
@@ -491,8 +1853,14 @@ function handleDeviceMessage(ws, data) {
   
   switch (type) {
     case 'register':
-      ws.deviceId = payload.deviceId;
+      if (payload.deviceId && payload.deviceId !== ws.deviceId) {
+        auditLogger.warn(`Device Register Mismatch: ${ws.deviceId} tried to register as ${payload.deviceId}`);
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'Devices can only register under the identity in their token', payload.requestId);
+        return;
+      }
+      payload.deviceId = ws.deviceId;
       connectedDevices.set(payload.deviceId, ws);
+      registerDevicePresence(payload.deviceId);
       console.log(`[DEVICE] Device registered: ${payload.deviceId}`);
       updateDeviceStatus(payload.deviceId, 'online');
       ws.send(JSON.stringify({ 
@@ -511,35 +1879,61 @@ function handleDeviceMessage(ws, data) {
     case 'webrtc-offer':
     case 'webrtc-answer':
     case 'webrtc-ice-candidate':
-      if (!targetDeviceId) {
-        console.error(`[DEVICE] Missing targetDeviceId for ${type}`);
-        ws.send(JSON.stringify({ 
-          type: 'error', 
-          message: 'Missing targetDeviceId' 
-        }));
-        return;
-      }
-      
-      const targetWs = connectedDevices.get(targetDeviceId);
-      if (targetWs && targetWs.readyState === WebSocket.OPEN) {
-        const sanitizedPayload = sanitizeForClient({ ...payload });
-        targetWs.send(JSON.stringify({ 
-          type, 
-          fromDeviceId: ws.deviceId,
-          ...sanitizedPayload 
-        }));
+      const outgoing = {
+        type,
+        ...sanitizeForClient({ ...payload }),
+        fromDeviceId: ws.deviceId
+      };
+
+      if (deliverToLocalDevice(targetDeviceId, outgoing)) {
         console.log(`[DEVICE] Forwarded ${type} to ${targetDeviceId}`);
+        break;
+      }
+
+      const targetNodeId = await backplane.locateDevice(targetDeviceId);
+      if (targetNodeId && targetNodeId !== backplane.nodeId) {
+        await backplane.publish(`node:${targetNodeId}`, {
+          kind: 'device-message',
+          targetDeviceId,
+          data: outgoing
+        });
+        console.log(`[DEVICE] Forwarded ${type} to ${targetDeviceId} via node ${targetNodeId}`);
       } else {
         console.log(`[DEVICE] Target device ${targetDeviceId} not connected`);
-        ws.send(JSON.stringify({ 
-          type: 'error', 
-          message: `Device ${targetDeviceId} is not connected` 
-        }));
+        sendError(ws, ERROR_CODES.DEVICE_NOT_CONNECTED, `Device ${targetDeviceId} is not connected`, payload.requestId);
       }
       break;
       
     default:
       console.log('[DEVICE] Unknown message type:', type);
+      sendError(ws, ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${type}`, payload.requestId);
+  }
+}
+
+function deliverToLocalDevice(deviceId, data) {
+  const targetWs = connectedDevices.get(deviceId);
+  if (!targetWs || targetWs.readyState !== WebSocket.OPEN) return false;
+  targetWs.send(JSON.stringify(data));
+  return true;
+}
+
+function registerDevicePresence(deviceId) {
+  backplane.registerDevice(deviceId).catch(error => {
+    auditLogger.error(`Backplane Device Register Error: ${error.message}`);
+  });
+}
+
+// Messages addressed to this node specifically, such as device signaling routed from another node.
+function handleNodeChannelMessage(message) {
+  switch (message.kind) {
+    case 'device-message':
+      if (!deliverToLocalDevice(message.targetDeviceId, message.data)) {
+        console.log(`[DEVICE] Routed message for ${message.targetDeviceId} arrived after it disconnected`);
+      }
+      break;
+
+    default:
+      console.log('[BACKPLANE] Unknown node channel message:', message.kind);
   }
 }
 
@@ -559,6 +1953,14 @@ async function updateDeviceStatus(deviceId, status) {
 }
 
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+backplane.start()
+  .then(() => backplane.subscribe(`node:${backplane.nodeId}`, handleNodeChannelMessage))
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT} (backplane: ${backplane.driver}, node: ${backplane.nodeId})`);
+    });
+  })
+  .catch(err => {
+    console.error('Backplane startup error:', err);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+const authLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/auth.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const JOIN_TOKEN_TTL_SECONDS = parseInt(process.env.JOIN_TOKEN_TTL_SECONDS, 10) || 600;
+const DEVICE_TOKEN_TTL_SECONDS = parseInt(process.env.DEVICE_TOKEN_TTL_SECONDS, 10) || 3600;
+const RESUME_TOKEN_TTL_SECONDS = parseInt(process.env.RESUME_TOKEN_TTL_SECONDS, 10) || 43200;
+
+const getTokenSecret = () => {
+  const secret = process.env.JOIN_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('JOIN_TOKEN_SECRET is not configured');
+  }
+  return secret;
+};
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const hmac = (value) => crypto.createHmac('sha256', getTokenSecret()).update(value).digest();
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+function signToken(tokenType, claims, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = base64url(JSON.stringify({
+    ...claims,
+    typ: tokenType,
+    iat: now,
+    exp: now + ttlSeconds
+  }));
+  return `${payload}.${hmac(payload).toString('base64url')}`;
+}
+
+function verifyToken(token, tokenType) {
+  if (!token || typeof token !== 'string') {
+    return { success: false, error: 'Missing token' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 2) {
+    return { success: false, error: 'Malformed token' };
+  }
+
+  const [payload, signature] = parts;
+  if (!safeEqual(signature, hmac(payload).toString('base64url'))) {
+    return { success: false, error: 'Invalid token signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { success: false, error: 'Malformed token' };
+  }
+
+  if (claims.typ !== tokenType) {
+    return { success: false, error: 'Wrong token type' };
+  }
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+    return { success: false, error: 'Token expired' };
+  }
+
+  return { success: true, data: claims };
+}
+
+function issueJoinToken({ roomId, participantId, participantName, role }) {
+  const token = signToken('join', { roomId, participantId, participantName, role }, JOIN_TOKEN_TTL_SECONDS);
+  authLogger.info(`Join token issued: room ${roomId} participant ${participantId} role ${role}`);
+  return { token, expiresIn: JOIN_TOKEN_TTL_SECONDS };
+}
+
+// The nonce makes each resume token single-use: the server only honours the one it handed out last.
+function issueResumeToken({ roomId, participantId, participantName, role }) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const token = signToken('resume', { roomId, participantId, participantName, role, nonce }, RESUME_TOKEN_TTL_SECONDS);
+  return { token, nonce, expiresIn: RESUME_TOKEN_TTL_SECONDS };
+}
+
+function issueDeviceToken(deviceId) {
+  const token = signToken('device', { deviceId }, DEVICE_TOKEN_TTL_SECONDS);
+  authLogger.info(`Device token issued: ${deviceId}`);
+  return { token, expiresIn: DEVICE_TOKEN_TTL_SECONDS };
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Stored as "salt:hash" so each secret gets its own scrypt salt.
+function hashSecret(secret) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(secret), salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifySecret(secret, storedHash) {
+  if (!secret || !storedHash) return false;
+  const [salt, hash] = storedHash.split(':');
+  if (!salt || !hash) return false;
+  const candidate = crypto.scryptSync(String(secret), salt, 64).toString('hex');
+  return safeEqual(candidate, hash);
+}
+
+function isServerAdminKey(key) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  return !!adminKey && !!key && safeEqual(String(key), adminKey);
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  issueJoinToken,
+  issueResumeToken,
+  issueDeviceToken,
+  generateSecret,
+  hashSecret,
+  verifySecret,
+  isServerAdminKey,
+  authLogger
+};
@@ -0,0 +1,40 @@
+const winston = require('winston');
+const createMemoryBackplane = require('./memoryBackplane');
+const createRedisBackplane = require('./redisBackplane');
+
+const backplaneLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/backplane.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+// Room membership, device presence and cross-node fan-out. BACKPLANE_DRIVER=redis is required
+// whenever more than one server process handles signaling. SFU media is not bridged between
+// nodes, so load balancers must still pin SFU rooms to one node (e.g. hash on roomId).
+const driver = process.env.BACKPLANE_DRIVER || 'memory';
+
+let backplane;
+if (driver === 'redis') {
+  backplane = createRedisBackplane({
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    logger: backplaneLogger
+  });
+} else if (driver === 'memory') {
+  backplane = createMemoryBackplane();
+} else {
+  throw new Error(`Unknown BACKPLANE_DRIVER: ${driver}`);
+}
+
+backplane.logger = backplaneLogger;
+
+module.exports = backplane;
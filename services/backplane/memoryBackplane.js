@@ -0,0 +1,77 @@
+const os = require('os');
+
+// Single-process backplane: everything lives in this node, so every member and device is local.
+function createMemoryBackplane() {
+  const nodeId = `${os.hostname()}-${process.pid}`;
+  const roomMembers = new Map();
+  const devices = new Map();
+  const handlers = new Map();
+
+  return {
+    nodeId,
+    driver: 'memory',
+
+    async start() {},
+
+    async close() {
+      handlers.clear();
+    },
+
+    async publish(channel, message) {
+      const handler = handlers.get(channel);
+      if (!handler) return;
+      // Deliver asynchronously, the same way a networked backplane would.
+      setImmediate(() => handler(message, nodeId));
+    },
+
+    async subscribe(channel, handler) {
+      handlers.set(channel, handler);
+    },
+
+    async unsubscribe(channel) {
+      handlers.delete(channel);
+    },
+
+    async claimRoomSlot(roomId, participantId, info, maxParticipants) {
+      let members = roomMembers.get(roomId);
+      if (!members) {
+        members = new Map();
+        roomMembers.set(roomId, members);
+      }
+      if (!members.has(participantId) && members.size >= maxParticipants) {
+        return false;
+      }
+      members.set(participantId, { ...info, participantId, nodeId });
+      return true;
+    },
+
+    async releaseRoomSlot(roomId, participantId) {
+      const members = roomMembers.get(roomId);
+      if (!members) return false;
+      const removed = members.delete(participantId);
+      if (members.size === 0) {
+        roomMembers.delete(roomId);
+      }
+      return removed;
+    },
+
+    async getRoomMembers(roomId) {
+      const members = roomMembers.get(roomId);
+      return members ? Array.from(members.values()) : [];
+    },
+
+    async registerDevice(deviceId) {
+      devices.set(deviceId, nodeId);
+    },
+
+    async unregisterDevice(deviceId) {
+      devices.delete(deviceId);
+    },
+
+    async locateDevice(deviceId) {
+      return devices.get(deviceId) || null;
+    }
+  };
+}
+
+module.exports = createMemoryBackplane;
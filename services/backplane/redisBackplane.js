@@ -0,0 +1,169 @@
+const os = require('os');
+const crypto = require('crypto');
+const Redis = require('ioredis');
+
+const KEY_PREFIX = process.env.BACKPLANE_KEY_PREFIX || 'hci:';
+const NODE_TTL_MS = parseInt(process.env.BACKPLANE_NODE_TTL_MS, 10) || 30000;
+
+// Room members (via a parallel owners hash) and devices are tagged with the node that owns
+// their socket. A node keeps `<prefix>node:<nodeId>` alive while it runs, so entries left
+// behind by a crashed node stop counting as soon as that key expires.
+//
+// Scripts only touch the keys passed in KEYS, so the node keys are checked before the script
+// runs and the members found dead are passed in as ARGV[5..] (participantId, nodeId pairs).
+// Each is removed only if that node still owns it; a member whose node dies in between still
+// counts until the next claim.
+const CLAIM_ROOM_SLOT_SCRIPT = `
+for i = 5, #ARGV, 2 do
+  if redis.call('HGET', KEYS[2], ARGV[i]) == ARGV[i + 1] then
+    redis.call('HDEL', KEYS[1], ARGV[i])
+    redis.call('HDEL', KEYS[2], ARGV[i])
+  end
+end
+if redis.call('HEXISTS', KEYS[2], ARGV[1]) == 0 and redis.call('HLEN', KEYS[2]) >= tonumber(ARGV[3]) then
+  return 0
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[4])
+return 1
+`;
+
+const RELEASE_ROOM_SLOT_SCRIPT = `
+if redis.call('HGET', KEYS[2], ARGV[1]) ~= ARGV[2] then
+  return 0
+end
+redis.call('HDEL', KEYS[1], ARGV[1])
+redis.call('HDEL', KEYS[2], ARGV[1])
+return 1
+`;
+
+const UNREGISTER_DEVICE_SCRIPT = `
+if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then
+  return redis.call('HDEL', KEYS[1], ARGV[1])
+end
+return 0
+`;
+
+function createRedisBackplane({ url, logger }) {
+  const nodeId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  const client = new Redis(url, { lazyConnect: true });
+  const subscriber = client.duplicate();
+  const handlers = new Map();
+  let aliveTimer = null;
+
+  const nodeKey = (id) => `${KEY_PREFIX}node:${id}`;
+  const roomKey = (roomId) => `${KEY_PREFIX}room:${roomId}:members`;
+  const roomOwnersKey = (roomId) => `${KEY_PREFIX}room:${roomId}:owners`;
+  const devicesKey = `${KEY_PREFIX}devices`;
+  const channelKey = (channel) => `${KEY_PREFIX}channel:${channel}`;
+
+  client.defineCommand('claimRoomSlot', { numberOfKeys: 2, lua: CLAIM_ROOM_SLOT_SCRIPT });
+  client.defineCommand('releaseRoomSlot', { numberOfKeys: 2, lua: RELEASE_ROOM_SLOT_SCRIPT });
+  client.defineCommand('unregisterDevice', { numberOfKeys: 1, lua: UNREGISTER_DEVICE_SCRIPT });
+
+  const markAlive = () => client.set(nodeKey(nodeId), '1', 'PX', NODE_TTL_MS);
+
+  const filterLive = async (entries) => {
+    if (entries.length === 0) return [];
+    const alive = await client.mget(entries.map(entry => nodeKey(entry.nodeId)));
+    return entries.filter((entry, index) => alive[index] !== null);
+  };
+
+  subscriber.on('message', (rawChannel, raw) => {
+    const handler = handlers.get(rawChannel);
+    if (!handler) return;
+    try {
+      const { origin, message } = JSON.parse(raw);
+      handler(message, origin);
+    } catch (error) {
+      logger.error(`Backplane message error on ${rawChannel}: ${error.message}`);
+    }
+  });
+
+  client.on('error', (error) => logger.error(`Backplane Redis error: ${error.message}`));
+  subscriber.on('error', (error) => logger.error(`Backplane Redis subscriber error: ${error.message}`));
+
+  return {
+    nodeId,
+    driver: 'redis',
+
+    async start() {
+      await client.connect();
+      await subscriber.connect();
+      await markAlive();
+      aliveTimer = setInterval(() => {
+        markAlive().catch(error => logger.error(`Backplane heartbeat failed: ${error.message}`));
+      }, Math.floor(NODE_TTL_MS / 3));
+      aliveTimer.unref();
+      logger.info(`Backplane connected to Redis as node ${nodeId}`);
+    },
+
+    async close() {
+      clearInterval(aliveTimer);
+      handlers.clear();
+      await client.del(nodeKey(nodeId)).catch(() => {});
+      subscriber.disconnect();
+      client.disconnect();
+    },
+
+    async publish(channel, message) {
+      await client.publish(channelKey(channel), JSON.stringify({ origin: nodeId, message }));
+    },
+
+    async subscribe(channel, handler) {
+      handlers.set(channelKey(channel), handler);
+      await subscriber.subscribe(channelKey(channel));
+    },
+
+    async unsubscribe(channel) {
+      handlers.delete(channelKey(channel));
+      await subscriber.unsubscribe(channelKey(channel));
+    },
+
+    async claimRoomSlot(roomId, participantId, info, maxParticipants) {
+      const member = JSON.stringify({ ...info, participantId, nodeId });
+      const owners = Object.entries(await client.hgetall(roomOwnersKey(roomId)))
+        .map(([ownedParticipantId, ownerNodeId]) => ({ participantId: ownedParticipantId, nodeId: ownerNodeId }));
+      const live = await filterLive(owners);
+      const dead = owners.filter(owner => !live.includes(owner));
+
+      const claimed = await client.claimRoomSlot(
+        roomKey(roomId),
+        roomOwnersKey(roomId),
+        participantId,
+        member,
+        maxParticipants,
+        nodeId,
+        ...dead.flatMap(owner => [owner.participantId, owner.nodeId])
+      );
+      return claimed === 1;
+    },
+
+    async releaseRoomSlot(roomId, participantId) {
+      const released = await client.releaseRoomSlot(roomKey(roomId), roomOwnersKey(roomId), participantId, nodeId);
+      return released === 1;
+    },
+
+    async getRoomMembers(roomId) {
+      const raw = await client.hvals(roomKey(roomId));
+      return filterLive(raw.map(value => JSON.parse(value)));
+    },
+
+    async registerDevice(deviceId) {
+      await client.hset(devicesKey, deviceId, nodeId);
+    },
+
+    async unregisterDevice(deviceId) {
+      await client.unregisterDevice(devicesKey, deviceId, nodeId);
+    },
+
+    async locateDevice(deviceId) {
+      const ownerNodeId = await client.hget(devicesKey, deviceId);
+      if (!ownerNodeId) return null;
+      const [live] = await filterLive([{ nodeId: ownerNodeId }]);
+      return live ? ownerNodeId : null;
+    }
+  };
+}
+
+module.exports = createRedisBackplane;
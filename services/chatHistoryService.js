@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const { ERROR_CODES } = require('../protocol/signaling');
+
+const CHAT_PAGE_SIZE = parseInt(process.env.CHAT_PAGE_SIZE, 10) || 50;
+const CHAT_PAGE_MAX = parseInt(process.env.CHAT_PAGE_MAX, 10) || 200;
+
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
+
+const failure = (status, code, error) => ({ success: false, status, code, error });
+
+// Blind index: chat content stays AES-encrypted, and each distinct word is also stored as a keyed
+// HMAC so whole-word search works without decrypting the history. The key is separate from the
+// content key when CHAT_SEARCH_KEY is set, otherwise derived from ENCRYPTION_KEY.
+const getSearchKey = () => process.env.CHAT_SEARCH_KEY ||
+  crypto.createHmac('sha256', String(ENCRYPTION_KEY)).update('chat-search-index').digest('hex');
+
+const tokenize = (text) => Array.from(new Set(
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length >= 2 && token.length <= 64)
+));
+
+const blindToken = (token) => crypto.createHmac('sha256', getSearchKey()).update(token).digest('hex').slice(0, 32);
+
+function buildSearchTokens(...texts) {
+  return Array.from(new Set(texts.flatMap(tokenize).map(blindToken)));
+}
+
+// Cursors are message IDs or timestamps.
+const isMessageId = (cursor) => typeof cursor === 'string' && /^[0-9a-f]{24}$/i.test(cursor);
+
+const positionOf = (messageId) => ({ $indexOfArray: ['$chatMessages._id', new mongoose.Types.ObjectId(messageId)] });
+
+// Conditions a message must meet to be on the page, as an aggregation expression over `$$m`.
+function messageFilter({ before, after, sessionId, senderId, queryTokens, viewerId }) {
+  // A search without a single whole word matches nothing.
+  if (queryTokens && queryTokens.length === 0) return false;
+
+  const recipientIds = { $ifNull: ['$$m.recipientIds', []] };
+  const conditions = [
+    { $or: [{ $eq: [{ $size: recipientIds }, 0] }, { $eq: ['$$m.senderId', viewerId] }, { $in: [viewerId, recipientIds] }] }
+  ];
+  if (before && !isMessageId(before)) conditions.push({ $lt: ['$$m.timestamp', new Date(before)] });
+  if (after && !isMessageId(after)) conditions.push({ $gt: ['$$m.timestamp', new Date(after)] });
+  if (sessionId) conditions.push({ $eq: ['$$m.sessionId', sessionId] });
+  if (senderId) conditions.push({ $eq: ['$$m.senderId', senderId] });
+  if (queryTokens) {
+    conditions.push(
+      { $eq: [{ $ifNull: ['$$m.deletedAt', null] }, null] },
+      { $eq: [{ $ifNull: ['$$m.redactedAt', null] }, null] },
+      { $setIsSubset: [queryTokens, { $ifNull: ['$$m.searchTokens', []] }] }
+    );
+  }
+  return { $and: conditions };
+}
+
+/**
+ * Returns one page of a room's chat in chronological order. Without `after` the page is the
+ * newest `limit` messages older than `before` (or the newest overall) and `hasMore` reports older
+ * messages; with `after` it is the oldest `limit` newer messages and `hasMore` reports newer ones.
+ * Private messages are only included when `viewerId` is their sender or one of their recipients.
+ *
+ * The filtering runs in MongoDB, so only the page itself is read. Search relies on the blind
+ * index alone; messages stored before it existed get theirs from scripts/backfillChatSearchTokens.js.
+ */
+async function queryChatHistory(roomId, { before, after, limit = CHAT_PAGE_SIZE, sessionId, senderId, q, viewerId = null } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || CHAT_PAGE_SIZE, 1), CHAT_PAGE_MAX);
+  const queryTokens = q ? buildSearchTokens(q) : null;
+
+  // Message-ID cursors cut the array at that message's position.
+  const cursors = {};
+  let window = '$chatMessages';
+  if (isMessageId(after)) {
+    cursors.afterIndex = positionOf(after);
+    window = { $slice: [window, { $add: ['$afterIndex', 1] }, { $max: [{ $size: '$chatMessages' }, 1] }] };
+  }
+  if (isMessageId(before)) {
+    cursors.beforeIndex = positionOf(before);
+    window = { $slice: [window, { $max: [{ $subtract: ['$beforeIndex', cursors.afterIndex ? { $add: ['$afterIndex', 1] } : 0] }, 0] }] };
+  }
+
+  const forward = !!after && !before;
+  const [page] = await Room.aggregate([
+    { $match: { roomId } },
+    { $addFields: { ...cursors, chatMessages: { $ifNull: ['$chatMessages', []] } } },
+    {
+      $project: {
+        afterIndex: 1,
+        beforeIndex: 1,
+        matching: { $filter: { input: window, as: 'm', cond: messageFilter({ before, after, sessionId, senderId, queryTokens, viewerId }) } }
+      }
+    },
+    {
+      $project: {
+        afterIndex: 1,
+        beforeIndex: 1,
+        total: { $size: '$matching' },
+        messages: { $slice: ['$matching', forward ? pageSize : -pageSize] }
+      }
+    }
+  ]);
+
+  if (!page) {
+    return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+  }
+  if (page.afterIndex === -1 || page.beforeIndex === -1) {
+    return failure(400, ERROR_CODES.INVALID_MESSAGE, 'Unknown message cursor');
+  }
+
+  // Hydrated so callers get chat message subdocuments, as on a loaded room.
+  const { chatMessages: messages } = Room.hydrate({ _id: page._id, chatMessages: page.messages });
+
+  return {
+    success: true,
+    data: {
+      messages,
+      hasMore: page.total > messages.length,
+      total: page.total,
+      cursors: {
+        before: messages.length > 0 ? messages[0].id : null,
+        after: messages.length > 0 ? messages[messages.length - 1].id : null
+      }
+    }
+  };
+}
+
+module.exports = {
+  CHAT_PAGE_SIZE,
+  CHAT_PAGE_MAX,
+  buildSearchTokens,
+  queryChatHistory
+};
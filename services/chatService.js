@@ -0,0 +1,158 @@
+const winston = require('winston');
+const CryptoJS = require('crypto-js');
+const Room = require('../models/Room');
+const backplane = require('./backplane');
+const storage = require('./storage');
+const { buildSearchTokens } = require('./chatHistoryService');
+const { ERROR_CODES } = require('../protocol/signaling');
+
+const chatLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/chat.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
+const encrypt = (text) => CryptoJS.AES.encrypt(text.trim(), ENCRYPTION_KEY).toString();
+
+const failure = (status, code, error) => ({ success: false, status, code, error });
+
+// Delivered to every node's sockets, including this one, so REST callers reach local clients too.
+// Updates to a private message only go to its sender and recipients.
+const notifyRoom = (roomId, data, chatMessage) =>
+  backplane.publish(`room:${roomId}`, { kind: 'notify', audience: chatMessage.getAudience(), data });
+
+async function loadEditableMessage(roomId, messageId, participantId) {
+  const room = await Room.findOne({ roomId });
+  if (!room) return { error: failure(404, ERROR_CODES.NOT_FOUND, 'Room not found') };
+
+  const chatMessage = room.findChatMessage(messageId);
+  if (!chatMessage || !chatMessage.isVisibleTo(participantId)) return { error: failure(404, ERROR_CODES.NOT_FOUND, 'Chat message not found') };
+  if (chatMessage.redactedAt || chatMessage.deletedAt) {
+    return { error: failure(409, ERROR_CODES.MESSAGE_NOT_EDITABLE, 'Chat message was already deleted') };
+  }
+  return { room, chatMessage };
+}
+
+async function editChatMessage(roomId, messageId, message, { participantId }) {
+  try {
+    const { room, chatMessage, error } = await loadEditableMessage(roomId, messageId, participantId);
+    if (error) return error;
+
+    if (chatMessage.senderId !== participantId) {
+      return failure(403, ERROR_CODES.FORBIDDEN, 'Only the sender can edit a chat message');
+    }
+
+    room.editChatMessage(chatMessage, encrypt(message), participantId, buildSearchTokens(message));
+    room.updatedAt = new Date();
+    await room.save();
+
+    const update = {
+      type: 'chat-message-updated',
+      roomId,
+      messageId,
+      message: message.trim(),
+      editedBy: participantId,
+      editedAt: chatMessage.editedAt
+    };
+    await notifyRoom(roomId, update, chatMessage);
+    chatLogger.info(`Chat message edited: ${messageId} in ${roomId} by ${participantId}`);
+    return { success: true, data: update };
+  } catch (error) {
+    chatLogger.error(`Failed to edit chat message ${messageId} in ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+async function deleteChatMessage(roomId, messageId, { participantId, role }) {
+  try {
+    const { room, chatMessage, error } = await loadEditableMessage(roomId, messageId, participantId);
+    if (error) return error;
+
+    if (chatMessage.senderId !== participantId && role !== 'admin') {
+      return failure(403, ERROR_CODES.FORBIDDEN, 'Only the sender or an admin can delete a chat message');
+    }
+
+    room.deleteChatMessage(chatMessage, participantId);
+    room.updatedAt = new Date();
+    await room.save();
+
+    const deletion = {
+      type: 'chat-message-deleted',
+      roomId,
+      messageId,
+      mode: 'deleted',
+      deletedBy: participantId,
+      deletedAt: chatMessage.deletedAt,
+      reason: null
+    };
+    await notifyRoom(roomId, deletion, chatMessage);
+    chatLogger.info(`Chat message deleted: ${messageId} in ${roomId} by ${participantId}`);
+    return { success: true, data: deletion };
+  } catch (error) {
+    chatLogger.error(`Failed to delete chat message ${messageId} in ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+// Redaction also applies to messages that were already deleted, since their prior versions are still stored.
+async function redactChatMessage(roomId, messageId, { participantId, role, reason }) {
+  try {
+    if (role !== 'admin') {
+      return failure(403, ERROR_CODES.FORBIDDEN, 'Only admins can redact chat messages');
+    }
+
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    const chatMessage = room.findChatMessage(messageId);
+    if (!chatMessage) return failure(404, ERROR_CODES.NOT_FOUND, 'Chat message not found');
+    if (chatMessage.redactedAt) {
+      return failure(409, ERROR_CODES.MESSAGE_NOT_EDITABLE, 'Chat message was already redacted');
+    }
+
+    const attachments = chatMessage.attachments.map(a => ({ s3Key: a.s3Key, s3Bucket: a.s3Bucket }));
+    room.redactChatMessage(chatMessage, participantId, reason);
+    room.updatedAt = new Date();
+    await room.save();
+
+    await Promise.all(attachments.map(({ s3Key, s3Bucket }) =>
+      storage.delete(s3Key, { bucket: s3Bucket }).catch(error => {
+        chatLogger.error(`Failed to delete redacted attachment ${s3Key}: ${error.message}`);
+      })
+    ));
+
+    const redaction = {
+      type: 'chat-message-deleted',
+      roomId,
+      messageId,
+      mode: 'redacted',
+      deletedBy: participantId,
+      deletedAt: chatMessage.redactedAt,
+      reason: reason || null
+    };
+    await notifyRoom(roomId, redaction, chatMessage);
+    chatLogger.info(`Chat message redacted: ${messageId} in ${roomId} by ${participantId}`);
+    return { success: true, data: redaction };
+  } catch (error) {
+    chatLogger.error(`Failed to redact chat message ${messageId} in ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+module.exports = {
+  editChatMessage,
+  deleteChatMessage,
+  redactChatMessage,
+  chatLogger
+};
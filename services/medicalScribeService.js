@@ -1,5 +1,7 @@
 const axios = require('axios');
 const winston = require('winston');
+const storage = require('./storage');
+const { sha256Of } = require('./storage/checksum');
 
 const scribeLogger = winston.createLogger({
   level: 'info',
@@ -90,39 +92,6 @@ function generateMedicalScribeJobName(roomId, recordingId) {
   return `medical-scribe-${roomId}-${recordingId}-${timestamp}`.replace(/[^a-zA-Z0-9-]/g, '-');
 }
 
-async function pollMedicalScribeJobStatus(jobName, maxAttempts = 60, intervalMs = 10000) {
-  let attempts = 0;
-  
-  while (attempts < maxAttempts) {
-    attempts++;
-    
-    const statusResult = await checkMedicalScribeJobStatus(jobName);
-    
-    if (!statusResult.success) {
-      scribeLogger.error(`Polling failed for job ${jobName} at attempt ${attempts}`);
-      throw new Error(`Failed to check job status: ${statusResult.error}`);
-    }
-
-    const status = statusResult.data.MedicalScribeJobStatus;
-    
-    if (status === 'COMPLETED') {
-      scribeLogger.info(`Medical Scribe job completed: ${jobName}`);
-      return statusResult.data;
-    }
-    
-    if (status === 'FAILED') {
-      scribeLogger.error(`Medical Scribe job failed: ${jobName}`);
-      throw new Error(`Medical Scribe job failed: ${jobName}`);
-    }
-    
-    scribeLogger.info(`Job ${jobName} still in progress (attempt ${attempts}/${maxAttempts}). Waiting ${intervalMs/1000}s...`);
-    
-    await new Promise(resolve => setTimeout(resolve, intervalMs));
-  }
-  
-  throw new Error(`Medical Scribe job timed out after ${maxAttempts} attempts: ${jobName}`);
-}
-
 function convertS3UrlToUri(s3Url) {
   const urlPattern = /https:\/\/([^.]+)\.s3\.amazonaws\.com\/(.+)/;
   const match = s3Url.match(urlPattern);
@@ -140,11 +109,26 @@ function convertS3UrlToUri(s3Url) {
   throw new Error('Invalid S3 URL format');
 }
 
+// The scribe's output link is outside our control, so the transcript is copied into storage once
+// the job completes and served from there like recordings are. Transcripts are small enough to
+// hash in memory, which lets storage check the digest on the way in.
+async function archiveTranscript(roomId, recording, transcriptUrl) {
+  const response = await axios.get(transcriptUrl, { responseType: 'arraybuffer', timeout: 30000 });
+  const body = Buffer.from(response.data);
+  const stored = await storage.put(`transcripts/${roomId}/${recording.id}.json`, body, {
+    contentType: 'application/json',
+    bucket: recording.s3Bucket,
+    sha256: sha256Of(body)
+  });
+  scribeLogger.info(`Transcript archived for ${roomId}/${recording.id}: ${stored.key} (sha256 ${stored.sha256})`);
+  return { key: stored.key, sha256: stored.sha256 };
+}
+
 module.exports = {
   createMedicalScribeJob,
   checkMedicalScribeJobStatus,
   generateMedicalScribeJobName,
-  pollMedicalScribeJobStatus,
   convertS3UrlToUri,
+  archiveTranscript,
   scribeLogger
 };
@@ -0,0 +1,146 @@
+const winston = require('winston');
+const Room = require('../models/Room');
+const backplane = require('./backplane');
+const { ERROR_CODES } = require('../protocol/signaling');
+
+const moderationLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/moderation.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const failure = (status, code, error) => ({ success: false, status, code, error });
+
+// Every node (including this one) applies the action to the sockets it holds for the room.
+const announce = (roomId, action, participantId, performedBy, reason) =>
+  backplane.publish(`room:${roomId}`, {
+    kind: 'moderation',
+    action,
+    participantId: participantId || null,
+    performedBy,
+    reason: reason || null
+  });
+
+async function removeParticipant(roomId, participantId, { performedBy, reason }) {
+  try {
+    if (participantId === performedBy) {
+      return failure(400, ERROR_CODES.INVALID_MESSAGE, 'Admins cannot remove themselves');
+    }
+
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    const members = await backplane.getRoomMembers(roomId);
+    const inRoom = members.some(m => m.participantId === participantId);
+    const inLobby = room.lobbyQueue.some(r => r.participantId === participantId);
+    if (!inRoom && !inLobby) {
+      return failure(404, ERROR_CODES.NOT_FOUND, `Participant ${participantId} is not in the room`);
+    }
+
+    room.removeParticipant(participantId, reason || 'removed');
+    room.lobbyQueue = room.lobbyQueue.filter(r => r.participantId !== participantId);
+    room.recordModerationAction('remove', participantId, performedBy, reason);
+    room.updatedAt = new Date();
+    await room.save();
+
+    await announce(roomId, 'remove', participantId, performedBy, reason);
+    moderationLogger.info(`Participant removed: ${participantId} from ${roomId} by ${performedBy}`);
+    return { success: true, data: { roomId, participantId, action: 'remove' } };
+  } catch (error) {
+    moderationLogger.error(`Failed to remove ${participantId} from ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+async function banParticipant(roomId, participantId, { performedBy, reason }) {
+  try {
+    if (participantId === performedBy) {
+      return failure(400, ERROR_CODES.INVALID_MESSAGE, 'Admins cannot ban themselves');
+    }
+
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    if (!room.isBanned(participantId)) {
+      room.bannedParticipants.push({
+        participantId,
+        bannedBy: performedBy,
+        reason: reason || null,
+        bannedAt: new Date()
+      });
+    }
+    room.removeParticipant(participantId, reason || 'banned');
+    room.lobbyQueue = room.lobbyQueue.filter(r => r.participantId !== participantId);
+    room.recordModerationAction('ban', participantId, performedBy, reason);
+    room.updatedAt = new Date();
+    await room.save();
+
+    await announce(roomId, 'ban', participantId, performedBy, reason);
+    moderationLogger.info(`Participant banned: ${participantId} from ${roomId} by ${performedBy}`);
+    return { success: true, data: { roomId, participantId, action: 'ban' } };
+  } catch (error) {
+    moderationLogger.error(`Failed to ban ${participantId} from ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+async function unbanParticipant(roomId, participantId, { performedBy }) {
+  try {
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    if (!room.isBanned(participantId)) {
+      return failure(404, ERROR_CODES.NOT_FOUND, `Participant ${participantId} is not banned`);
+    }
+
+    room.bannedParticipants = room.bannedParticipants.filter(b => b.participantId !== participantId);
+    room.recordModerationAction('unban', participantId, performedBy);
+    room.updatedAt = new Date();
+    await room.save();
+
+    await announce(roomId, 'unban', participantId, performedBy);
+    moderationLogger.info(`Participant unbanned: ${participantId} in ${roomId} by ${performedBy}`);
+    return { success: true, data: { roomId, participantId, action: 'unban' } };
+  } catch (error) {
+    moderationLogger.error(`Failed to unban ${participantId} in ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+async function setRoomLocked(roomId, locked, { performedBy }) {
+  const action = locked ? 'lock' : 'unlock';
+  try {
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    room.settings.locked = locked;
+    room.recordModerationAction(action, null, performedBy);
+    room.updatedAt = new Date();
+    await room.save();
+
+    await announce(roomId, action, null, performedBy);
+    moderationLogger.info(`Room ${action}ed: ${roomId} by ${performedBy}`);
+    return { success: true, data: { roomId, locked, action } };
+  } catch (error) {
+    moderationLogger.error(`Failed to ${action} ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+module.exports = {
+  removeParticipant,
+  banParticipant,
+  unbanParticipant,
+  setRoomLocked,
+  moderationLogger
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const RecordingUrlIssuance = require('../models/RecordingUrlIssuance');
+const storage = require('./storage');
+const { RECORDING_URL_TTL_SECONDS } = require('../config/recording');
+
+const accessLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/recording-access.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+/**
+ * Signs recording and transcript URLs for one request on behalf of `viewer` ({ id, type }) and records every URL
+ * it hands out. Nothing is persisted until record() resolves, so callers must await it before
+ * sending the URLs; a request whose issuances could not be recorded must not return them.
+ */
+function createUrlIssuer(roomId, viewer, { endpoint, ipAddress = null, userAgent = null }) {
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + RECORDING_URL_TTL_SECONDS * 1000);
+  const issuances = [];
+
+  // Signs the recording itself, or one of its renditions once that rendition is ready. Purged
+  // recordings have nothing left to sign.
+  const sign = (recording, rendition = null) => {
+    const target = rendition || recording;
+    const kind = rendition ? rendition.kind : 'original';
+    if (recording.purgedAt || !target.s3Key || (rendition && rendition.status !== 'ready')) return null;
+
+    const url = storage.getSignedUrl(target.s3Key, {
+      bucket: recording.s3Bucket,
+      expiresIn: RECORDING_URL_TTL_SECONDS
+    });
+    issuances.push({
+      roomId,
+      recordingId: recording.id,
+      kind,
+      s3Bucket: recording.s3Bucket,
+      s3Key: target.s3Key,
+      urlHash: crypto.createHash('sha256').update(url).digest('hex'),
+      issuedTo: viewer.id,
+      issuedToType: viewer.type,
+      endpoint,
+      ipAddress,
+      userAgent,
+      issuedAt,
+      expiresAt
+    });
+    return url;
+  };
+
+  // The archived copy is signed like a recording. A transcript not yet archived (or archived before
+  // copies were kept) is only held by the scribe service; its own link is handed out and recorded.
+  const signTranscript = (recording) => {
+    if (recording.purgedAt || !(recording.transcriptKey || recording.MedicaltxtURL)) return null;
+
+    const url = recording.transcriptKey
+      ? storage.getSignedUrl(recording.transcriptKey, { bucket: recording.s3Bucket, expiresIn: RECORDING_URL_TTL_SECONDS })
+      : recording.MedicaltxtURL;
+    issuances.push({
+      roomId,
+      recordingId: recording.id,
+      kind: 'transcript',
+      s3Bucket: recording.transcriptKey ? recording.s3Bucket : null,
+      s3Key: recording.transcriptKey || null,
+      urlHash: crypto.createHash('sha256').update(url).digest('hex'),
+      issuedTo: viewer.id,
+      issuedToType: viewer.type,
+      endpoint,
+      ipAddress,
+      userAgent,
+      issuedAt,
+      expiresAt
+    });
+    return url;
+  };
+
+  const record = async () => {
+    if (issuances.length === 0) return;
+    await RecordingUrlIssuance.insertMany(issuances);
+    accessLogger.info(`Issued ${issuances.length} recording URLs in ${roomId} to ${viewer.type} ${viewer.id} (${endpoint})`);
+  };
+
+  return { sign, signTranscript, record, expiresAt };
+}
+
+module.exports = {
+  createUrlIssuer,
+  accessLogger
+};
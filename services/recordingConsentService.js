@@ -0,0 +1,179 @@
+const winston = require('winston');
+const Room = require('../models/Room');
+const backplane = require('./backplane');
+const { ERROR_CODES } = require('../protocol/signaling');
+
+const consentLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/recording-consent.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const failure = (status, code, error) => ({ success: false, status, code, error });
+
+const CONSENT_REQUIRED_MESSAGE = 'Every participant in this session must consent to recording first';
+
+const toConsentSummary = (consent) => (consent ? {
+  consentId: consent.id,
+  sessionId: consent.sessionId,
+  status: consent.getStatus(),
+  requestedBy: consent.requestedBy,
+  requestedAt: consent.requestedAt,
+  responses: consent.responses.map(r => ({
+    participantId: r.participantId,
+    decision: r.decision,
+    askedAt: r.askedAt,
+    respondedAt: r.respondedAt
+  }))
+} : null);
+
+const toClientRecording = (recording) => ({
+  participantId: recording.participantId,
+  participantName: recording.participantName,
+  startedAt: recording.startedAt
+});
+
+// Starts a new round for the current session, asking everyone connected to the room on any node.
+async function requestConsent(roomId, { requestedBy }) {
+  try {
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    const members = await backplane.getRoomMembers(roomId);
+    const consent = room.requestRecordingConsent(requestedBy, members.map(m => m.participantId));
+    room.updatedAt = new Date();
+    await room.save();
+
+    consentLogger.info(`Recording consent requested in ${roomId} (session ${consent.sessionId}) by ${requestedBy} from ${consent.responses.length} participants`);
+    return {
+      success: true,
+      data: {
+        consent: toConsentSummary(consent),
+        pendingParticipantIds: consent.responses.filter(r => r.decision === 'pending').map(r => r.participantId)
+      }
+    };
+  } catch (error) {
+    consentLogger.error(`Failed to request recording consent in ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+/**
+ * Stores one participant's answer. A refusal stops every client recording in the room here and
+ * tells every node to stop its server-side recorder (see 'recording-consent-declined' in server.js).
+ */
+async function respondToConsent(roomId, participantId, { consentId, granted }) {
+  try {
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    const consent = room.getRecordingConsent();
+    if (!consent || consent.id !== consentId) {
+      return failure(409, ERROR_CODES.INVALID_MESSAGE, 'This consent request is no longer current');
+    }
+
+    const response = room.recordConsentResponse(consent, participantId, granted);
+    const declined = consent.getStatus() === 'declined';
+    const stoppedClientRecordings = declined ? room.stopClientRecordings(null, 'consent-declined') : [];
+    room.updatedAt = new Date();
+    await room.save();
+
+    if (declined) {
+      await backplane.publish(`room:${roomId}`, { kind: 'recording-consent-declined', consentId });
+    }
+    consentLogger.info(`Recording consent ${response.decision} by ${participantId} in ${roomId} (${consentId}, now ${consent.getStatus()})`);
+    return {
+      success: true,
+      data: {
+        consent: toConsentSummary(consent),
+        stoppedClientRecordings: stoppedClientRecordings.map(r => ({ participantId: r.participantId, stoppedAt: r.stoppedAt }))
+      }
+    };
+  } catch (error) {
+    consentLogger.error(`Failed to record consent from ${participantId} in ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+async function startClientRecording(roomId, { participantId, participantName }) {
+  try {
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    if (!room.hasRecordingConsent()) {
+      return failure(403, ERROR_CODES.CONSENT_REQUIRED, CONSENT_REQUIRED_MESSAGE);
+    }
+    if (room.getActiveClientRecordings().some(r => r.participantId === participantId)) {
+      return failure(409, ERROR_CODES.RECORDING_ACTIVE, 'You are already recording');
+    }
+
+    const recording = room.startClientRecording(participantId, participantName, room.getRecordingConsent().id);
+    room.updatedAt = new Date();
+    await room.save();
+
+    consentLogger.info(`Client recording started by ${participantId} in ${roomId}`);
+    return { success: true, data: toClientRecording(recording) };
+  } catch (error) {
+    consentLogger.error(`Failed to start client recording in ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+async function stopClientRecording(roomId, participantId) {
+  try {
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    const [stopped] = room.stopClientRecordings(participantId, 'stopped');
+    if (!stopped) {
+      return failure(409, ERROR_CODES.INVALID_MESSAGE, 'You are not recording');
+    }
+    room.updatedAt = new Date();
+    await room.save();
+
+    consentLogger.info(`Client recording stopped by ${participantId} in ${roomId}`);
+    return { success: true, data: { participantId, stoppedAt: stopped.stoppedAt } };
+  } catch (error) {
+    consentLogger.error(`Failed to stop client recording in ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+// Every round for the room, newest first, optionally for one session only.
+async function getConsentHistory(roomId, { sessionId } = {}) {
+  try {
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    const consents = room.recordingConsents
+      .filter(c => sessionId === undefined || c.sessionId === sessionId)
+      .reverse()
+      .map(toConsentSummary);
+    return { success: true, data: { roomId, sessionId: room.sessionId, consents } };
+  } catch (error) {
+    consentLogger.error(`Failed to load recording consents for ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+module.exports = {
+  requestConsent,
+  respondToConsent,
+  startClientRecording,
+  stopClientRecording,
+  getConsentHistory,
+  toConsentSummary,
+  toClientRecording,
+  CONSENT_REQUIRED_MESSAGE,
+  consentLogger
+};
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const winston = require('winston');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const Room = require('../models/Room');
+const storage = require('./storage');
+const { ERROR_CODES } = require('../protocol/signaling');
+const { RECORDING_PROCESSING_CONCURRENCY, RECORDING_PROCESSING_DIR } = require('../config/recording');
+
+const processingLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/recording-processing.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+const failure = (status, code, error) => ({ success: false, status, code, error });
+
+// Produced in this order; the thumbnail needs a video stream and the audio track an audio stream.
+const RENDITIONS = {
+  mp4: {
+    extension: '.mp4',
+    mimeType: (probe) => (probe.hasVideo ? 'video/mp4' : 'audio/mp4'),
+    applies: (probe) => probe.hasVideo || probe.hasAudio,
+    build: (command, probe) => command.outputOptions([
+      ...(probe.hasVideo
+        ? ['-c:v libx264', '-preset veryfast', '-crf 23', '-pix_fmt yuv420p', '-vf scale=trunc(iw/2)*2:trunc(ih/2)*2']
+        : ['-vn']),
+      ...(probe.hasAudio ? ['-c:a aac', '-b:a 128k'] : ['-an']),
+      '-movflags +faststart'
+    ])
+  },
+  thumbnail: {
+    extension: '.jpg',
+    mimeType: () => 'image/jpeg',
+    applies: (probe) => probe.hasVideo,
+    build: (command, probe) => command
+      .seekInput(probe.duration ? Math.min(1, probe.duration / 2) : 0)
+      .outputOptions(['-frames:v 1', '-vf scale=640:-2'])
+  },
+  // Mono 16 kHz FLAC is what speech-to-text services expect, at a fraction of the source size.
+  audio: {
+    extension: '.flac',
+    mimeType: () => 'audio/flac',
+    applies: (probe) => probe.hasAudio,
+    build: (command) => command.outputOptions(['-vn', '-ac 1', '-ar 16000', '-c:a flac'])
+  }
+};
+const RENDITION_KINDS = Object.keys(RENDITIONS);
+
+const queue = [];
+// Recording IDs that are queued or being processed on this node.
+const activeJobs = new Set();
+let runningJobs = 0;
+
+const runCommand = (command) => new Promise((resolve, reject) => {
+  command
+    .on('end', (stdout, stderr) => resolve(stderr || ''))
+    .on('error', reject)
+    .run();
+});
+
+// Loads the room, applies `mutate` to the recording and saves. Returns false if either is gone.
+async function updateRecording(roomId, recordingId, mutate) {
+  const room = await Room.findOne({ roomId });
+  const recording = room && room.findCallRecording(recordingId);
+  if (!recording) return false;
+
+  mutate(recording);
+  room.updatedAt = new Date();
+  await room.save();
+  return true;
+}
+
+const updateRendition = (roomId, recordingId, kind, changes) => updateRecording(roomId, recordingId, (recording) => {
+  const rendition = recording.renditions.find(r => r.kind === kind);
+  if (rendition) Object.assign(rendition, changes);
+});
+
+async function downloadSource(recording, targetPath) {
+  const source = await storage.getStream(recording.s3Key, { bucket: recording.s3Bucket });
+  await pipeline(source, fs.createWriteStream(targetPath));
+}
+
+// Browser (MediaRecorder) webm files usually carry no duration header, so the streams are read to
+// the end with a stream copy and the last reported timestamp is taken as the real length.
+async function probeMedia(sourcePath) {
+  let codecData = {};
+  const command = ffmpeg(sourcePath)
+    .outputOptions(['-map 0', '-c copy', '-f null'])
+    .output('-')
+    .on('codecData', (data) => {
+      codecData = data;
+    });
+  const stderr = await runCommand(command);
+
+  const timestamps = Array.from(stderr.matchAll(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g));
+  const last = timestamps[timestamps.length - 1];
+  return {
+    duration: last ? Math.round(Number(last[1]) * 3600 + Number(last[2]) * 60 + Number(last[3])) : null,
+    hasVideo: !!codecData.video,
+    hasAudio: !!codecData.audio
+  };
+}
+
+async function produceRendition(roomId, recording, kind, sourcePath, probe, workDir) {
+  const spec = RENDITIONS[kind];
+  if (!spec.applies(probe)) {
+    await updateRendition(roomId, recording.id, kind, { status: 'skipped', completedAt: new Date() });
+    return;
+  }
+
+  await updateRendition(roomId, recording.id, kind, { status: 'processing', startedAt: new Date(), error: null });
+  try {
+    const outputPath = path.join(workDir, `${kind}${spec.extension}`);
+    await runCommand(spec.build(ffmpeg(sourcePath), probe).output(outputPath));
+
+    const mimeType = spec.mimeType(probe);
+    const baseName = path.basename(recording.fileName, path.extname(recording.fileName));
+    const stored = await storage.put(
+      `recordings/${roomId}/renditions/${recording.id}/${baseName}-${kind}${spec.extension}`,
+      fs.createReadStream(outputPath),
+      { contentType: mimeType, bucket: recording.s3Bucket }
+    );
+
+    await updateRendition(roomId, recording.id, kind, {
+      status: 'ready',
+      s3Key: stored.key,
+      mimeType,
+      fileSize: fs.statSync(outputPath).size,
+      completedAt: new Date()
+    });
+    processingLogger.info(`Rendition ready: ${kind} of ${recording.id} in ${roomId} - ${stored.key}`);
+  } catch (error) {
+    processingLogger.error(`Rendition failed: ${kind} of ${recording.id} in ${roomId}: ${error.message}`);
+    await updateRendition(roomId, recording.id, kind, { status: 'failed', error: error.message, completedAt: new Date() });
+  }
+}
+
+async function processRecording(roomId, recordingId) {
+  const room = await Room.findOne({ roomId });
+  const recording = room && room.findCallRecording(recordingId);
+  if (!recording) {
+    processingLogger.warn(`Recording ${recordingId} in ${roomId} disappeared before processing`);
+    return;
+  }
+
+  fs.mkdirSync(RECORDING_PROCESSING_DIR, { recursive: true });
+  const workDir = fs.mkdtempSync(path.join(RECORDING_PROCESSING_DIR, `${recordingId}-`));
+  try {
+    const sourcePath = path.join(workDir, `source${path.extname(recording.fileName) || '.bin'}`);
+    await downloadSource(recording, sourcePath);
+
+    const probe = await probeMedia(sourcePath);
+    await updateRecording(roomId, recordingId, (r) => {
+      if (probe.duration === null) return;
+      if (r.reportedDuration === null) r.reportedDuration = r.duration;
+      r.duration = probe.duration;
+      r.durationProbedAt = new Date();
+    });
+    processingLogger.info(`Probed ${recordingId} in ${roomId}: ${probe.duration}s, video ${probe.hasVideo}, audio ${probe.hasAudio}`);
+
+    const pending = recording.renditions.filter(r => r.status !== 'ready').map(r => r.kind);
+    for (const kind of pending) {
+      await produceRendition(roomId, recording, kind, sourcePath, probe, workDir);
+    }
+  } catch (error) {
+    processingLogger.error(`Processing failed for ${recordingId} in ${roomId}: ${error.message}`);
+    await updateRecording(roomId, recordingId, (r) => {
+      r.renditions.forEach(rendition => {
+        if (rendition.status === 'pending' || rendition.status === 'processing') {
+          Object.assign(rendition, { status: 'failed', error: error.message, completedAt: new Date() });
+        }
+      });
+    });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+function drainQueue() {
+  while (runningJobs < RECORDING_PROCESSING_CONCURRENCY && queue.length > 0) {
+    const { roomId, recordingId } = queue.shift();
+    runningJobs += 1;
+    processRecording(roomId, recordingId)
+      .catch(error => processingLogger.error(`Processing crashed for ${recordingId} in ${roomId}: ${error.message}`))
+      .finally(() => {
+        activeJobs.delete(recordingId);
+        runningJobs -= 1;
+        drainQueue();
+      });
+  }
+}
+
+/**
+ * Marks every rendition that is not already ready as pending and queues the recording. Used right
+ * after an upload and to retry failed renditions; a recording already queued is not queued twice.
+ */
+async function enqueueRecording(roomId, recordingId) {
+  try {
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    const recording = room.findCallRecording(recordingId);
+    if (!recording) return failure(404, ERROR_CODES.NOT_FOUND, 'Recording not found');
+    if (recording.purgedAt) {
+      return failure(410, ERROR_CODES.RECORDING_UNAVAILABLE, 'Recording has been purged under the retention policy');
+    }
+
+    if (activeJobs.has(recordingId) || recording.renditions.some(r => r.status === 'processing')) {
+      return failure(409, ERROR_CODES.INVALID_MESSAGE, 'Recording is already being processed');
+    }
+
+    RENDITION_KINDS.forEach(kind => {
+      const rendition = recording.renditions.find(r => r.kind === kind);
+      if (!rendition) {
+        recording.renditions.push({ kind });
+      } else if (rendition.status !== 'ready') {
+        Object.assign(rendition, { status: 'pending', error: null, startedAt: null, completedAt: null });
+      }
+    });
+    room.updatedAt = new Date();
+    await room.save();
+
+    activeJobs.add(recordingId);
+    queue.push({ roomId, recordingId });
+    drainQueue();
+    processingLogger.info(`Recording queued for processing: ${recordingId} in ${roomId}`);
+    return {
+      success: true,
+      data: {
+        recordingId,
+        renditions: recording.renditions.map(r => ({ kind: r.kind, status: r.status }))
+      }
+    };
+  } catch (error) {
+    processingLogger.error(`Failed to queue ${recordingId} in ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+module.exports = {
+  enqueueRecording,
+  processingLogger
+};
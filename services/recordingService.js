@@ -0,0 +1,319 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const CryptoJS = require('crypto-js');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const Room = require('../models/Room');
+const sfuService = require('./sfuService');
+const storage = require('./storage');
+const recordingProcessingService = require('./recordingProcessingService');
+const { ERROR_CODES } = require('../protocol/signaling');
+const {
+  RECORDING_RTP_MIN_PORT,
+  RECORDING_RTP_MAX_PORT,
+  RECORDING_DIR,
+  RECORDING_STOP_TIMEOUT_MS
+} = require('../config/recording');
+
+const recordingLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/recording.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
+const encrypt = (text) => CryptoJS.AES.encrypt((text || 'Anonymous').trim(), ENCRYPTION_KEY).toString();
+
+const RECORDING_MIME_TYPE = 'video/x-matroska';
+// ffmpeg needs a moment to open its RTP sockets before the taps start sending.
+const TAP_RESUME_DELAY_MS = 1000;
+
+const failure = (status, code, error) => ({ success: false, status, code, error });
+
+// Emits 'recording-stopped' (also when ffmpeg exits on its own), then 'recording-saved' or
+// 'recording-failed' once the file has been uploaded, so the socket layer can tell the room.
+const recordingEvents = new EventEmitter();
+
+// roomId -> active recording. Recordings live on the node that hosts the room's SFU router.
+const activeRecordings = new Map();
+const usedPorts = new Set();
+
+// usedPorts only knows this process, so the port is bound briefly to check nothing else on the host holds it.
+function isUdpPortFree(port) {
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket('udp4');
+    socket.once('error', () => {
+      socket.close();
+      resolve(false);
+    });
+    socket.bind(port, '127.0.0.1', () => socket.close(() => resolve(true)));
+  });
+}
+
+// RTP on an even port, RTCP on the next one.
+async function allocatePortPair() {
+  const first = RECORDING_RTP_MIN_PORT % 2 === 0 ? RECORDING_RTP_MIN_PORT : RECORDING_RTP_MIN_PORT + 1;
+  for (let port = first; port + 1 <= RECORDING_RTP_MAX_PORT; port += 2) {
+    if (usedPorts.has(port)) continue;
+    // Reserved before probing so a concurrent start does not pick the same pair.
+    usedPorts.add(port);
+    if (await isUdpPortFree(port) && await isUdpPortFree(port + 1)) {
+      return port;
+    }
+    usedPorts.delete(port);
+  }
+  return null;
+}
+
+// One m-line per tapped producer, describing the stream exactly as the tap's consumer sends it.
+function buildSdp(taps) {
+  const lines = [
+    'v=0',
+    'o=- 0 0 IN IP4 127.0.0.1',
+    's=Room recording',
+    'c=IN IP4 127.0.0.1',
+    't=0 0'
+  ];
+
+  taps.forEach(({ consumer, rtpPort }) => {
+    const codec = consumer.rtpParameters.codecs[0];
+    const codecName = codec.mimeType.split('/')[1];
+    const channels = codec.channels > 1 ? `/${codec.channels}` : '';
+    const fmtp = Object.entries(codec.parameters || {}).map(([key, value]) => `${key}=${value}`).join(';');
+
+    lines.push(`m=${consumer.kind} ${rtpPort} RTP/AVP ${codec.payloadType}`);
+    lines.push(`a=rtcp:${rtpPort + 1}`);
+    lines.push(`a=rtpmap:${codec.payloadType} ${codecName}/${codec.clockRate}${channels}`);
+    if (fmtp) lines.push(`a=fmtp:${codec.payloadType} ${fmtp}`);
+    lines.push('a=recvonly');
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function releaseTaps(recording) {
+  recording.taps.forEach(({ transport, rtpPort }) => {
+    transport.close();
+    usedPorts.delete(rtpPort);
+  });
+  recording.taps = [];
+}
+
+const toSummary = (recording) => ({
+  roomId: recording.roomId,
+  recordingId: recording.recordingId,
+  startedBy: recording.startedBy,
+  startedAt: recording.startedAt,
+  endedAt: recording.endedAt || null,
+  duration: recording.endedAt ? Math.floor((recording.endedAt - recording.startedAt) / 1000) : null,
+  stoppedBy: recording.stoppedBy || null,
+  reason: recording.reason || null
+});
+
+function getRecording(roomId) {
+  const recording = activeRecordings.get(roomId);
+  return recording && recording.startedAt ? toSummary(recording) : null;
+}
+
+/**
+ * Starts recording every producer currently in the room's SFU router. Producers created after
+ * the start are not added to a running recording. Only the node hosting the router can do this.
+ */
+async function startRecording(roomId, { startedBy, startedByName, sessionId = null, consentId = null }) {
+  if (activeRecordings.has(roomId)) {
+    return failure(409, ERROR_CODES.RECORDING_ACTIVE, 'This room is already being recorded');
+  }
+
+  const producers = sfuService.getProducers(roomId);
+  if (producers.length === 0) {
+    return failure(409, ERROR_CODES.RECORDING_UNAVAILABLE, 'There is no SFU media in this room to record');
+  }
+
+  const recordingId = crypto.randomBytes(12).toString('hex');
+  const recording = { roomId, recordingId, startedBy, startedByName, sessionId, consentId, taps: [], startedAt: null };
+  // Reserved before the first await so a concurrent start sees the room as busy.
+  activeRecordings.set(roomId, recording);
+
+  try {
+    for (const producer of producers) {
+      const rtpPort = await allocatePortPair();
+      if (rtpPort === null) {
+        throw new Error('No free recording ports');
+      }
+      try {
+        const { transport, consumer } = await sfuService.createRecordingTap(roomId, producer.producerId, {
+          ip: '127.0.0.1',
+          rtpPort,
+          rtcpPort: rtpPort + 1
+        });
+        recording.taps.push({ transport, consumer, rtpPort, participantId: producer.participantId });
+      } catch (error) {
+        usedPorts.delete(rtpPort);
+        throw error;
+      }
+    }
+
+    fs.mkdirSync(RECORDING_DIR, { recursive: true });
+    recording.sdpPath = path.join(RECORDING_DIR, `${recordingId}.sdp`);
+    recording.filePath = path.join(RECORDING_DIR, `${roomId}-${recordingId}.mkv`);
+    fs.writeFileSync(recording.sdpPath, buildSdp(recording.taps));
+
+    // Streams are copied as sent (Opus/VP8/H264); Matroska holds all of them without re-encoding.
+    recording.command = ffmpeg(recording.sdpPath)
+      .inputOptions(['-protocol_whitelist', 'file,rtp,udp', '-fflags', '+genpts'])
+      .outputOptions(['-map', '0', '-c', 'copy'])
+      .output(recording.filePath)
+      .on('start', () => {
+        recording.running = true;
+        if (recording.endedAt) {
+          interruptRecorder(recording);
+          return;
+        }
+        recording.resumeTimer = setTimeout(() => {
+          recording.taps.forEach(({ consumer }) => {
+            consumer.resume()
+              .then(() => consumer.kind === 'video' && consumer.requestKeyFrame())
+              .catch(error => recordingLogger.error(`Recording tap resume failed in ${roomId}: ${error.message}`));
+          });
+        }, TAP_RESUME_DELAY_MS);
+      })
+      .on('end', () => handleRecorderExit(recording, null))
+      .on('error', (error) => handleRecorderExit(recording, error));
+
+    recording.command.run();
+    recording.startedAt = new Date();
+
+    recordingLogger.info(`Recording started: ${recordingId} in ${roomId} by ${startedBy} (${recording.taps.length} streams)`);
+    return { success: true, data: toSummary(recording) };
+  } catch (error) {
+    activeRecordings.delete(roomId);
+    releaseTaps(recording);
+    if (recording.sdpPath && fs.existsSync(recording.sdpPath)) {
+      fs.unlinkSync(recording.sdpPath);
+    }
+    recordingLogger.error(`Failed to start recording in ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+function stopRecording(roomId, { stoppedBy, reason }) {
+  const recording = activeRecordings.get(roomId);
+  if (!recording || !recording.startedAt) {
+    return failure(404, ERROR_CODES.NOT_FOUND, 'This room is not being recorded');
+  }
+
+  endRecording(recording, stoppedBy, reason || 'stopped');
+  // Before ffmpeg has spawned there is nothing to signal; the 'start' handler interrupts it instead.
+  if (recording.running) {
+    interruptRecorder(recording);
+  }
+
+  return { success: true, data: toSummary(recording) };
+}
+
+// ffmpeg finalizes the file on SIGINT; the 'end'/'error' handler uploads it.
+function interruptRecorder(recording) {
+  recording.command.kill('SIGINT');
+  recording.killTimer = setTimeout(() => {
+    recordingLogger.warn(`Recorder for ${recording.recordingId} did not exit; killing it`);
+    recording.command.kill('SIGKILL');
+  }, RECORDING_STOP_TIMEOUT_MS);
+}
+
+function endRecording(recording, stoppedBy, reason) {
+  clearTimeout(recording.resumeTimer);
+  activeRecordings.delete(recording.roomId);
+  recording.endedAt = new Date();
+  recording.stoppedBy = stoppedBy;
+  recording.reason = reason;
+  releaseTaps(recording);
+
+  recordingLogger.info(`Recording stopped: ${recording.recordingId} in ${recording.roomId} (${reason})`);
+  recordingEvents.emit('recording-stopped', toSummary(recording));
+}
+
+async function handleRecorderExit(recording, error) {
+  clearTimeout(recording.killTimer);
+  if (!recording.endedAt) {
+    recordingLogger.error(`Recorder exited unexpectedly for ${recording.recordingId}: ${error ? error.message : 'no error'}`);
+    endRecording(recording, null, 'recorder-exited');
+  }
+  if (fs.existsSync(recording.sdpPath)) {
+    fs.unlinkSync(recording.sdpPath);
+  }
+
+  try {
+    const saved = await saveRecording(recording);
+    recordingEvents.emit('recording-saved', { ...toSummary(recording), ...saved });
+  } catch (saveError) {
+    recordingLogger.error(`Failed to save recording ${recording.recordingId}: ${saveError.message}`);
+    recordingEvents.emit('recording-failed', { ...toSummary(recording), error: saveError.message });
+  }
+}
+
+async function saveRecording(recording) {
+  const { roomId, recordingId, filePath } = recording;
+  const fileSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  if (fileSize === 0) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    throw new Error('Recorder produced no media');
+  }
+
+  const fileName = path.basename(filePath);
+  // ffmpeg writes the file itself, so the digest is taken as it streams up to storage.
+  const stored = await storage.put(`recordings/${roomId}/${Date.now()}-${fileName}`, fs.createReadStream(filePath), {
+    contentType: RECORDING_MIME_TYPE
+  });
+  fs.unlinkSync(filePath);
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    throw new Error(`Room ${roomId} no longer exists; recording kept at ${stored.key}`);
+  }
+
+  const { duration } = toSummary(recording);
+  const callRecording = room.addCallRecording(
+    stored.key,
+    stored.bucket,
+    fileName,
+    fileSize,
+    RECORDING_MIME_TYPE,
+    encrypt(recording.startedByName),
+    encrypt('server'),
+    recording.startedAt,
+    recording.endedAt,
+    duration,
+    'server',
+    { sessionId: recording.sessionId, consentId: recording.consentId, sha256: stored.sha256 }
+  );
+  room.updatedAt = new Date();
+  await room.save();
+  recordingProcessingService.enqueueRecording(roomId, callRecording.id);
+
+  recordingLogger.info(`Recording saved: ${recordingId} in ${roomId} as ${stored.key} (${fileSize} bytes)`);
+  return { fileName, fileSize, s3Key: stored.key, sha256: stored.sha256 };
+}
+
+module.exports = {
+  startRecording,
+  stopRecording,
+  getRecording,
+  recordingEvents,
+  recordingLogger
+};
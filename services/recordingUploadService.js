@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const winston = require('winston');
+const CryptoJS = require('crypto-js');
+const Room = require('../models/Room');
+const RecordingUpload = require('../models/RecordingUpload');
+const storage = require('./storage');
+const recordingProcessingService = require('./recordingProcessingService');
+const { CONSENT_REQUIRED_MESSAGE } = require('./recordingConsentService');
+const { ERROR_CODES } = require('../protocol/signaling');
+const {
+  RECORDING_UPLOAD_PART_SIZE,
+  RECORDING_UPLOAD_TTL_MS,
+  RECORDING_UPLOAD_COMPLETE_TIMEOUT_MS,
+  RECORDING_TEMP_DIR,
+  RECORDING_TEMP_MAX_AGE_MS
+} = require('../config/recording');
+
+const uploadLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/recording-upload.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
+const encrypt = (text) => CryptoJS.AES.encrypt((text || 'Anonymous').trim(), ENCRYPTION_KEY).toString();
+
+const OPEN_STATUSES = ['initiated', 'uploading'];
+// Uploads that still hold something in storage: open multipart uploads or an unattached object.
+const UNFINISHED_STATUSES = [...OPEN_STATUSES, 'completing', 'stored'];
+
+const failure = (status, code, error, extra = {}) => ({ success: false, status, code, error, ...extra });
+
+// Frees what an unfinished upload holds in storage: its parts, or the object they were assembled into.
+function discardStoredData(upload) {
+  if (upload.storedAt) {
+    return storage.delete(upload.s3Key, { bucket: upload.s3Bucket });
+  }
+  return storage.abortMultipartUpload(upload.s3Key, upload.s3UploadId, { bucket: upload.s3Bucket });
+}
+
+const toStatus = (upload) => ({
+  uploadId: upload.uploadId,
+  roomId: upload.roomId,
+  status: upload.status,
+  fileName: upload.fileName,
+  mimeType: upload.mimeType,
+  fileSize: upload.fileSize,
+  partSize: upload.partSize,
+  totalParts: upload.totalParts,
+  uploadedParts: upload.parts
+    .map(p => ({ partNumber: p.partNumber, size: p.size, sha256: p.sha256, uploadedAt: p.uploadedAt }))
+    .sort((a, b) => a.partNumber - b.partNumber),
+  missingParts: upload.getMissingParts(),
+  uploadedBytes: upload.parts.reduce((total, p) => total + p.size, 0),
+  recordingId: upload.recordingId,
+  error: upload.error,
+  expiresAt: upload.expiresAt
+});
+
+// Uploads are only visible to the participant who started them (and, for aborting, room admins).
+async function loadUpload(roomId, uploadId, participant, { allowAdmin = false } = {}) {
+  const upload = await RecordingUpload.findOne({ uploadId });
+  if (!upload || upload.roomId !== roomId) {
+    return { error: failure(404, ERROR_CODES.NOT_FOUND, 'Upload not found') };
+  }
+  if (upload.participantId !== participant.participantId && !(allowAdmin && participant.role === 'admin')) {
+    return { error: failure(403, ERROR_CODES.FORBIDDEN, 'Only the participant who started this upload can use it') };
+  }
+  return { upload };
+}
+
+async function initiateUpload(roomId, participant, { fileName, mimeType, fileSize, startedBy, startTime, endTime, duration, sessionId }) {
+  try {
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    const recordedSessionId = sessionId || room.sessionId;
+    if (!room.hasRecordingConsent(recordedSessionId)) {
+      return failure(403, ERROR_CODES.CONSENT_REQUIRED, CONSENT_REQUIRED_MESSAGE);
+    }
+
+    const safeName = path.basename(fileName);
+    const s3Key = `recordings/${roomId}/${Date.now()}-${safeName}`;
+    const s3UploadId = await storage.createMultipartUpload(s3Key, { contentType: mimeType });
+
+    const now = new Date();
+    const upload = await RecordingUpload.create({
+      uploadId: crypto.randomBytes(16).toString('hex'),
+      roomId,
+      participantId: participant.participantId,
+      s3UploadId,
+      s3Key,
+      s3Bucket: storage.bucket,
+      fileName: safeName,
+      mimeType,
+      fileSize,
+      partSize: RECORDING_UPLOAD_PART_SIZE,
+      totalParts: Math.ceil(fileSize / RECORDING_UPLOAD_PART_SIZE),
+      startedBy: encrypt(startedBy || participant.participantName),
+      uploadedBy: encrypt(participant.participantName),
+      startTime: startTime || null,
+      endTime: endTime || null,
+      duration: duration || 0,
+      sessionId: recordedSessionId,
+      consentId: room.getRecordingConsent(recordedSessionId).id,
+      checksumAlgorithm: 'SHA256',
+      expiresAt: new Date(now.getTime() + RECORDING_UPLOAD_TTL_MS),
+      createdAt: now,
+      updatedAt: now
+    });
+
+    uploadLogger.info(`Upload initiated: ${upload.uploadId} in ${roomId} by ${participant.participantId} (${fileSize} bytes, ${upload.totalParts} parts)`);
+    return { success: true, data: toStatus(upload) };
+  } catch (error) {
+    uploadLogger.error(`Failed to initiate upload in ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+/**
+ * Each request writes only its own part entry, so parts uploaded in parallel cannot overwrite one
+ * another and a retried part replaces the earlier attempt in place. Returns false once the upload
+ * is no longer open.
+ */
+async function recordPart(uploadId, part) {
+  const open = { uploadId, status: { $in: OPEN_STATUSES } };
+  const changes = { status: 'uploading', updatedAt: new Date() };
+  const replace = () => RecordingUpload.updateOne(
+    { ...open, 'parts.partNumber': part.partNumber },
+    { $set: { ...changes, 'parts.$': part } }
+  );
+
+  if ((await replace()).matchedCount > 0) return true;
+  const added = await RecordingUpload.updateOne(
+    { ...open, 'parts.partNumber': { $ne: part.partNumber } },
+    { $push: { parts: part }, $set: changes }
+  );
+  if (added.matchedCount > 0) return true;
+  // Another request for the same part added its entry in between; this later one replaces it.
+  return (await replace()).matchedCount > 0;
+}
+
+// Spools the part to disk so a dropped connection costs one part, then streams it to storage.
+// The part is hashed as it arrives and storage checks that it received the same bytes.
+async function uploadPart(roomId, uploadId, partNumber, body, participant) {
+  let tempPath = null;
+  try {
+    const { upload, error } = await loadUpload(roomId, uploadId, participant);
+    if (error) return error;
+
+    if (!OPEN_STATUSES.includes(upload.status)) {
+      return failure(409, ERROR_CODES.INVALID_MESSAGE, `Upload is ${upload.status}`);
+    }
+    if (partNumber < 1 || partNumber > upload.totalParts) {
+      return failure(400, ERROR_CODES.INVALID_MESSAGE, `Part number must be between 1 and ${upload.totalParts}`);
+    }
+
+    const expectedSize = upload.expectedPartSize(partNumber);
+    fs.mkdirSync(RECORDING_TEMP_DIR, { recursive: true });
+    tempPath = path.join(RECORDING_TEMP_DIR, `${uploadId}-${partNumber}-${Date.now()}.part`);
+
+    let size = 0;
+    const hash = crypto.createHash('sha256');
+    const sizeLimit = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size > expectedSize) {
+          const tooLarge = new Error(`Part ${partNumber} must be ${expectedSize} bytes`);
+          tooLarge.code = 'PART_TOO_LARGE';
+          return callback(tooLarge);
+        }
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+    try {
+      await pipeline(body, sizeLimit, fs.createWriteStream(tempPath));
+    } catch (streamError) {
+      if (streamError.code === 'PART_TOO_LARGE') {
+        return failure(413, ERROR_CODES.MESSAGE_TOO_LARGE, streamError.message);
+      }
+      uploadLogger.warn(`Part ${partNumber} of ${uploadId} interrupted: ${streamError.message}`);
+      return failure(400, ERROR_CODES.INVALID_MESSAGE, 'Part upload was interrupted; retry this part');
+    }
+    if (size !== expectedSize) {
+      return failure(400, ERROR_CODES.INVALID_MESSAGE, `Part ${partNumber} must be ${expectedSize} bytes, got ${size}`);
+    }
+
+    const sha256 = hash.digest('hex');
+    const etag = await storage.uploadPart(
+      upload.s3Key,
+      upload.s3UploadId,
+      partNumber,
+      fs.createReadStream(tempPath),
+      size,
+      { bucket: upload.s3Bucket, sha256: upload.checksumAlgorithm ? sha256 : null }
+    );
+
+    if (!(await recordPart(uploadId, { partNumber, etag, size, sha256, uploadedAt: new Date() }))) {
+      return failure(409, ERROR_CODES.INVALID_MESSAGE, 'Upload is no longer open');
+    }
+
+    const updated = await RecordingUpload.findOne({ uploadId });
+    return { success: true, data: toStatus(updated) };
+  } catch (error) {
+    uploadLogger.error(`Failed to upload part ${partNumber} of ${uploadId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  } finally {
+    if (tempPath) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+    }
+  }
+}
+
+async function getUploadStatus(roomId, uploadId, participant) {
+  try {
+    const { upload, error } = await loadUpload(roomId, uploadId, participant);
+    if (error) return error;
+    return { success: true, data: toStatus(upload) };
+  } catch (error) {
+    uploadLogger.error(`Failed to read upload ${uploadId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+async function completeUpload(roomId, uploadId, participant) {
+  try {
+    const { upload, error } = await loadUpload(roomId, uploadId, participant);
+    if (error) return error;
+
+    const missingParts = upload.getMissingParts();
+    if (missingParts.length > 0) {
+      return failure(409, ERROR_CODES.INVALID_MESSAGE, 'Upload has missing parts', { missingParts });
+    }
+
+    // Consent withdrawn while the parts were uploading also stops the recording from being kept.
+    const consentRoom = await Room.findOne({ roomId });
+    if (consentRoom && !consentRoom.hasRecordingConsent(upload.sessionId)) {
+      return failure(403, ERROR_CODES.CONSENT_REQUIRED, CONSENT_REQUIRED_MESSAGE);
+    }
+
+    // Claims the upload so a concurrent complete or abort cannot act on it too. A 'stored' upload
+    // failed after storage assembled it and only needs attaching to the room.
+    const now = new Date();
+    const claimed = await RecordingUpload.findOneAndUpdate(
+      { uploadId, status: { $in: ['uploading', 'stored'] } },
+      { $set: { status: 'completing', completingUntil: new Date(now.getTime() + RECORDING_UPLOAD_COMPLETE_TIMEOUT_MS), updatedAt: now } },
+      { new: true }
+    );
+    if (!claimed) {
+      return failure(409, ERROR_CODES.INVALID_MESSAGE, `Upload is ${upload.status}`);
+    }
+
+    if (!claimed.storedAt) {
+      try {
+        await storage.completeMultipartUpload(upload.s3Key, upload.s3UploadId, upload.parts, { bucket: upload.s3Bucket });
+      } catch (storageError) {
+        // Left open so the client can retry completing once storage is reachable again.
+        await RecordingUpload.updateOne({ uploadId }, { $set: { status: 'uploading', completingUntil: null, error: storageError.message, updatedAt: new Date() } });
+        throw storageError;
+      }
+      await RecordingUpload.updateOne({ uploadId }, { $set: { storedAt: new Date(), updatedAt: new Date() } });
+    }
+
+    try {
+      return await attachUpload(roomId, upload);
+    } catch (attachError) {
+      // The object exists now, so a retry goes straight to attaching it.
+      await RecordingUpload.updateOne({ uploadId }, { $set: { status: 'stored', completingUntil: null, error: attachError.message, updatedAt: new Date() } });
+      throw attachError;
+    }
+  } catch (error) {
+    uploadLogger.error(`Failed to complete upload ${uploadId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+// Adds the assembled object to the room's recordings and marks the upload completed.
+async function attachUpload(roomId, upload) {
+  const { uploadId } = upload;
+
+  // Parts arrive in any order and on any node, so the digest of the whole file can only be
+  // taken by reading the assembled object back once. Failing that, the recording is kept and
+  // shows up as unverifiable rather than being lost.
+  let sha256 = null;
+  try {
+    sha256 = await storage.hashObject(upload.s3Key, { bucket: upload.s3Bucket });
+  } catch (hashError) {
+    uploadLogger.error(`Could not hash completed upload ${uploadId}: ${hashError.message}`);
+  }
+
+  const room = await Room.findOne({ roomId });
+  if (!room) {
+    // Nothing can ever own the object now.
+    await storage.delete(upload.s3Key, { bucket: upload.s3Bucket });
+    await RecordingUpload.updateOne({ uploadId }, { $set: { status: 'failed', completingUntil: null, error: 'Room no longer exists', updatedAt: new Date() } });
+    return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+  }
+
+  // A retry after the room was saved but the upload was not finds its recording already there.
+  const recording = room.callRecordings.find(r => r.s3Key === upload.s3Key) || room.addCallRecording(
+    upload.s3Key,
+    upload.s3Bucket,
+    upload.fileName,
+    upload.fileSize,
+    upload.mimeType,
+    upload.startedBy,
+    upload.uploadedBy,
+    upload.startTime || new Date(),
+    upload.endTime || new Date(),
+    upload.duration,
+    'client',
+    { sessionId: upload.sessionId, consentId: upload.consentId, sha256 }
+  );
+  room.updatedAt = new Date();
+  await room.save();
+
+  await RecordingUpload.updateOne({ uploadId }, {
+    $set: { status: 'completed', completingUntil: null, recordingId: recording.id, error: null, updatedAt: new Date() }
+  });
+  recordingProcessingService.enqueueRecording(roomId, recording.id);
+
+  uploadLogger.info(`Upload completed: ${uploadId} in ${roomId} as ${upload.s3Key}`);
+  return {
+    success: true,
+    data: {
+      uploadId,
+      status: 'completed',
+      recordingId: recording.id,
+      fileName: upload.fileName,
+      fileSize: upload.fileSize,
+      s3Key: upload.s3Key,
+      sha256
+    }
+  };
+}
+
+async function abortUpload(roomId, uploadId, participant) {
+  try {
+    const { upload, error } = await loadUpload(roomId, uploadId, participant, { allowAdmin: true });
+    if (error) return error;
+
+    if (![...OPEN_STATUSES, 'stored'].includes(upload.status)) {
+      return failure(409, ERROR_CODES.INVALID_MESSAGE, `Upload is ${upload.status}`);
+    }
+
+    await discardStoredData(upload);
+    await RecordingUpload.updateOne({ uploadId }, { $set: { status: 'aborted', updatedAt: new Date() } });
+
+    uploadLogger.info(`Upload aborted: ${uploadId} in ${roomId} by ${participant.participantId}`);
+    return { success: true, data: { uploadId, status: 'aborted' } };
+  } catch (error) {
+    uploadLogger.error(`Failed to abort upload ${uploadId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+// Called before a room is deleted for good; its unfinished uploads would otherwise keep their parts.
+async function abortRoomUploads(roomId) {
+  const uploads = await RecordingUpload.find({ roomId, status: { $in: UNFINISHED_STATUSES } });
+  for (const upload of uploads) {
+    await discardStoredData(upload);
+    await RecordingUpload.updateOne({ uploadId: upload.uploadId }, { $set: { status: 'aborted', updatedAt: new Date() } });
+  }
+  if (uploads.length > 0) uploadLogger.info(`Aborted ${uploads.length} uploads in ${roomId} before room deletion`);
+  return uploads.length;
+}
+
+/**
+ * Reopens uploads whose completion outlived its lease, expires uploads past their TTL (deleting
+ * the object of one that was assembled but never attached), aborts multipart uploads in the
+ * bucket that nobody finished (including interrupted streaming uploads), and deletes stale files
+ * in the temp directory. Safe to run on every node: aborting an upload twice is a no-op.
+ */
+async function collectGarbage() {
+  const now = Date.now();
+  const report = { reopenedUploads: 0, expiredUploads: 0, abortedMultipartUploads: 0, deletedTempFiles: 0 };
+
+  try {
+    // The client can complete again; one past its TTL is expired just below. One that storage had
+    // already assembled goes back to 'stored' so the retry only attaches it.
+    const interrupted = 'Completing the upload was interrupted; complete it again';
+    for (const [storedAt, status] of [[null, 'uploading'], [{ $ne: null }, 'stored']]) {
+      const stalled = await RecordingUpload.updateMany(
+        { status: 'completing', completingUntil: { $lt: new Date(now) }, storedAt },
+        { $set: { status, completingUntil: null, error: interrupted, updatedAt: new Date() } }
+      );
+      report.reopenedUploads += stalled.modifiedCount;
+    }
+
+    const expired = await RecordingUpload.find({ status: { $in: [...OPEN_STATUSES, 'stored'] }, expiresAt: { $lt: new Date(now) } });
+    for (const upload of expired) {
+      await discardStoredData(upload);
+      await RecordingUpload.updateOne({ uploadId: upload.uploadId }, { $set: { status: 'expired', updatedAt: new Date() } });
+      report.expiredUploads += 1;
+    }
+
+    for (const multipart of await storage.listMultipartUploads('recordings/')) {
+      if (now - multipart.initiatedAt.getTime() > RECORDING_UPLOAD_TTL_MS) {
+        await storage.abortMultipartUpload(multipart.key, multipart.uploadId);
+        report.abortedMultipartUploads += 1;
+      }
+    }
+  } catch (error) {
+    uploadLogger.error(`Upload garbage collection failed: ${error.message}`);
+  }
+
+  if (fs.existsSync(RECORDING_TEMP_DIR)) {
+    for (const entry of fs.readdirSync(RECORDING_TEMP_DIR)) {
+      const filePath = path.join(RECORDING_TEMP_DIR, entry);
+      try {
+        const stats = fs.statSync(filePath);
+        if (stats.isFile() && now - stats.mtimeMs > RECORDING_TEMP_MAX_AGE_MS) {
+          fs.unlinkSync(filePath);
+          report.deletedTempFiles += 1;
+        }
+      } catch (error) {
+        uploadLogger.warn(`Could not clean temp file ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  uploadLogger.info(`Upload garbage collection: ${JSON.stringify(report)}`);
+  return report;
+}
+
+module.exports = {
+  initiateUpload,
+  uploadPart,
+  getUploadStatus,
+  completeUpload,
+  abortUpload,
+  abortRoomUploads,
+  collectGarbage,
+  uploadLogger
+};
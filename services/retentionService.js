@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const Room = require('../models/Room');
+const RetentionPolicy = require('../models/RetentionPolicy');
+const PurgeReport = require('../models/PurgeReport');
+const storage = require('./storage');
+const { ERROR_CODES } = require('../protocol/signaling');
+const {
+  RECORDING_RETENTION_DEFAULT_DAYS,
+  RECORDING_RETENTION_RUN_TIMEOUT_MS
+} = require('../config/recording');
+
+const retentionLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/retention.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const failure = (status, code, error) => ({ success: false, status, code, error });
+
+const toPolicy = (policy) => ({
+  policyId: policy.id,
+  organizationId: policy.organizationId,
+  roomType: policy.roomType,
+  retentionDays: policy.retentionDays,
+  description: policy.description,
+  updatedBy: policy.updatedBy,
+  createdAt: policy.createdAt,
+  updatedAt: policy.updatedAt
+});
+
+const appliedPolicy = (policy) => ({
+  policyId: policy.id || null,
+  organizationId: policy.organizationId,
+  roomType: policy.roomType,
+  retentionDays: policy.retentionDays
+});
+
+// The most specific matching policy wins: organisation and room type, then organisation alone,
+// then room type alone, then a catch-all policy, then RECORDING_RETENTION_DEFAULT_DAYS.
+function resolvePolicy(policies, room) {
+  let best = null;
+  let bestScore = -1;
+  policies.forEach(policy => {
+    if (policy.organizationId !== null && policy.organizationId !== room.organizationId) return;
+    if (policy.roomType !== null && policy.roomType !== room.roomType) return;
+    const score = (policy.organizationId !== null ? 2 : 0) + (policy.roomType !== null ? 1 : 0);
+    if (score > bestScore) {
+      best = policy;
+      bestScore = score;
+    }
+  });
+  if (best) return appliedPolicy(best);
+  if (RECORDING_RETENTION_DEFAULT_DAYS > 0) {
+    return { policyId: null, organizationId: null, roomType: null, retentionDays: RECORDING_RETENTION_DEFAULT_DAYS };
+  }
+  return null;
+}
+
+async function listPolicies() {
+  try {
+    const policies = await RetentionPolicy.find({}).sort({ organizationId: 1, roomType: 1 });
+    return { success: true, data: { policies: policies.map(toPolicy), defaultRetentionDays: RECORDING_RETENTION_DEFAULT_DAYS } };
+  } catch (error) {
+    retentionLogger.error(`Retention policy list failed: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, 'Could not load retention policies');
+  }
+}
+
+// Policies are keyed by their scope; saving one for an existing scope replaces its retention period.
+async function savePolicy({ organizationId = null, roomType = null, retentionDays, description = null }, updatedBy) {
+  try {
+    const now = new Date();
+    let policy = await RetentionPolicy.findOne({ organizationId, roomType });
+    if (policy) {
+      Object.assign(policy, { retentionDays, description, updatedBy, updatedAt: now });
+      await policy.save();
+    } else {
+      policy = await RetentionPolicy.create({ organizationId, roomType, retentionDays, description, updatedBy, createdAt: now, updatedAt: now });
+    }
+    retentionLogger.info(`Retention policy saved by ${updatedBy}: ${JSON.stringify(appliedPolicy(policy))}`);
+    return { success: true, data: toPolicy(policy) };
+  } catch (error) {
+    retentionLogger.error(`Retention policy save failed: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, 'Could not save retention policy');
+  }
+}
+
+async function deletePolicy(policyId, deletedBy) {
+  try {
+    const policy = await RetentionPolicy.findById(policyId);
+    if (!policy) return failure(404, ERROR_CODES.NOT_FOUND, 'Retention policy not found');
+
+    await RetentionPolicy.deleteOne({ _id: policy._id });
+    retentionLogger.info(`Retention policy deleted by ${deletedBy}: ${JSON.stringify(appliedPolicy(policy))}`);
+    return { success: true, data: toPolicy(policy) };
+  } catch (error) {
+    retentionLogger.error(`Retention policy delete failed: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, 'Could not delete retention policy');
+  }
+}
+
+const toLegalHold = (roomId, recordingId, hold) => ({
+  roomId,
+  recordingId,
+  active: hold.active,
+  reason: hold.reason,
+  placedBy: hold.placedBy,
+  placedAt: hold.placedAt,
+  releasedBy: hold.releasedBy,
+  releasedAt: hold.releasedAt
+});
+
+// Holds go on a whole room (recordingId null) or on one recording.
+async function setLegalHold(roomId, recordingId, active, { reason = null, performedBy }) {
+  try {
+    const room = await Room.findOne({ roomId });
+    if (!room) return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+
+    const target = recordingId ? room.findCallRecording(recordingId) : room;
+    if (!target) return failure(404, ERROR_CODES.NOT_FOUND, 'Recording not found');
+    if (recordingId && target.purgedAt) {
+      return failure(410, ERROR_CODES.RECORDING_UNAVAILABLE, 'Recording has already been purged');
+    }
+
+    if (active) {
+      room.placeLegalHold(target, reason, performedBy);
+    } else if (target.legalHold && target.legalHold.active) {
+      room.releaseLegalHold(target, performedBy);
+    } else {
+      return failure(409, ERROR_CODES.INVALID_MESSAGE, 'No legal hold is in place');
+    }
+    room.updatedAt = new Date();
+    await room.save();
+
+    const scope = recordingId ? `recording ${recordingId} in ${roomId}` : `room ${roomId}`;
+    retentionLogger.info(`Legal hold ${active ? 'placed on' : 'released from'} ${scope} by ${performedBy}${reason ? `: ${reason}` : ''}`);
+    return { success: true, data: toLegalHold(roomId, recordingId || null, target.legalHold) };
+  } catch (error) {
+    retentionLogger.error(`Legal hold update failed for ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, 'Could not update legal hold');
+  }
+}
+
+const storedKeysOf = (recording) => [
+  recording.s3Key,
+  ...recording.renditions.map(r => r.s3Key),
+  recording.transcriptKey
+].filter(Boolean);
+
+// Deletes the original, its renditions and the archived transcript. Throws on the first failure
+// so the caller keeps its record of the recording and can retry.
+async function deleteRecordingObjects(recording) {
+  const deletedKeys = storedKeysOf(recording);
+  for (const key of deletedKeys) {
+    await storage.delete(key, { bucket: recording.s3Bucket });
+  }
+  return deletedKeys;
+}
+
+// Re-reads the room so a hold placed since the run listed it is still honoured. Objects are
+// deleted before the entry is marked, so a failure part-way leaves it to be retried next run.
+async function purgeRecording(roomId, recordingId, runId) {
+  const room = await Room.findOne({ roomId });
+  const recording = room && room.findCallRecording(recordingId);
+  if (!recording || recording.purgedAt) return null;
+  if (room.isOnLegalHold(recording)) return { skipped: 'legal-hold' };
+
+  const deletedKeys = await deleteRecordingObjects(recording);
+
+  recording.purgedAt = new Date();
+  recording.purgeRunId = runId;
+  recording.renditions.forEach(r => {
+    r.s3Key = null;
+  });
+  recording.transcriptKey = null;
+  recording.MedicaltxtURL = null;
+  room.updatedAt = new Date();
+  await room.save();
+  return { deletedKeys };
+}
+
+const holdDetail = (room, recording) => {
+  const hold = room.legalHold && room.legalHold.active ? room.legalHold : recording.legalHold;
+  return `${hold === room.legalHold ? 'room' : 'recording'} hold by ${hold.placedBy}${hold.reason ? `: ${hold.reason}` : ''}`;
+};
+
+async function executeRun(report) {
+  const now = Date.now();
+  const outcome = { roomsExamined: 0, recordingsExamined: 0, purged: [], skipped: [], failed: [] };
+
+  try {
+    const policies = await RetentionPolicy.find({});
+    const rooms = await Room.find({ 'callRecordings.0': { $exists: true } })
+      .select('roomId organizationId roomType legalHold callRecordings');
+
+    for (const room of rooms) {
+      const policy = resolvePolicy(policies, room);
+      if (!policy) continue;
+      outcome.roomsExamined += 1;
+
+      const cutoff = now - policy.retentionDays * DAY_MS;
+      for (const recording of room.callRecordings.filter(r => !r.purgedAt)) {
+        outcome.recordingsExamined += 1;
+        if (recording.uploadedAt.getTime() >= cutoff) continue;
+
+        const entry = { roomId: room.roomId, recordingId: recording.id };
+        if (room.isOnLegalHold(recording)) {
+          outcome.skipped.push({ ...entry, reason: 'legal-hold', detail: holdDetail(room, recording) });
+          continue;
+        }
+        // A transcode still running would upload its output after the purge.
+        if (recording.renditions.some(r => r.status === 'processing')) {
+          outcome.skipped.push({ ...entry, reason: 'processing', detail: null });
+          continue;
+        }
+
+        const purged = {
+          ...entry,
+          fileName: recording.fileName,
+          s3Bucket: recording.s3Bucket,
+          deletedKeys: storedKeysOf(recording),
+          uploadedAt: recording.uploadedAt,
+          expiredAt: new Date(recording.uploadedAt.getTime() + policy.retentionDays * DAY_MS),
+          policy
+        };
+        if (report.dryRun) {
+          outcome.purged.push(purged);
+          continue;
+        }
+
+        try {
+          const result = await purgeRecording(room.roomId, recording.id, report.runId);
+          if (!result) continue;
+          if (result.skipped) {
+            outcome.skipped.push({ ...entry, reason: result.skipped, detail: 'hold placed during the run' });
+            continue;
+          }
+          outcome.purged.push({ ...purged, deletedKeys: result.deletedKeys });
+          retentionLogger.info(`Recording purged: ${recording.id} in ${room.roomId} (${policy.retentionDays} days, run ${report.runId})`);
+        } catch (error) {
+          outcome.failed.push({ ...entry, error: error.message });
+          retentionLogger.error(`Recording purge failed: ${recording.id} in ${room.roomId}: ${error.message}`);
+        }
+      }
+    }
+
+    await PurgeReport.updateOne({ runId: report.runId }, {
+      $set: { ...outcome, status: 'completed', completedAt: new Date() }
+    });
+    retentionLogger.info(`Purge run ${report.runId}${report.dryRun ? ' (dry run)' : ''} completed: ` +
+      `${outcome.purged.length} purged, ${outcome.skipped.length} skipped, ${outcome.failed.length} failed`);
+  } catch (error) {
+    retentionLogger.error(`Purge run ${report.runId} failed: ${error.message}`);
+    await PurgeReport.updateOne({ runId: report.runId }, {
+      $set: { ...outcome, status: 'failed', error: error.message, completedAt: new Date() }
+    }).catch(saveError => retentionLogger.error(`Could not save purge report ${report.runId}: ${saveError.message}`));
+  }
+}
+
+/**
+ * Starts a purge run in the background and returns its report id. Only one run may be in progress
+ * across all nodes (enforced by a unique index on running reports); one that has been running for
+ * longer than RECORDING_RETENTION_RUN_TIMEOUT_MS is marked failed so the next can start.
+ */
+async function startPurgeRun({ trigger, triggeredBy, dryRun = false }) {
+  let report;
+  try {
+    await PurgeReport.updateMany(
+      { status: 'running', startedAt: { $lt: new Date(Date.now() - RECORDING_RETENTION_RUN_TIMEOUT_MS) } },
+      { $set: { status: 'failed', error: 'Run did not finish', completedAt: new Date() } }
+    );
+    const policies = await RetentionPolicy.find({});
+    report = await PurgeReport.create({
+      runId: crypto.randomBytes(16).toString('hex'),
+      trigger,
+      triggeredBy,
+      dryRun,
+      defaultRetentionDays: RECORDING_RETENTION_DEFAULT_DAYS,
+      policies: policies.map(appliedPolicy),
+      startedAt: new Date()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return failure(409, ERROR_CODES.INVALID_MESSAGE, 'A purge run is already in progress');
+    }
+    retentionLogger.error(`Purge run could not start: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, 'Could not start purge run');
+  }
+
+  retentionLogger.info(`Purge run ${report.runId} started (${trigger} by ${triggeredBy}${dryRun ? ', dry run' : ''})`);
+  executeRun(report);
+  return { success: true, data: { runId: report.runId, status: report.status, dryRun, startedAt: report.startedAt } };
+}
+
+async function runScheduledPurge() {
+  const result = await startPurgeRun({ trigger: 'schedule', triggeredBy: 'scheduler' });
+  if (!result.success && result.status !== 409) {
+    retentionLogger.error(`Scheduled purge run failed to start: ${result.error}`);
+  }
+  return result;
+}
+
+const toReportSummary = (report) => ({
+  runId: report.runId,
+  trigger: report.trigger,
+  triggeredBy: report.triggeredBy,
+  dryRun: report.dryRun,
+  status: report.status,
+  purgedCount: report.purged.length,
+  skippedCount: report.skipped.length,
+  failedCount: report.failed.length,
+  startedAt: report.startedAt,
+  completedAt: report.completedAt
+});
+
+async function listPurgeReports({ limit = 50, skip = 0 } = {}) {
+  try {
+    const reports = await PurgeReport.find({}).sort({ startedAt: -1 }).skip(skip).limit(limit);
+    const total = await PurgeReport.countDocuments({});
+    return { success: true, data: { reports: reports.map(toReportSummary), total } };
+  } catch (error) {
+    retentionLogger.error(`Purge report list failed: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, 'Could not load purge reports');
+  }
+}
+
+async function getPurgeReport(runId) {
+  try {
+    const report = await PurgeReport.findOne({ runId });
+    if (!report) return failure(404, ERROR_CODES.NOT_FOUND, 'Purge report not found');
+    return { success: true, data: report.toJSON() };
+  } catch (error) {
+    retentionLogger.error(`Purge report load failed: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, 'Could not load purge report');
+  }
+}
+
+module.exports = {
+  resolvePolicy,
+  listPolicies,
+  savePolicy,
+  deletePolicy,
+  setLegalHold,
+  startPurgeRun,
+  runScheduledPurge,
+  listPurgeReports,
+  getPurgeReport,
+  deleteRecordingObjects,
+  retentionLogger
+};
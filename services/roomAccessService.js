@@ -0,0 +1,121 @@
+const winston = require('winston');
+const Room = require('../models/Room');
+const { verifySecret } = require('./authService');
+const { ERROR_CODES } = require('../protocol/signaling');
+const { PIN_MAX_ATTEMPTS, PIN_ATTEMPT_WINDOW_MS, PIN_LOCKOUT_MS } = require('../config/rooms');
+
+const roomAccessLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/room-access.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const failure = (status, code, error, extra = {}) => ({ success: false, status, code, error, ...extra });
+
+const notLocked = (now) => ({
+  $or: [{ 'pinAttempts.lockedUntil': null }, { 'pinAttempts.lockedUntil': { $lte: new Date(now) } }]
+});
+
+const lockedFailure = (retryAfterMs, extra = {}) => failure(429, ERROR_CODES.PIN_LOCKED, 'Too many wrong PIN attempts; try again later', {
+  retryAfterMs,
+  ...extra
+});
+
+/**
+ * Counts a wrong PIN with atomic updates only, so parallel guesses (over the socket and REST at
+ * once) each cost an attempt. Whichever request takes the count to PIN_MAX_ATTEMPTS locks the room.
+ */
+async function recordWrongPin(roomId, participantId, now) {
+  // A new window starts once the last one has run out; a concurrent request sees it already moved on.
+  await Room.updateOne({
+    roomId,
+    $or: [
+      { 'pinAttempts.windowStartedAt': null },
+      { 'pinAttempts.windowStartedAt': { $lt: new Date(now - PIN_ATTEMPT_WINDOW_MS) } }
+    ]
+  }, {
+    $set: { 'pinAttempts.failures': 0, 'pinAttempts.windowStartedAt': new Date(now) }
+  });
+
+  const counted = await Room.findOneAndUpdate(
+    { roomId, ...notLocked(now) },
+    { $inc: { 'pinAttempts.failures': 1 } },
+    { new: true, projection: { pinAttempts: 1 } }
+  );
+  if (!counted) {
+    // Another request locked the room in between.
+    return lockedFailure(PIN_LOCKOUT_MS);
+  }
+
+  const failures = counted.pinAttempts.failures;
+  if (failures >= PIN_MAX_ATTEMPTS) {
+    const locked = await Room.updateOne({ roomId, ...notLocked(now) }, {
+      $set: {
+        'pinAttempts.failures': 0,
+        'pinAttempts.windowStartedAt': null,
+        'pinAttempts.lockedUntil': new Date(now + PIN_LOCKOUT_MS)
+      }
+    });
+    if (locked.modifiedCount === 0) {
+      return lockedFailure(PIN_LOCKOUT_MS);
+    }
+    roomAccessLogger.warn(`Room PIN locked: ${roomId} after ${failures} failures (last by ${participantId})`);
+    return lockedFailure(PIN_LOCKOUT_MS, { lockedOut: true });
+  }
+
+  roomAccessLogger.info(`Wrong room PIN: ${roomId} by ${participantId} (${failures}/${PIN_MAX_ATTEMPTS})`);
+  return failure(403, ERROR_CODES.INVALID_PIN, 'Incorrect room PIN', {
+    remainingAttempts: PIN_MAX_ATTEMPTS - failures
+  });
+}
+
+// Checks a room PIN against the per-room failure counter. A lockout is reported with
+// `lockedOut: true` on the failure that triggered it so callers can write it to their audit log.
+async function verifyRoomPin(roomId, pin, participantId) {
+  try {
+    const room = await Room.findOne({ roomId }).select('+pinHash');
+    if (!room || !room.pinHash) {
+      return { success: true, data: { pinRequired: false } };
+    }
+
+    const now = Date.now();
+    const attempts = room.pinAttempts || {};
+    const lockedUntil = attempts.lockedUntil ? new Date(attempts.lockedUntil).getTime() : 0;
+    if (lockedUntil > now) {
+      return lockedFailure(lockedUntil - now);
+    }
+
+    if (!pin) {
+      return failure(401, ERROR_CODES.PIN_REQUIRED, 'This room requires a PIN');
+    }
+
+    if (verifySecret(pin, room.pinHash)) {
+      if (attempts.failures > 0 || lockedUntil) {
+        await Room.updateOne({ roomId }, {
+          $set: { 'pinAttempts.failures': 0, 'pinAttempts.windowStartedAt': null, 'pinAttempts.lockedUntil': null }
+        });
+      }
+      return { success: true, data: { pinRequired: true } };
+    }
+
+    return await recordWrongPin(roomId, participantId, now);
+  } catch (error) {
+    roomAccessLogger.error(`PIN check failed for ${roomId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+module.exports = {
+  verifyRoomPin,
+  roomAccessLogger
+};
@@ -0,0 +1,345 @@
+const EventEmitter = require('events');
+const mediasoup = require('mediasoup');
+const winston = require('winston');
+
+const sfuLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/sfu.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const MEDIA_CODECS = [
+  {
+    kind: 'audio',
+    mimeType: 'audio/opus',
+    clockRate: 48000,
+    channels: 2
+  },
+  {
+    kind: 'video',
+    mimeType: 'video/VP8',
+    clockRate: 90000,
+    parameters: {
+      'x-google-start-bitrate': 1000
+    }
+  },
+  {
+    kind: 'video',
+    mimeType: 'video/H264',
+    clockRate: 90000,
+    parameters: {
+      'packetization-mode': 1,
+      'profile-level-id': '42e01f',
+      'level-asymmetry-allowed': 1
+    }
+  }
+];
+
+const LISTEN_IP = process.env.MEDIASOUP_LISTEN_IP || '0.0.0.0';
+const ANNOUNCED_ADDRESS = process.env.MEDIASOUP_ANNOUNCED_ADDRESS || undefined;
+
+const WEBRTC_TRANSPORT_OPTIONS = {
+  listenInfos: [
+    { protocol: 'udp', ip: LISTEN_IP, announcedAddress: ANNOUNCED_ADDRESS },
+    { protocol: 'tcp', ip: LISTEN_IP, announcedAddress: ANNOUNCED_ADDRESS }
+  ],
+  enableUdp: true,
+  enableTcp: true,
+  preferUdp: true,
+  initialAvailableOutgoingBitrate: 1000000
+};
+
+// Emits 'consumer-closed' when a producer goes away so the socket layer can tell the consuming peer.
+const sfuEvents = new EventEmitter();
+
+// roomId -> { router, peers: Map<participantId, { transports, producers, consumers }> }
+const sfuRooms = new Map();
+
+let workerPromise = null;
+
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = mediasoup.createWorker({
+      logLevel: process.env.MEDIASOUP_LOG_LEVEL || 'warn',
+      rtcMinPort: parseInt(process.env.MEDIASOUP_RTC_MIN_PORT, 10) || 40000,
+      rtcMaxPort: parseInt(process.env.MEDIASOUP_RTC_MAX_PORT, 10) || 49999
+    }).then(worker => {
+      sfuLogger.info(`mediasoup worker started: pid ${worker.pid}`);
+      worker.on('died', (error) => {
+        sfuLogger.error(`mediasoup worker died: ${error ? error.message : 'unknown'}`);
+        workerPromise = null;
+        sfuRooms.clear();
+      });
+      return worker;
+    }).catch(error => {
+      workerPromise = null;
+      sfuLogger.error(`mediasoup worker failed to start: ${error.message}`);
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+async function getOrCreateRoom(roomId) {
+  let sfuRoom = sfuRooms.get(roomId);
+  if (!sfuRoom) {
+    const worker = await getWorker();
+    // Another join may have created the router while we were waiting on the worker.
+    sfuRoom = sfuRooms.get(roomId);
+    if (sfuRoom) return sfuRoom;
+
+    const router = await worker.createRouter({ mediaCodecs: MEDIA_CODECS });
+    sfuRoom = { router, peers: new Map() };
+    sfuRooms.set(roomId, sfuRoom);
+    sfuLogger.info(`Router created for room ${roomId}: ${router.id}`);
+  }
+  return sfuRoom;
+}
+
+function getPeer(sfuRoom, participantId) {
+  let peer = sfuRoom.peers.get(participantId);
+  if (!peer) {
+    peer = {
+      transports: new Map(),
+      producers: new Map(),
+      consumers: new Map()
+    };
+    sfuRoom.peers.set(participantId, peer);
+  }
+  return peer;
+}
+
+function getExistingPeer(roomId, participantId) {
+  const sfuRoom = sfuRooms.get(roomId);
+  if (!sfuRoom) {
+    throw new Error(`No media router for room ${roomId}`);
+  }
+  const peer = sfuRoom.peers.get(participantId);
+  if (!peer) {
+    throw new Error(`Participant ${participantId} has no media session in room ${roomId}`);
+  }
+  return { sfuRoom, peer };
+}
+
+function getTransport(peer, transportId) {
+  const transport = peer.transports.get(transportId);
+  if (!transport) {
+    throw new Error(`Transport not found: ${transportId}`);
+  }
+  return transport;
+}
+
+async function getRouterRtpCapabilities(roomId) {
+  const sfuRoom = await getOrCreateRoom(roomId);
+  return sfuRoom.router.rtpCapabilities;
+}
+
+async function createWebRtcTransport(roomId, participantId, direction) {
+  const sfuRoom = await getOrCreateRoom(roomId);
+  const peer = getPeer(sfuRoom, participantId);
+
+  const transport = await sfuRoom.router.createWebRtcTransport({
+    ...WEBRTC_TRANSPORT_OPTIONS,
+    appData: { participantId, direction }
+  });
+
+  transport.on('dtlsstatechange', (state) => {
+    if (state === 'closed' || state === 'failed') {
+      sfuLogger.info(`Transport ${transport.id} of ${participantId} in ${roomId} DTLS ${state}`);
+      transport.close();
+    }
+  });
+  transport.observer.on('close', () => {
+    peer.transports.delete(transport.id);
+  });
+
+  peer.transports.set(transport.id, transport);
+  sfuLogger.info(`Transport created: ${transport.id} (${direction}) for ${participantId} in ${roomId}`);
+
+  return {
+    id: transport.id,
+    iceParameters: transport.iceParameters,
+    iceCandidates: transport.iceCandidates,
+    dtlsParameters: transport.dtlsParameters
+  };
+}
+
+async function connectTransport(roomId, participantId, transportId, dtlsParameters) {
+  const { peer } = getExistingPeer(roomId, participantId);
+  const transport = getTransport(peer, transportId);
+  await transport.connect({ dtlsParameters });
+  sfuLogger.info(`Transport connected: ${transportId} for ${participantId} in ${roomId}`);
+}
+
+async function produce(roomId, participantId, transportId, kind, rtpParameters, appData = {}) {
+  const { peer } = getExistingPeer(roomId, participantId);
+  const transport = getTransport(peer, transportId);
+
+  const producer = await transport.produce({
+    kind,
+    rtpParameters,
+    appData: { ...appData, participantId }
+  });
+
+  producer.observer.on('close', () => {
+    peer.producers.delete(producer.id);
+  });
+
+  peer.producers.set(producer.id, producer);
+  sfuLogger.info(`Producer created: ${producer.id} (${kind}) by ${participantId} in ${roomId}`);
+
+  return { producerId: producer.id, kind: producer.kind };
+}
+
+async function consume(roomId, participantId, transportId, producerId, rtpCapabilities) {
+  const { sfuRoom, peer } = getExistingPeer(roomId, participantId);
+  const transport = getTransport(peer, transportId);
+
+  if (!sfuRoom.router.canConsume({ producerId, rtpCapabilities })) {
+    throw new Error(`Cannot consume producer ${producerId} with the given RTP capabilities`);
+  }
+
+  // Consumers start paused; the client resumes once its track is wired up.
+  const consumer = await transport.consume({
+    producerId,
+    rtpCapabilities,
+    paused: true
+  });
+
+  consumer.on('producerclose', () => {
+    consumer.close();
+    sfuEvents.emit('consumer-closed', {
+      roomId,
+      participantId,
+      consumerId: consumer.id,
+      producerId
+    });
+  });
+  consumer.observer.on('close', () => {
+    peer.consumers.delete(consumer.id);
+  });
+
+  peer.consumers.set(consumer.id, consumer);
+  sfuLogger.info(`Consumer created: ${consumer.id} of ${producerId} for ${participantId} in ${roomId}`);
+
+  return {
+    consumerId: consumer.id,
+    producerId,
+    kind: consumer.kind,
+    rtpParameters: consumer.rtpParameters,
+    type: consumer.type
+  };
+}
+
+async function resumeConsumer(roomId, participantId, consumerId) {
+  const { peer } = getExistingPeer(roomId, participantId);
+  const consumer = peer.consumers.get(consumerId);
+  if (!consumer) {
+    throw new Error(`Consumer not found: ${consumerId}`);
+  }
+  await consumer.resume();
+}
+
+function closeProducer(roomId, participantId, producerId) {
+  const { peer } = getExistingPeer(roomId, participantId);
+  const producer = peer.producers.get(producerId);
+  if (!producer) {
+    throw new Error(`Producer not found: ${producerId}`);
+  }
+  producer.close();
+  sfuLogger.info(`Producer closed: ${producerId} by ${participantId} in ${roomId}`);
+}
+
+function getProducers(roomId, excludeParticipantId) {
+  const sfuRoom = sfuRooms.get(roomId);
+  if (!sfuRoom) return [];
+
+  const producers = [];
+  sfuRoom.peers.forEach((peer, participantId) => {
+    if (participantId === excludeParticipantId) return;
+    peer.producers.forEach(producer => {
+      producers.push({ producerId: producer.id, participantId, kind: producer.kind });
+    });
+  });
+  return producers;
+}
+
+// Recording taps send one producer's RTP as plain RTP to a local receiver (ffmpeg). The consumer
+// starts paused so the caller can resume it once the receiver is listening.
+async function createRecordingTap(roomId, producerId, { ip, rtpPort, rtcpPort }) {
+  const sfuRoom = sfuRooms.get(roomId);
+  if (!sfuRoom) {
+    throw new Error(`No media router for room ${roomId}`);
+  }
+
+  const transport = await sfuRoom.router.createPlainTransport({
+    listenInfo: { protocol: 'udp', ip: '127.0.0.1' },
+    rtcpMux: false,
+    comedia: false
+  });
+
+  try {
+    await transport.connect({ ip, port: rtpPort, rtcpPort });
+    const consumer = await transport.consume({
+      producerId,
+      rtpCapabilities: sfuRoom.router.rtpCapabilities,
+      paused: true
+    });
+    sfuLogger.info(`Recording tap created: ${consumer.id} of ${producerId} in ${roomId} -> ${ip}:${rtpPort}`);
+    return { transport, consumer };
+  } catch (error) {
+    transport.close();
+    throw error;
+  }
+}
+
+function removePeer(roomId, participantId) {
+  const sfuRoom = sfuRooms.get(roomId);
+  if (!sfuRoom) return [];
+
+  const peer = sfuRoom.peers.get(participantId);
+  if (!peer) return [];
+
+  const closedProducerIds = Array.from(peer.producers.keys());
+  // Closing a transport closes its producers and consumers too.
+  peer.transports.forEach(transport => transport.close());
+  sfuRoom.peers.delete(participantId);
+
+  sfuLogger.info(`Media session removed for ${participantId} in ${roomId}`);
+  return closedProducerIds;
+}
+
+function closeRoom(roomId) {
+  const sfuRoom = sfuRooms.get(roomId);
+  if (!sfuRoom) return;
+
+  sfuRoom.router.close();
+  sfuRooms.delete(roomId);
+  sfuLogger.info(`Router closed for room ${roomId}`);
+}
+
+module.exports = {
+  getRouterRtpCapabilities,
+  createWebRtcTransport,
+  connectTransport,
+  produce,
+  consume,
+  resumeConsumer,
+  closeProducer,
+  getProducers,
+  createRecordingTap,
+  removePeer,
+  closeRoom,
+  sfuEvents,
+  sfuLogger
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// Integrity digests are hex SHA-256 everywhere we store them; S3 takes the same digest in base64.
+
+const sha256Of = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const toBase64 = (hex) => Buffer.from(hex, 'hex').toString('base64');
+
+// Passes bytes through unchanged; `sha256` is set once the last chunk has gone by.
+function createDigestStream() {
+  const hash = crypto.createHash('sha256');
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      stream.sha256 = hash.digest('hex');
+      callback();
+    }
+  });
+  stream.sha256 = null;
+  return stream;
+}
+
+async function hashStream(source) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of source) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Same code S3 answers with when the bytes it received do not match the checksum sent with them.
+const checksumMismatch = (key, expected, actual) => Object.assign(
+  new Error(`Checksum mismatch for ${key}: expected ${expected}, got ${actual}`),
+  { code: 'BadDigest' }
+);
+
+module.exports = {
+  sha256Of,
+  toBase64,
+  createDigestStream,
+  hashStream,
+  checksumMismatch
+};
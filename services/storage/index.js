@@ -0,0 +1,66 @@
+const winston = require('winston');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+const { hashStream } = require('./checksum');
+
+const storageLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/storage.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+// Where recordings, renditions, attachments and transcripts are kept. STORAGE_DRIVER=local keeps
+// everything on this server's disk (STORAGE_LOCAL_DIR, which all nodes must share);
+// s3-compatible talks to a self-hosted endpoint such as MinIO. Objects are always private.
+const driver = process.env.STORAGE_DRIVER || 's3';
+const bucket = process.env.STORAGE_BUCKET || 'hcishare';
+
+let storage;
+if (driver === 's3') {
+  storage = createS3Storage({
+    driver,
+    bucket,
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+  });
+} else if (driver === 's3-compatible') {
+  if (!process.env.STORAGE_ENDPOINT) {
+    throw new Error('STORAGE_ENDPOINT is required for STORAGE_DRIVER=s3-compatible');
+  }
+  storage = createS3Storage({
+    driver,
+    bucket,
+    endpoint: process.env.STORAGE_ENDPOINT,
+    region: process.env.STORAGE_REGION || 'us-east-1',
+    accessKeyId: process.env.STORAGE_ACCESS_KEY_ID,
+    secretAccessKey: process.env.STORAGE_SECRET_ACCESS_KEY
+  });
+} else if (driver === 'local') {
+  storage = createLocalStorage({
+    bucket,
+    rootDir: process.env.STORAGE_LOCAL_DIR || 'storage',
+    // Signed URLs are relative to this server unless a public base URL is configured.
+    publicUrl: (process.env.STORAGE_PUBLIC_URL || '').replace(/\/$/, ''),
+    urlSecret: process.env.STORAGE_URL_SECRET
+  });
+} else {
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+storage.logger = storageLogger;
+
+// Reads the stored object back and returns its hex SHA-256, whichever driver holds it.
+storage.hashObject = async (key, options) => hashStream(await storage.getStream(key, options));
+
+module.exports = storage;
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { once } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createDigestStream, checksumMismatch } = require('./checksum');
+
+const BUCKET_PATTERN = /^[a-z0-9][a-z0-9.-]{0,62}$/;
+
+// A failed write can leave the source stream unread; close it so the caller can delete its file.
+async function releaseBody(body) {
+  if (body && typeof body.destroy === 'function' && !body.closed) {
+    body.destroy();
+    await once(body, 'close');
+  }
+}
+
+const notFound = (message) => Object.assign(new Error(message), { code: 'NoSuchKey' });
+
+// Objects on a local (or mounted network) filesystem, for installations that must keep data
+// on-premises. Signed URLs point at this server's /api/storage route, which checks the HMAC.
+function createLocalStorage({ bucket, rootDir, publicUrl, urlSecret }) {
+  const root = path.resolve(rootDir);
+  const multipartRoot = path.join(root, '.multipart');
+
+  const bucketDir = (name) => {
+    if (!BUCKET_PATTERN.test(name)) throw new Error(`Invalid bucket name: ${name}`);
+    return path.join(root, name);
+  };
+
+  // Keys are client-influenced (file names); never let one resolve outside its bucket.
+  const objectPath = (key, options = {}) => {
+    const dir = bucketDir(options.bucket || bucket);
+    const resolved = path.resolve(dir, key);
+    if (!resolved.startsWith(dir + path.sep)) throw new Error(`Invalid object key: ${key}`);
+    return resolved;
+  };
+
+  const uploadDir = (uploadId, options = {}) => {
+    if (!/^[a-f0-9]{32}$/.test(uploadId)) throw new Error(`Invalid upload id: ${uploadId}`);
+    return path.join(multipartRoot, options.bucket || bucket, uploadId);
+  };
+
+  const getUrlSecret = () => {
+    if (!urlSecret) throw new Error('STORAGE_URL_SECRET is not configured');
+    return urlSecret;
+  };
+
+  const sign = (bucketName, key, expires) => crypto
+    .createHmac('sha256', getUrlSecret())
+    .update(`${bucketName}/${key}:${expires}`)
+    .digest('base64url');
+
+  // Written beside the target and renamed, so readers never see a half-written object. A body that
+  // does not match the digest the caller expected is never renamed into place.
+  async function writeObject(target, body, expectedSha256 = null) {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const partial = `${target}.${crypto.randomBytes(6).toString('hex')}.partial`;
+    try {
+      const source = Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([body]) : body;
+      const digest = createDigestStream();
+      await pipeline(source, digest, fs.createWriteStream(partial));
+      if (expectedSha256 && digest.sha256 !== expectedSha256) {
+        throw checksumMismatch(path.basename(target), expectedSha256, digest.sha256);
+      }
+      await fs.promises.rename(partial, target);
+      return digest.sha256;
+    } catch (error) {
+      await releaseBody(body);
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    }
+  }
+
+  return {
+    driver: 'local',
+    bucket,
+
+    async put(key, body, { sha256 = null, ...options } = {}) {
+      const digest = await writeObject(objectPath(key, options), body, sha256);
+      return { key, bucket: options.bucket || bucket, sha256: digest };
+    },
+
+    async getStream(key, options) {
+      const target = objectPath(key, options);
+      try {
+        await fs.promises.access(target);
+      } catch (error) {
+        throw notFound(`Object not found: ${key}`);
+      }
+      return fs.createReadStream(target);
+    },
+
+    async delete(key, options) {
+      await fs.promises.rm(objectPath(key, options), { force: true });
+    },
+
+    getSignedUrl(key, { expiresIn, ...options } = {}) {
+      const bucketName = options.bucket || bucket;
+      objectPath(key, options);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${publicUrl}/api/storage/${bucketName}/${encodedKey}?expires=${expires}&signature=${sign(bucketName, key, expires)}`;
+    },
+
+    verifySignedUrl(bucketName, key, expires, signature) {
+      const expected = Buffer.from(sign(bucketName, key, expires));
+      const given = Buffer.from(String(signature || ''));
+      return Number(expires) * 1000 > Date.now() &&
+        expected.length === given.length &&
+        crypto.timingSafeEqual(expected, given);
+    },
+
+    getObjectUri() {
+      return null;
+    },
+
+    async createMultipartUpload(key, { contentType = null, ...options } = {}) {
+      objectPath(key, options);
+      const uploadId = crypto.randomBytes(16).toString('hex');
+      const dir = uploadDir(uploadId, options);
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, 'upload.json'), JSON.stringify({
+        key,
+        contentType,
+        initiatedAt: new Date().toISOString()
+      }));
+      return uploadId;
+    },
+
+    async uploadPart(key, uploadId, partNumber, body, size, { sha256 = null, ...options } = {}) {
+      const dir = uploadDir(uploadId, options);
+      if (!fs.existsSync(dir)) throw Object.assign(new Error('Upload not found'), { code: 'NoSuchUpload' });
+
+      const hash = crypto.createHash('md5');
+      const partHash = crypto.createHash('sha256');
+      let written = 0;
+      const digest = new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          partHash.update(chunk);
+          written += chunk.length;
+          callback(null, chunk);
+        }
+      });
+      const partPath = path.join(dir, String(partNumber));
+      try {
+        await pipeline(body, digest, fs.createWriteStream(partPath));
+      } catch (error) {
+        await releaseBody(body);
+        throw error;
+      }
+      if (written !== size) throw new Error(`Part ${partNumber} is ${written} bytes, expected ${size}`);
+      const partSha256 = partHash.digest('hex');
+      if (sha256 && partSha256 !== sha256) {
+        await fs.promises.rm(partPath, { force: true });
+        throw checksumMismatch(`${key} part ${partNumber}`, sha256, partSha256);
+      }
+      return `"${hash.digest('hex')}"`;
+    },
+
+    async completeMultipartUpload(key, uploadId, parts, options) {
+      const dir = uploadDir(uploadId, options);
+      const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+      async function* concatenate() {
+        for (const part of ordered) {
+          yield* fs.createReadStream(path.join(dir, String(part.partNumber)));
+        }
+      }
+      await writeObject(objectPath(key, options), Readable.from(concatenate()));
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    },
+
+    async abortMultipartUpload(key, uploadId, options) {
+      await fs.promises.rm(uploadDir(uploadId, options), { recursive: true, force: true });
+    },
+
+    async listMultipartUploads(prefix, options = {}) {
+      const dir = path.join(multipartRoot, options.bucket || bucket);
+      if (!fs.existsSync(dir)) return [];
+
+      const uploads = [];
+      for (const uploadId of await fs.promises.readdir(dir)) {
+        try {
+          const meta = JSON.parse(await fs.promises.readFile(path.join(dir, uploadId, 'upload.json'), 'utf8'));
+          if (meta.key.startsWith(prefix)) {
+            uploads.push({ key: meta.key, uploadId, initiatedAt: new Date(meta.initiatedAt) });
+          }
+        } catch (error) {
+          // A crash between mkdir and writing upload.json leaves an anonymous directory; treat it as ancient.
+          uploads.push({ key: prefix, uploadId, initiatedAt: new Date(0) });
+        }
+      }
+      return uploads;
+    }
+  };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,173 @@
+const { once } = require('events');
+const fs = require('fs');
+const { Readable, pipeline } = require('stream');
+const AWS = require('aws-sdk');
+const { toBase64, createDigestStream, checksumMismatch } = require('./checksum');
+
+// S3 only verifies a whole-object SHA-256 on a single PUT, which is limited to 5 GB.
+const SINGLE_PUT_MAX_BYTES = 5 * 1024 * 1024 * 1024;
+
+// A failed request can leave a file stream unread or open; close it so the caller can delete the file.
+async function releaseBody(body) {
+  if (body && typeof body.destroy === 'function' && !body.closed) {
+    body.destroy();
+    await once(body, 'close');
+  }
+}
+
+// Null for streams other than plain file streams, whose length cannot be known up front.
+function byteLength(body) {
+  if (Buffer.isBuffer(body)) return body.length;
+  if (typeof body === 'string') return Buffer.byteLength(body);
+  if (body instanceof fs.ReadStream && typeof body.path === 'string') return fs.statSync(body.path).size;
+  return null;
+}
+
+// AWS S3, or any S3-compatible service (MinIO, Ceph RGW, ...) when an endpoint is given.
+function createS3Storage({ driver, bucket, region, accessKeyId, secretAccessKey, endpoint = null }) {
+  const s3 = new AWS.S3({
+    accessKeyId,
+    secretAccessKey,
+    region,
+    signatureVersion: 'v4',
+    // Self-hosted endpoints rarely have per-bucket DNS names.
+    ...(endpoint ? { endpoint, s3ForcePathStyle: true } : {})
+  });
+
+  const target = (key, options = {}) => ({ Bucket: options.bucket || bucket, Key: key });
+
+  return {
+    driver,
+    bucket,
+
+    // When the caller knows the digest it is sent as the object's S3 checksum, so S3 itself rejects
+    // a body that arrives altered. Otherwise the digest is taken as the body streams up.
+    async put(key, body, { contentType, sha256 = null, ...options } = {}) {
+      try {
+        const contentLength = byteLength(body);
+        if (sha256 && contentLength !== null && contentLength <= SINGLE_PUT_MAX_BYTES) {
+          await s3.putObject({
+            ...target(key, options),
+            Body: body,
+            ContentType: contentType,
+            ContentLength: contentLength,
+            ChecksumSHA256: toBase64(sha256),
+            ACL: 'private'
+          }).promise();
+          return { key, bucket: options.bucket || bucket, sha256 };
+        }
+
+        const digest = createDigestStream();
+        const source = Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([body]) : body;
+        pipeline(source, digest, () => {});
+        await s3.upload({
+          ...target(key, options),
+          Body: digest,
+          ContentType: contentType,
+          ACL: 'private'
+        }).promise();
+        if (sha256 && digest.sha256 !== sha256) {
+          await s3.deleteObject(target(key, options)).promise();
+          throw checksumMismatch(key, sha256, digest.sha256);
+        }
+        return { key, bucket: options.bucket || bucket, sha256: digest.sha256 };
+      } finally {
+        await releaseBody(body);
+      }
+    },
+
+    async getStream(key, options) {
+      return s3.getObject(target(key, options)).createReadStream();
+    },
+
+    async delete(key, options) {
+      await s3.deleteObject(target(key, options)).promise();
+    },
+
+    getSignedUrl(key, { expiresIn, ...options } = {}) {
+      return s3.getSignedUrl('getObject', { ...target(key, options), Expires: expiresIn });
+    },
+
+    // Other AWS services (e.g. transcription) can only read objects that live in AWS itself.
+    getObjectUri(key, options = {}) {
+      return endpoint ? null : `s3://${options.bucket || bucket}/${key}`;
+    },
+
+    async createMultipartUpload(key, { contentType, ...options } = {}) {
+      const result = await s3.createMultipartUpload({
+        ...target(key, options),
+        ContentType: contentType,
+        ChecksumAlgorithm: 'SHA256',
+        ACL: 'private'
+      }).promise();
+      return result.UploadId;
+    },
+
+    async uploadPart(key, uploadId, partNumber, body, size, { sha256 = null, ...options } = {}) {
+      try {
+        const result = await s3.uploadPart({
+          ...target(key, options),
+          UploadId: uploadId,
+          PartNumber: partNumber,
+          Body: body,
+          ContentLength: size,
+          ...(sha256 ? { ChecksumSHA256: toBase64(sha256) } : {})
+        }).promise();
+        return result.ETag;
+      } finally {
+        await releaseBody(body);
+      }
+    },
+
+    async completeMultipartUpload(key, uploadId, parts, options) {
+      await s3.completeMultipartUpload({
+        ...target(key, options),
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts
+            .map(p => ({
+              ETag: p.etag,
+              PartNumber: p.partNumber,
+              ...(p.sha256 ? { ChecksumSHA256: toBase64(p.sha256) } : {})
+            }))
+            .sort((a, b) => a.PartNumber - b.PartNumber)
+        }
+      }).promise();
+    },
+
+    // An upload that is already gone is what aborting was for.
+    async abortMultipartUpload(key, uploadId, options) {
+      try {
+        await s3.abortMultipartUpload({ ...target(key, options), UploadId: uploadId }).promise();
+      } catch (error) {
+        if (error.code !== 'NoSuchUpload') throw error;
+      }
+    },
+
+    async listMultipartUploads(prefix, options = {}) {
+      const uploads = [];
+      let markers = {};
+      do {
+        const listing = await s3.listMultipartUploads({
+          Bucket: options.bucket || bucket,
+          Prefix: prefix,
+          ...markers
+        }).promise();
+        (listing.Uploads || []).forEach(u => uploads.push({
+          key: u.Key,
+          uploadId: u.UploadId,
+          initiatedAt: new Date(u.Initiated)
+        }));
+        markers = listing.IsTruncated
+          ? { KeyMarker: listing.NextKeyMarker, UploadIdMarker: listing.NextUploadIdMarker }
+          : null;
+      } while (markers);
+      return uploads;
+    },
+
+    // Exposed for S3-only maintenance scripts.
+    client: s3
+  };
+}
+
+module.exports = createS3Storage;
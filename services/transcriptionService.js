@@ -0,0 +1,274 @@
+const EventEmitter = require('events');
+const Room = require('../models/Room');
+const TranscriptionJob = require('../models/TranscriptionJob');
+const backplane = require('./backplane');
+const { checkMedicalScribeJobStatus, archiveTranscript, scribeLogger } = require('./medicalScribeService');
+const {
+  TRANSCRIPTION_CONCURRENCY,
+  TRANSCRIPTION_CHECK_INITIAL_DELAY_MS,
+  TRANSCRIPTION_CHECK_MAX_DELAY_MS,
+  TRANSCRIPTION_MAX_CONSECUTIVE_ERRORS,
+  TRANSCRIPTION_JOB_TIMEOUT_MS,
+  TRANSCRIPTION_LEASE_MS
+} = require('../config/transcription');
+
+// Emits 'transcription-status' whenever a job changes state; server.js pushes it to room admins and webhooks.
+const transcriptionEvents = new EventEmitter();
+
+// Status checks running on this node.
+let runningChecks = 0;
+
+const checkDelay = (checks) => Math.min(TRANSCRIPTION_CHECK_INITIAL_DELAY_MS * 2 ** checks, TRANSCRIPTION_CHECK_MAX_DELAY_MS);
+
+const toJobStatus = (job) => (job ? {
+  jobName: job.jobName,
+  status: job.status,
+  scribeStatus: job.scribeStatus,
+  checks: job.checks,
+  nextCheckAt: job.status === 'in-progress' ? job.nextCheckAt : null,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt
+} : null);
+
+// Carries no transcript URL: it is sent to subscriber URLs outside our control, and the transcript
+// is fetched through the API, which signs a short-lived link per request.
+const toStatusEvent = (job, changes = {}) => {
+  const current = { ...toJobStatus(job), ...changes };
+  return {
+    roomId: job.roomId,
+    recordingId: job.recordingId,
+    jobName: job.jobName,
+    status: current.status,
+    scribeStatus: current.scribeStatus,
+    error: current.error,
+    transcriptAvailable: current.status === 'completed',
+    updatedAt: new Date()
+  };
+};
+
+const emitStatus = (job, changes) => transcriptionEvents.emit('transcription-status', toStatusEvent(job, changes));
+
+// Called right after the scribe service accepted a job, so the worker follows it from here on.
+async function trackJob(roomId, recordingId, jobName, { scribeStatus = null, requestedBy = null } = {}) {
+  const job = await TranscriptionJob.create({
+    jobName,
+    roomId,
+    recordingId,
+    scribeStatus,
+    requestedBy,
+    nextCheckAt: new Date(Date.now() + TRANSCRIPTION_CHECK_INITIAL_DELAY_MS)
+  });
+  scribeLogger.info(`Transcription job tracked: ${jobName} for ${roomId}/${recordingId}`);
+  emitStatus(job);
+  return job;
+}
+
+const getJob = (jobName) => (jobName ? TranscriptionJob.findOne({ jobName }) : Promise.resolve(null));
+
+const listJobs = (roomId) => TranscriptionJob.find({ roomId });
+
+// Brings an in-progress job's next check forward to now; the worker picks it up on its next pass.
+async function requestCheck(jobName) {
+  await TranscriptionJob.updateOne(
+    { jobName, status: 'in-progress' },
+    { $set: { nextCheckAt: new Date(), updatedAt: new Date() } }
+  );
+  return getJob(jobName);
+}
+
+async function cancelJob(jobName, reason) {
+  if (!jobName) return;
+  const job = await TranscriptionJob.findOneAndUpdate({ jobName, status: 'in-progress' }, {
+    $set: { status: 'cancelled', error: reason, completedAt: new Date(), updatedAt: new Date() }
+  }, { new: true });
+  if (job) emitStatus(job);
+}
+
+async function finishJob(job, status, changes = {}) {
+  await TranscriptionJob.updateOne({ jobName: job.jobName }, {
+    $set: {
+      ...changes,
+      status,
+      lockedBy: null,
+      lockedUntil: new Date(0),
+      completedAt: new Date(),
+      updatedAt: new Date()
+    }
+  });
+  emitStatus(job, { ...changes, status });
+}
+
+// Only a change in what the scribe reports is announced; a routine check that finds the same status is not.
+async function rescheduleJob(job, changes = {}) {
+  const scribeStatusChanged = Boolean(changes.scribeStatus) && changes.scribeStatus !== job.scribeStatus;
+  await TranscriptionJob.updateOne({ jobName: job.jobName }, {
+    $set: {
+      consecutiveErrors: 0,
+      error: null,
+      ...changes,
+      checks: job.checks + 1,
+      nextCheckAt: new Date(Date.now() + checkDelay(job.checks + 1)),
+      lockedBy: null,
+      lockedUntil: new Date(0),
+      updatedAt: new Date()
+    }
+  });
+  if (scribeStatusChanged) emitStatus(job, changes);
+}
+
+async function recordError(job, error, changes = {}) {
+  const consecutiveErrors = job.consecutiveErrors + 1;
+  if (consecutiveErrors >= TRANSCRIPTION_MAX_CONSECUTIVE_ERRORS) {
+    scribeLogger.error(`Transcription job ${job.jobName} failed after ${consecutiveErrors} errors: ${error}`);
+    return finishJob(job, 'failed', { ...changes, consecutiveErrors, error });
+  }
+  scribeLogger.warn(`Transcription job ${job.jobName} check failed (${consecutiveErrors}/${TRANSCRIPTION_MAX_CONSECUTIVE_ERRORS}): ${error}`);
+  return rescheduleJob(job, { ...changes, consecutiveErrors, error });
+}
+
+// Loads the recording the job belongs to, or explains why the job no longer applies to it.
+async function loadRecording(job) {
+  const room = await Room.findOne({ roomId: job.roomId });
+  const recording = room && room.findCallRecording(job.recordingId);
+  if (!recording) return { reason: 'Recording no longer exists' };
+  if (recording.purgedAt) return { reason: 'Recording was purged under the retention policy' };
+  if (recording.MedicalScribeJobName !== job.jobName) return { reason: 'Transcription was cleared' };
+  return { room, recording };
+}
+
+/**
+ * Keeps the scribe's link on the recording first, then our own copy of the transcript. A failed
+ * copy throws so the job is retried; the link stays saved either way.
+ */
+async function saveTranscript(job, transcriptUrl) {
+  let { room, recording, reason } = await loadRecording(job);
+  if (reason) return reason;
+  if (recording.MedicaltxtURL !== transcriptUrl) {
+    recording.MedicaltxtURL = transcriptUrl;
+    await room.save();
+  }
+  if (recording.transcriptKey) return null;
+
+  const archived = await archiveTranscript(job.roomId, recording, transcriptUrl);
+  ({ room, recording, reason } = await loadRecording(job));
+  if (reason) return reason;
+  recording.transcriptKey = archived.key;
+  recording.transcriptSha256 = archived.sha256;
+  await room.save();
+  return null;
+}
+
+async function advanceJob(job) {
+  const { reason } = await loadRecording(job);
+  if (reason) {
+    scribeLogger.info(`Transcription job ${job.jobName} cancelled: ${reason}`);
+    return finishJob(job, 'cancelled', { error: reason });
+  }
+  if (Date.now() - job.createdAt.getTime() > TRANSCRIPTION_JOB_TIMEOUT_MS) {
+    scribeLogger.error(`Transcription job ${job.jobName} timed out`);
+    return finishJob(job, 'failed', { error: `No result after ${Math.round(TRANSCRIPTION_JOB_TIMEOUT_MS / 60000)} minutes` });
+  }
+
+  const result = await checkMedicalScribeJobStatus(job.jobName);
+  if (!result.success) {
+    return recordError(job, typeof result.error === 'string' ? result.error : JSON.stringify(result.error));
+  }
+
+  const scribeStatus = result.data.MedicalScribeJobStatus;
+  if (scribeStatus === 'FAILED') {
+    scribeLogger.error(`Medical Scribe job failed: ${job.jobName}`);
+    return finishJob(job, 'failed', { scribeStatus, error: result.data.FailureReason || 'Medical Scribe job failed' });
+  }
+  if (scribeStatus === 'COMPLETED' && result.data.MedicaltxtURL) {
+    const transcriptUrl = result.data.MedicaltxtURL;
+    try {
+      const cancelled = await saveTranscript(job, transcriptUrl);
+      if (cancelled) return finishJob(job, 'cancelled', { scribeStatus, error: cancelled });
+    } catch (error) {
+      return recordError(job, `Transcript could not be archived: ${error.message}`, { scribeStatus, transcriptUrl });
+    }
+    scribeLogger.info(`Transcription completed: ${job.jobName} for ${job.roomId}/${job.recordingId}`);
+    return finishJob(job, 'completed', { scribeStatus, transcriptUrl, consecutiveErrors: 0, error: null });
+  }
+  return rescheduleJob(job, { scribeStatus });
+}
+
+// Claims the most overdue job nobody else holds a lease on.
+function claimDueJob() {
+  const now = new Date();
+  return TranscriptionJob.findOneAndUpdate(
+    { status: 'in-progress', nextCheckAt: { $lte: now }, lockedUntil: { $lt: now } },
+    { $set: { lockedBy: backplane.nodeId, lockedUntil: new Date(now.getTime() + TRANSCRIPTION_LEASE_MS) } },
+    { new: true, sort: { nextCheckAt: 1 } }
+  );
+}
+
+/**
+ * Claims and checks due jobs until this node is at its concurrency limit. Called on an interval
+ * by server.js on every node; everything about a job lives in the collection, so jobs carry on
+ * after a restart, and one whose node died mid-check is picked up again once its lease runs out.
+ */
+async function advanceJobs() {
+  while (runningChecks < TRANSCRIPTION_CONCURRENCY) {
+    runningChecks += 1;
+    let job = null;
+    try {
+      job = await claimDueJob();
+    } catch (error) {
+      scribeLogger.error(`Failed to claim transcription jobs: ${error.message}`);
+    }
+    if (!job) {
+      runningChecks -= 1;
+      return;
+    }
+    advanceJob(job)
+      .catch(error => scribeLogger.error(`Transcription job ${job.jobName} check crashed: ${error.message}`))
+      .finally(() => {
+        runningChecks -= 1;
+      });
+  }
+}
+
+// Jobs started before the collection existed are only recorded on their recording; they are
+// tracked from the next restart on. Duplicate names from other nodes doing the same are ignored.
+async function adoptUntrackedJobs() {
+  try {
+    const rooms = await Room.find({
+      callRecordings: { $elemMatch: { MedicalScribeJobName: { $ne: null }, MedicaltxtURL: null, purgedAt: null } }
+    }).select('roomId callRecordings');
+
+    let adopted = 0;
+    for (const room of rooms) {
+      for (const recording of room.callRecordings) {
+        if (!recording.MedicalScribeJobName || recording.MedicaltxtURL || recording.purgedAt) continue;
+        if (await TranscriptionJob.findOne({ jobName: recording.MedicalScribeJobName })) continue;
+        try {
+          await TranscriptionJob.create({
+            jobName: recording.MedicalScribeJobName,
+            roomId: room.roomId,
+            recordingId: recording.id
+          });
+          adopted += 1;
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+        }
+      }
+    }
+    if (adopted > 0) scribeLogger.info(`Adopted ${adopted} untracked transcription jobs`);
+  } catch (error) {
+    scribeLogger.error(`Failed to adopt untracked transcription jobs: ${error.message}`);
+  }
+}
+
+module.exports = {
+  trackJob,
+  getJob,
+  listJobs,
+  requestCheck,
+  cancelJob,
+  advanceJobs,
+  adoptUntrackedJobs,
+  toJobStatus,
+  transcriptionEvents
+};
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const winston = require('winston');
+const CryptoJS = require('crypto-js');
+const Room = require('../models/Room');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const backplane = require('./backplane');
+const { generateSecret } = require('./authService');
+const { ERROR_CODES } = require('../protocol/signaling');
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_CONCURRENCY,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_INITIAL_DELAY_MS,
+  WEBHOOK_RETRY_MAX_DELAY_MS,
+  WEBHOOK_LEASE_MS,
+  WEBHOOK_ALLOW_HTTP,
+  WEBHOOK_ALLOW_PRIVATE_NETWORKS
+} = require('../config/webhooks');
+
+const webhookLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({
+      filename: 'logs/webhooks.log',
+      maxsize: 5242880,
+      maxFiles: 100
+    }),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
+const encrypt = (text) => CryptoJS.AES.encrypt(text, ENCRYPTION_KEY).toString();
+const decrypt = (ciphertext) => CryptoJS.AES.decrypt(ciphertext, ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
+
+const failure = (status, code, error) => ({ success: false, status, code, error });
+
+// Deliveries being sent from this node.
+let runningDeliveries = 0;
+
+const retryDelay = (attempts) => Math.min(WEBHOOK_RETRY_INITIAL_DELAY_MS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_DELAY_MS);
+
+// The timestamp is signed along with the body so a captured request cannot be replayed as new.
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const toSubscription = (subscription) => ({
+  subscriptionId: subscription.subscriptionId,
+  roomId: subscription.roomId,
+  organizationId: subscription.organizationId,
+  url: subscription.url,
+  events: subscription.events,
+  description: subscription.description,
+  createdBy: subscription.createdBy,
+  createdAt: subscription.createdAt
+});
+
+const toDelivery = (delivery) => ({
+  deliveryId: delivery.deliveryId,
+  subscriptionId: delivery.subscriptionId,
+  roomId: delivery.roomId,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  deliveredAt: delivery.deliveredAt,
+  error: delivery.error,
+  createdAt: delivery.createdAt
+});
+
+// Loopback, private, link-local (cloud metadata), multicast and reserved ranges.
+const blockedAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => !WEBHOOK_ALLOW_PRIVATE_NETWORKS &&
+  blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Used for every connection a delivery makes, so the address is checked after the name is resolved
+ * for that connection: a DNS answer that changes after registration cannot reach an internal service.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const blocked = (Array.isArray(address) ? address : [{ address }]).find(a => isBlockedAddress(a.address));
+    if (blocked) return callback(new Error(`Webhook host ${hostname} resolves to a blocked address (${blocked.address})`));
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+// Returns why the URL cannot be used, or null. Connections to an IP literal skip the lookup, so it is checked here.
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Webhook URL is not valid';
+  }
+  if (parsed.protocol !== 'https:' && !(WEBHOOK_ALLOW_HTTP && parsed.protocol === 'http:')) {
+    return WEBHOOK_ALLOW_HTTP ? 'Webhook URL must use http or https' : 'Webhook URL must use https';
+  }
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return 'Webhook URL may not point at a private, loopback or link-local address';
+  }
+  return null;
+}
+
+// Resolves the host at registration too, so a URL that could never be delivered to is refused up front.
+async function checkHost(url) {
+  const { hostname } = new URL(url);
+  if (net.isIP(hostname.replace(/^\[(.*)\]$/, '$1'))) return null;
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `Webhook host ${hostname} could not be resolved`;
+  }
+  if (addresses.some(a => isBlockedAddress(a.address))) {
+    return 'Webhook URL may not point at a private, loopback or link-local address';
+  }
+  return null;
+}
+
+/**
+ * Registers a URL for one room (roomId) or every room of an organisation (organizationId). The
+ * signing secret is returned here only; afterwards it is kept encrypted and never shown again.
+ */
+async function createSubscription({ roomId = null, organizationId = null, url, events, description = null, createdBy }) {
+  try {
+    if (roomId && !(await Room.findOne({ roomId }))) {
+      return failure(404, ERROR_CODES.NOT_FOUND, 'Room not found');
+    }
+    const urlError = checkUrl(url) || await checkHost(url);
+    if (urlError) return failure(400, ERROR_CODES.INVALID_MESSAGE, urlError);
+
+    const secret = generateSecret();
+    const subscription = await WebhookSubscription.create({
+      subscriptionId: crypto.randomBytes(12).toString('hex'),
+      roomId,
+      organizationId,
+      url,
+      secret: encrypt(secret),
+      events: events || [...WEBHOOK_EVENTS],
+      description,
+      createdBy
+    });
+    webhookLogger.info(`Webhook ${subscription.subscriptionId} created for ${roomId ? `room ${roomId}` : `organisation ${organizationId}`} by ${createdBy}`);
+    return { success: true, data: { ...toSubscription(subscription), secret } };
+  } catch (error) {
+    webhookLogger.error(`Failed to create webhook: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+// scope is { roomId } or { organizationId }; a subscription is only visible within its own scope.
+async function listSubscriptions(scope) {
+  try {
+    const subscriptions = await WebhookSubscription.find(scope).sort({ createdAt: -1 });
+    return { success: true, data: subscriptions.map(toSubscription) };
+  } catch (error) {
+    webhookLogger.error(`Failed to list webhooks: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+// Deliveries still waiting are given up on; the ones already made stay readable in the collection.
+async function deleteSubscription(subscriptionId, scope, deletedBy) {
+  try {
+    const subscription = await WebhookSubscription.findOneAndDelete({ subscriptionId, ...scope });
+    if (!subscription) return failure(404, ERROR_CODES.NOT_FOUND, 'Webhook not found');
+
+    await WebhookDelivery.updateMany({ subscriptionId, status: 'pending' }, {
+      $set: { status: 'failed', error: 'Webhook was deleted', updatedAt: new Date() }
+    });
+    webhookLogger.info(`Webhook ${subscriptionId} deleted by ${deletedBy}`);
+    return { success: true, data: toSubscription(subscription) };
+  } catch (error) {
+    webhookLogger.error(`Failed to delete webhook ${subscriptionId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+async function listDeliveries(subscriptionId, scope, { status, limit = 50, skip = 0 } = {}) {
+  try {
+    if (!(await WebhookSubscription.findOne({ subscriptionId, ...scope }))) {
+      return failure(404, ERROR_CODES.NOT_FOUND, 'Webhook not found');
+    }
+    const query = { subscriptionId };
+    if (status) query.status = status;
+    const deliveries = await WebhookDelivery.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit);
+    return { success: true, data: deliveries.map(toDelivery) };
+  } catch (error) {
+    webhookLogger.error(`Failed to list deliveries for webhook ${subscriptionId}: ${error.message}`);
+    return failure(500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+/**
+ * Queues one delivery of the event for every subscription of the room and of its organisation
+ * that asked for it. Only the node where the event happened calls this, so each is queued once.
+ */
+async function dispatch(roomId, event, data) {
+  try {
+    const room = await Room.findOne({ roomId }).select('roomId organizationId');
+    const scopes = [{ roomId }];
+    if (room && room.organizationId) scopes.push({ organizationId: room.organizationId });
+
+    const subscriptions = (await Promise.all(scopes.map(scope => WebhookSubscription.find(scope))))
+      .flat()
+      .filter(subscription => subscription.events.includes(event));
+    if (subscriptions.length === 0) return;
+
+    const createdAt = new Date();
+    for (const subscription of subscriptions) {
+      const deliveryId = crypto.randomBytes(12).toString('hex');
+      await WebhookDelivery.create({
+        deliveryId,
+        subscriptionId: subscription.subscriptionId,
+        roomId,
+        event,
+        payload: { id: deliveryId, event, createdAt, data },
+        nextAttemptAt: createdAt
+      });
+    }
+    // Send straight away rather than on the worker's next pass.
+    deliverDueWebhooks();
+  } catch (error) {
+    webhookLogger.error(`Failed to queue ${event} webhooks for ${roomId}: ${error.message}`);
+  }
+}
+
+// POSTs one delivery and records the attempt; a non-2xx answer (redirects included) is a failure.
+async function attemptDelivery(delivery) {
+  const subscription = await WebhookSubscription.findOne({ subscriptionId: delivery.subscriptionId }).select('+secret');
+  const attempt = { attemptedAt: new Date(), statusCode: null, error: null, durationMs: 0 };
+  const urlError = subscription && checkUrl(subscription.url);
+
+  if (!subscription) {
+    attempt.error = 'Webhook was deleted';
+  } else if (urlError) {
+    attempt.error = urlError;
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.deliveryId,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${sign(decrypt(subscription.secret), timestamp, body)}`
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        httpAgent,
+        httpsAgent,
+        // A proxy would make the connection (and the lookup) on our behalf, bypassing the address check.
+        proxy: false,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      attempt.statusCode = response.status;
+      if (response.status < 200 || response.status >= 300) attempt.error = `HTTP ${response.status}`;
+    } catch (error) {
+      attempt.error = error.code || error.message;
+    }
+    attempt.durationMs = Date.now() - attempt.attemptedAt.getTime();
+  }
+
+  const attempts = delivery.attempts.length + 1;
+  let changes;
+  if (!attempt.error) {
+    changes = { status: 'delivered', deliveredAt: new Date(), error: null };
+    webhookLogger.info(`Webhook delivery ${delivery.deliveryId} delivered (${attempt.statusCode}) after ${attempts} attempts`);
+  } else if (!subscription || attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    changes = { status: 'failed', error: attempt.error };
+    webhookLogger.error(`Webhook delivery ${delivery.deliveryId} failed after ${attempts} attempts: ${attempt.error}`);
+  } else {
+    changes = { nextAttemptAt: new Date(Date.now() + retryDelay(attempts)), error: attempt.error };
+    webhookLogger.warn(`Webhook delivery ${delivery.deliveryId} attempt ${attempts}/${WEBHOOK_MAX_ATTEMPTS} failed: ${attempt.error}`);
+  }
+
+  await WebhookDelivery.updateOne({ deliveryId: delivery.deliveryId }, {
+    $push: { attempts: attempt },
+    $set: { ...changes, lockedBy: null, lockedUntil: new Date(0), updatedAt: new Date() }
+  });
+}
+
+// Claims the most overdue delivery nobody else holds a lease on.
+function claimDueDelivery() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now }, lockedUntil: { $lt: now } },
+    { $set: { lockedBy: backplane.nodeId, lockedUntil: new Date(now.getTime() + WEBHOOK_LEASE_MS) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+/**
+ * Claims and sends due deliveries until this node is at its concurrency limit. Called on an
+ * interval by server.js on every node; a delivery whose node died mid-send is retried once its
+ * lease runs out, so a subscriber may see the same X-Webhook-Id twice.
+ */
+async function deliverDueWebhooks() {
+  while (runningDeliveries < WEBHOOK_CONCURRENCY) {
+    runningDeliveries += 1;
+    let delivery = null;
+    try {
+      delivery = await claimDueDelivery();
+    } catch (error) {
+      webhookLogger.error(`Failed to claim webhook deliveries: ${error.message}`);
+    }
+    if (!delivery) {
+      runningDeliveries -= 1;
+      return;
+    }
+    attemptDelivery(delivery)
+      .catch(error => webhookLogger.error(`Webhook delivery ${delivery.deliveryId} crashed: ${error.message}`))
+      .finally(() => {
+        runningDeliveries -= 1;
+      });
+  }
+}
+
+module.exports = {
+  createSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  listDeliveries,
+  dispatch,
+  deliverDueWebhooks
+};